@@ -0,0 +1,281 @@
+const path = require("path");
+const { execFile } = require("child_process");
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { dbOperations, dbPath } = require("../src/models/database");
+const AnalysisService = require("../src/services/analysisService");
+
+// A completed analysis transcribed and scored with the given stage modes
+async function insertCompleted(id, usage) {
+  await dbOperations.insertAnalysis(id, `https://youtu.be/${id}`);
+  await dbOperations.updateStatus(id, "completed", {
+    transcription: usage.transcription,
+    aiProbabilities: {
+      detector: usage.detector,
+      processed_segments: usage.requests,
+      overall_ai_probability: 0.5,
+    },
+    metadata: {
+      transcription_provider: usage.provider,
+      transcription_metadata: { duration: usage.seconds },
+      stage_modes: usage.modes,
+    },
+  });
+}
+
+const real = { transcription: "real", ai_detection: "real" };
+
+describe("AnalysisService.getUsageStats", () => {
+  const env = { ...process.env };
+  let service;
+
+  beforeAll(async () => {
+    process.env.TRANSCRIPTION_COST_PER_MINUTE = "0.4";
+    process.env.DETECTION_COST_PER_REQUEST = "0.01";
+    await openTestDatabase();
+    service = new AnalysisService();
+
+    await insertCompleted("paid", {
+      provider: "elevenlabs",
+      seconds: 120,
+      detector: "gptzero",
+      requests: 10,
+      modes: real,
+    });
+    await insertCompleted("local", {
+      provider: "whisper",
+      seconds: 600,
+      detector: "heuristic",
+      requests: 5,
+      modes: real,
+    });
+    await insertCompleted("stubbed", {
+      provider: "elevenlabs",
+      seconds: 60,
+      detector: "gptzero",
+      requests: 4,
+      modes: { transcription: "stub", ai_detection: "stub" },
+    });
+    await dbOperations.insertAnalysis("failed", "https://youtu.be/failed");
+    await dbOperations.updateStatus("failed", "failed", {
+      errorMessage: "Video unavailable",
+    });
+  });
+
+  afterAll(async () => {
+    process.env = env;
+    await removeTestDatabase();
+  });
+
+  test("counts usage per provider and detector", async () => {
+    const stats = await service.getUsageStats();
+
+    expect(stats.analyses).toMatchObject({
+      total: 4,
+      by_status: { completed: 3, failed: 1 },
+    });
+    expect(stats.transcription).toEqual({
+      audio_minutes: 13,
+      by_provider: {
+        elevenlabs: { analyses: 2, audio_minutes: 3, billable_minutes: 2 },
+        whisper: { analyses: 1, audio_minutes: 10, billable_minutes: 0 },
+      },
+    });
+    expect(stats.detection).toEqual({
+      requests: 19,
+      by_detector: {
+        gptzero: { analyses: 2, requests: 14, billable_requests: 10 },
+        heuristic: { analyses: 1, requests: 5, billable_requests: 0 },
+      },
+    });
+  });
+
+  test("only bills stages that called a paid API", async () => {
+    const { estimated_cost } = await service.getUsageStats();
+
+    expect(estimated_cost).toEqual({
+      transcription: 0.8,
+      detection: 0.1,
+      total: 0.9,
+    });
+  });
+});
+
+describe("admin CLI", () => {
+  const cli = path.join(__dirname, "../bin/admin.js");
+  const transcription = {
+    text: "Hello there. General Kenobi.",
+    segments: [
+      { start: 0, end: 1, text: "Hello there.", speaker: "a" },
+      { start: 1, end: 2, text: "General Kenobi.", speaker: "b" },
+    ],
+    speakers: [{ id: "a" }, { id: "b" }],
+    wordTimestamps: [
+      { word: "Hello", start: 0, end: 0.5, speaker: "a" },
+      { word: "there.", start: 0.5, end: 1, speaker: "a" },
+      { word: "General", start: 1, end: 1.5, speaker: "b" },
+      { word: "Kenobi.", start: 1.5, end: 2, speaker: "b" },
+    ],
+    metadata: { language: "en" },
+  };
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    await insertCompleted("cli-paid", {
+      transcription,
+      provider: "elevenlabs",
+      seconds: 60,
+      detector: "gptzero",
+      requests: 2,
+      modes: real,
+    });
+    await insertCompleted("cli-local", {
+      transcription,
+      provider: "whisper",
+      seconds: 60,
+      detector: "heuristic",
+      requests: 2,
+      modes: real,
+    });
+  });
+
+  afterAll(() => removeTestDatabase());
+
+  // Runs the CLI against the test database; resolves to the exit code and
+  // output rather than rejecting on failure
+  function admin(...args) {
+    return new Promise((resolve) => {
+      execFile(
+        process.execPath,
+        [cli, ...args],
+        {
+          env: {
+            ...process.env,
+            DB_PATH: dbPath,
+            SESSION_SECRET: "test-secret",
+            TRANSCRIPTION_COST_PER_MINUTE: "1",
+            DETECTION_COST_PER_REQUEST: "0.5",
+          },
+          timeout: 30000,
+        },
+        (error, stdout, stderr) =>
+          resolve({ code: error ? error.code : 0, stdout, stderr })
+      );
+    });
+  }
+
+  async function adminJson(...args) {
+    const { code, stdout, stderr } = await admin(...args, "--json");
+    expect({ code, stderr: code ? stderr : "" }).toEqual({
+      code: 0,
+      stderr: "",
+    });
+    return JSON.parse(stdout);
+  }
+
+  jest.setTimeout(60000);
+
+  test("lists analyses with filters", async () => {
+    const { analyses, total } = await adminJson("list", "--sort=created_at");
+    expect(total).toBe(2);
+    expect(analyses.map((analysis) => analysis.id).sort()).toEqual([
+      "cli-local",
+      "cli-paid",
+    ]);
+
+    const { stdout } = await admin("list", "--status=failed");
+    expect(stdout).toContain("0 of 0 analyses");
+
+    const invalid = await admin("list", "--status=done");
+    expect(invalid.code).toBe(1);
+    expect(invalid.stderr).toContain("Error: Invalid status");
+  });
+
+  test("inspect summarizes segments and words unless --full", async () => {
+    const summary = await adminJson("inspect", "cli-paid");
+    expect(summary.transcription).toMatchObject({
+      text: transcription.text,
+      segments: "2 segments (use --full to show)",
+      wordTimestamps: "4 words (use --full to show)",
+    });
+    expect(summary).toHaveProperty("checkpoints");
+    expect(summary).toHaveProperty("webhook_deliveries");
+
+    const full = await adminJson("inspect", "cli-paid", "--full");
+    expect(full.transcription.segments).toHaveLength(2);
+    expect(full.transcription.wordTimestamps).toHaveLength(4);
+  });
+
+  test("stats only bills paid APIs", async () => {
+    const stats = await adminJson("stats");
+
+    expect(stats.transcription.by_provider).toEqual({
+      elevenlabs: { analyses: 1, audio_minutes: 1, billable_minutes: 1 },
+      whisper: { analyses: 1, audio_minutes: 1, billable_minutes: 0 },
+    });
+    expect(stats.estimated_cost).toEqual({
+      transcription: 1,
+      detection: 1,
+      total: 2,
+    });
+    expect(stats.storage).toBeDefined();
+
+    const { stdout } = await admin("stats");
+    expect(stdout).toContain("whisper: 1 analyses, 1 min (0 billable)");
+    expect(stdout).toContain("Estimated cost: 2");
+  });
+
+  test("creates, lists and revokes API keys", async () => {
+    const created = await adminJson(
+      "keys",
+      "create",
+      "ci",
+      "--rate-limit=10",
+      "--daily-minutes=5"
+    );
+    expect(created.key).toMatch(/^sfk_/);
+    expect(created.api_key).toMatchObject({
+      name: "ci",
+      rate_limit_max_requests: 10,
+      daily_audio_minutes: 5,
+    });
+
+    const revoked = await admin("keys", "revoke", created.api_key.id);
+    expect(revoked.stdout).toContain(`Revoked API key ${created.api_key.id}`);
+
+    const keys = await adminJson("keys", "list");
+    expect(keys.find((key) => key.id === created.api_key.id)).toMatchObject({
+      name: "ci",
+      revoked_at: expect.any(String),
+    });
+
+    const invalid = await admin("keys", "create", "ci", "--rate-limit=-1");
+    expect(invalid.code).toBe(1);
+    expect(invalid.stderr).toContain("--rate-limit must be a number >= 0");
+  });
+
+  test("deletes an analysis", async () => {
+    expect(await adminJson("delete", "cli-local")).toMatchObject({
+      success: true,
+      analysis_id: "cli-local",
+    });
+
+    const missing = await admin("inspect", "cli-local");
+    expect(missing.code).toBe(1);
+    expect(missing.stderr).toContain("Error: Analysis not found");
+  });
+
+  test("shows the migration status", async () => {
+    const status = await adminJson("migrate", "status");
+    expect(status.current).toBe(status.latest);
+    expect(status.migrations.every((migration) => migration.applied)).toBe(
+      true
+    );
+  });
+
+  test("rejects unknown commands", async () => {
+    const { code, stdout, stderr } = await admin("frobnicate");
+    expect(code).toBe(1);
+    expect(stdout).toContain("Usage: npm run admin");
+    expect(stderr).toContain("Unknown command: frobnicate");
+  });
+});
@@ -0,0 +1,163 @@
+const {
+  getDefaultMethod,
+  summarizeDetection,
+  detectionSegments,
+} = require("../src/utils/aiAggregation");
+
+function scored(start, end, aiProbability, speaker, text) {
+  return {
+    start,
+    end,
+    speaker,
+    text,
+    ai_detection: { ai_probability: aiProbability, prediction: "ai" },
+  };
+}
+
+const segments = [
+  scored(0, 60, 0.2, "s1", "a".repeat(10)),
+  scored(60, 90, 0.8, "s2", "b".repeat(30)),
+  scored(90, 120, 0.5, "s1", "c".repeat(10)),
+  // Neither counts towards any score
+  { start: 120, end: 180, text: "", ai_detection: { prediction: "empty" } },
+  { start: 180, end: 240, text: "x", ai_detection: { error: "timeout" } },
+];
+
+function summarize(method, chunks = segments) {
+  return summarizeDetection(
+    {
+      detector: "test",
+      segments: chunks,
+      processed_segments: 4,
+      total_segments: 5,
+    },
+    method
+  );
+}
+
+describe("aggregation methods", () => {
+  afterEach(() => {
+    delete process.env.AI_AGGREGATION;
+    delete process.env.AI_AGGREGATION_TRIM;
+  });
+
+  test.each([
+    // (0.2*60 + 0.8*30 + 0.5*30) / 120
+    ["duration", 0.425],
+    // (0.2*10 + 0.8*30 + 0.5*10) / 50
+    ["characters", 0.62],
+    ["mean", 0.5],
+    ["max", 0.8],
+  ])("%s", (method, expected) => {
+    expect(summarize(method).overall_ai_probability).toBeCloseTo(expected);
+  });
+
+  test("trimmed_mean drops the highest and lowest scores", () => {
+    process.env.AI_AGGREGATION_TRIM = "0.2";
+    const spread = [0, 0.1, 0.5, 0.6, 1].map((probability, index) =>
+      scored(index, index + 1, probability, "s1", "text")
+    );
+
+    expect(
+      summarize("trimmed_mean", spread).overall_ai_probability
+    ).toBeCloseTo(0.4);
+  });
+
+  test("duration falls back to a plain mean without durations", () => {
+    const instant = [
+      scored(5, 5, 0.2, "s1", "a"),
+      scored(5, 5, 0.6, "s1", "b"),
+    ];
+
+    expect(summarize("duration", instant).overall_ai_probability).toBeCloseTo(
+      0.4
+    );
+  });
+
+  test("an analysis with nothing scored is 0", () => {
+    expect(summarize("duration", segments.slice(3))).toMatchObject({
+      overall_ai_probability: 0,
+      scored_segments: 0,
+      by_speaker: {},
+      timeline: [],
+    });
+  });
+
+  test("AI_AGGREGATION picks the default method", () => {
+    expect(getDefaultMethod()).toBe("duration");
+    process.env.AI_AGGREGATION = "max";
+    expect(getDefaultMethod()).toBe("max");
+    process.env.AI_AGGREGATION = "median";
+    expect(() => getDefaultMethod()).toThrow('Unknown AI_AGGREGATION "median"');
+  });
+});
+
+describe("detection summary", () => {
+  test("counts segments and keeps the scored chunks", () => {
+    expect(summarize("duration")).toMatchObject({
+      detector: "test",
+      aggregation: "duration",
+      processed_segments: 4,
+      scored_segments: 3,
+      total_segments: 5,
+      segments,
+    });
+  });
+
+  test("breaks scores down by speaker", () => {
+    const { by_speaker } = summarize("duration");
+
+    expect(Object.keys(by_speaker).sort()).toEqual(["s1", "s2"]);
+    expect(by_speaker.s1).toMatchObject({ segments: 2, duration: 90 });
+    // (0.2*60 + 0.5*30) / 90
+    expect(by_speaker.s1.ai_probability).toBeCloseTo(0.3);
+    expect(by_speaker.s2).toMatchObject({
+      ai_probability: 0.8,
+      segments: 1,
+      duration: 30,
+    });
+  });
+
+  test("builds a per-minute timeline", () => {
+    const { timeline } = summarize("duration");
+
+    expect(timeline).toHaveLength(2);
+    expect(timeline[0]).toMatchObject({ minute: 0, start: 0, end: 60 });
+    expect(timeline[0].ai_probability).toBeCloseTo(0.2);
+    expect(timeline[1]).toMatchObject({ minute: 1, segments: 2 });
+    expect(timeline[1].ai_probability).toBeCloseTo(0.65);
+  });
+
+  test("splits a segment across minutes by overlap", () => {
+    const { timeline } = summarize("duration", [
+      scored(30, 90, 0.4, "s1", "spans two minutes"),
+      scored(60, 75, 1, "s1", "second minute only"),
+      scored(150, 150, 0.9, "s1", "zero length"),
+    ]);
+
+    expect(timeline.map((bucket) => bucket.minute)).toEqual([0, 1, 2]);
+    expect(timeline[0].ai_probability).toBeCloseTo(0.4);
+    // (0.4*30 + 1*15) / 45
+    expect(timeline[1].ai_probability).toBeCloseTo(0.6);
+    expect(timeline[2]).toMatchObject({ ai_probability: 0.9, segments: 1 });
+  });
+});
+
+describe("detectionSegments", () => {
+  test("finds the scored chunks of new and older results", () => {
+    const chunks = [scored(0, 10, 0.5, "s1", "chunk")];
+
+    expect(
+      detectionSegments(
+        { segments: [{ text: "provider" }] },
+        { overall_ai_probability: 0.5 }
+      )
+    ).toEqual([{ text: "provider" }]);
+    expect(detectionSegments({ segments: [] }, { segments: chunks })).toBe(
+      chunks
+    );
+    // Legacy results are the scored segments themselves
+    expect(detectionSegments(chunks, null)).toBe(chunks);
+    expect(detectionSegments(null, null)).toEqual([]);
+  });
+});
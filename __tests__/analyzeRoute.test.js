@@ -0,0 +1,74 @@
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { startTestApp } = require("./helpers/app");
+
+describe("POST /api/analyze pipeline options", () => {
+  let app;
+
+  beforeAll(async () => {
+    process.env.ELEVENLABS_API_KEY = "test-key";
+    delete process.env.WHISPER_MODEL_PATH;
+    delete process.env.GPTZERO_API_KEY;
+    await openTestDatabase();
+    app = await startTestApp({
+      "/api/analyze": require("../src/routes/analysis"),
+    });
+  });
+
+  afterAll(async () => {
+    delete process.env.ELEVENLABS_API_KEY;
+    await app.close();
+    await removeTestDatabase();
+  });
+
+  async function analyze(body) {
+    const response = await fetch(`${app.url}/api/analyze`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        youtube_url: "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+        force: true,
+        ...body,
+      }),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test("rejects an unknown provider", async () => {
+    const { status, body } = await analyze({
+      transcription_provider: "dictaphone",
+    });
+
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/^Invalid transcription_provider/);
+  });
+
+  test("rejects a provider that isn't configured", async () => {
+    const { status, body } = await analyze({
+      transcription_provider: "whisper",
+    });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe(
+      "Transcription provider whisper is not configured on this server"
+    );
+  });
+
+  test("rejects a detector that isn't configured", async () => {
+    const { status, body } = await analyze({ detector: "gptzero" });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe(
+      "Detector gptzero is not configured on this server"
+    );
+  });
+
+  test("accepts a configured provider", async () => {
+    const { status, body } = await analyze({
+      transcription_provider: "elevenlabs",
+      detector: "heuristic",
+    });
+
+    expect(status).toBe(202);
+    expect(body.success).toBe(true);
+  });
+});
@@ -0,0 +1,286 @@
+const express = require("express");
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { startTestApp } = require("./helpers/app");
+const ApiKeyService = require("../src/services/apiKeyService");
+const {
+  apiKeyService,
+  requireApiKey,
+  enforceAudioQuota,
+} = require("../src/middleware/auth");
+
+describe("auth configuration", () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  function configure(values) {
+    Object.assign(process.env, values);
+    return new ApiKeyService();
+  }
+
+  test("authentication is off unless AUTH_ENABLED=true", () => {
+    delete process.env.AUTH_ENABLED;
+    delete process.env.SESSION_SECRET;
+
+    expect(configure({}).enabled).toBe(false);
+    expect(configure({}).configurationError()).toBeNull();
+    expect(configure({ AUTH_ENABLED: "1" }).enabled).toBe(false);
+    expect(configure({ AUTH_ENABLED: "true" }).enabled).toBe(true);
+  });
+
+  test("needs a real SESSION_SECRET while enabled", () => {
+    delete process.env.SESSION_SECRET;
+
+    expect(configure({ AUTH_ENABLED: "true" }).configurationError()).toContain(
+      "SESSION_SECRET must be set"
+    );
+    expect(
+      configure({
+        AUTH_ENABLED: "true",
+        SESSION_SECRET: "your_session_secret_here",
+      }).configurationError()
+    ).toContain("SESSION_SECRET is set to a placeholder");
+    expect(
+      configure({
+        AUTH_ENABLED: "true",
+        SESSION_SECRET: "3f9c1e7a5b",
+      }).configurationError()
+    ).toBeNull();
+  });
+
+  test.each(["your_admin_api_key_here", "changeme", " Admin "])(
+    "rejects the placeholder admin key %p",
+    (adminKey) => {
+      expect(
+        configure({ ADMIN_API_KEY: adminKey }).configurationError()
+      ).toContain("ADMIN_API_KEY is set to a placeholder");
+    }
+  );
+});
+
+describe("API key middleware", () => {
+  let app;
+  let key;
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    Object.assign(apiKeyService, {
+      enabled: true,
+      secret: "test-secret",
+      adminKey: "test-admin-key",
+    });
+
+    const api = express.Router();
+    api.use(requireApiKey);
+    const whoami = (req, res) =>
+      res.json({ key: req.apiKey ? req.apiKey.id : null });
+    api.get("/result/:id/events", whoami);
+    api.get("/result/:id/report", whoami);
+    api.post("/analyze", enforceAudioQuota, whoami);
+    app = await startTestApp({ "/api": api });
+
+    ({ key } = await apiKeyService.createKey({
+      name: "client",
+      rateLimitMaxRequests: 1000,
+      dailyAudioMinutes: 1,
+    }));
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await removeTestDatabase();
+  });
+
+  function request(path, headers = {}, method = "GET") {
+    return fetch(`${app.url}/api${path}`, { method, headers });
+  }
+
+  test("requires a valid key", async () => {
+    expect((await request("/result/1/report")).status).toBe(401);
+    expect(
+      (await request("/result/1/report", { "X-API-Key": "sfk_unknown" })).status
+    ).toBe(401);
+  });
+
+  test("accepts a key from either header", async () => {
+    const bearer = await request("/result/1/report", {
+      Authorization: `Bearer ${key}`,
+    });
+    const header = await request("/result/1/report", { "X-API-Key": key });
+
+    expect(bearer.status).toBe(200);
+    expect(header.status).toBe(200);
+    expect((await bearer.json()).key).toBeTruthy();
+  });
+
+  test("only accepts ?api_key= on the progress stream", async () => {
+    expect((await request(`/result/1/events?api_key=${key}`)).status).toBe(200);
+    expect((await request(`/result/1/report?api_key=${key}`)).status).toBe(401);
+  });
+
+  test("the admin key comes from the environment", async () => {
+    const response = await request("/result/1/report", {
+      "X-API-Key": "test-admin-key",
+    });
+    expect(await response.json()).toEqual({ key: "admin" });
+  });
+
+  test("rejects revoked keys", async () => {
+    const revoked = await apiKeyService.createKey({ name: "revoked" });
+    await apiKeyService.revokeKey(revoked.api_key.id);
+
+    expect(
+      (await request("/result/1/report", { "X-API-Key": revoked.key })).status
+    ).toBe(401);
+  });
+
+  test("limits requests per key", async () => {
+    const limited = await apiKeyService.createKey({
+      name: "limited",
+      rateLimitMaxRequests: 2,
+    });
+    const headers = { "X-API-Key": limited.key };
+
+    const first = await request("/result/1/report", headers);
+    expect(first.headers.get("X-RateLimit-Limit")).toBe("2");
+    expect(first.headers.get("X-RateLimit-Remaining")).toBe("1");
+    expect((await request("/result/1/report", headers)).status).toBe(200);
+
+    const rejected = await request("/result/1/report", headers);
+    expect(rejected.status).toBe(429);
+    expect(Number(rejected.headers.get("Retry-After"))).toBeGreaterThan(0);
+    // Other keys have their own window
+    expect(
+      (await request("/result/1/report", { "X-API-Key": key })).status
+    ).toBe(200);
+  });
+
+  test("rejects new analyses once the daily audio quota is used", async () => {
+    const headers = { "X-API-Key": key };
+    expect((await request("/analyze", headers, "POST")).status).toBe(200);
+
+    const apiKey = await apiKeyService.authenticate(key);
+    await apiKeyService.recordAudioUsage(apiKey.id, 45);
+    expect(await apiKeyService.getQuota(apiKey)).toMatchObject({
+      used_minutes: 0.75,
+      quota_minutes: 1,
+      exceeded: false,
+    });
+
+    await apiKeyService.recordAudioUsage(apiKey.id, 15);
+    const rejected = await request("/analyze", headers, "POST");
+    expect(rejected.status).toBe(429);
+    expect((await rejected.json()).quota).toMatchObject({
+      used_minutes: 1,
+      analyses: 2,
+      exceeded: true,
+    });
+    expect(await apiKeyService.isQuotaExceeded(apiKey.id)).toBe(true);
+  });
+
+  test("the admin key has no quota", async () => {
+    const response = await request(
+      "/analyze",
+      { "X-API-Key": "test-admin-key" },
+      "POST"
+    );
+    expect(response.status).toBe(200);
+  });
+});
+
+describe("rate limiting without authentication", () => {
+  let app;
+
+  beforeAll(async () => {
+    Object.assign(apiKeyService, {
+      enabled: false,
+      rateLimitMaxRequests: 2,
+      windows: new Map(),
+    });
+
+    const api = express.Router();
+    api.use(requireApiKey);
+    api.get("/ping", (req, res) => res.json({ key: req.apiKey }));
+    app = await startTestApp({ "/api": api });
+  });
+
+  afterAll(() => app.close());
+
+  test("limits requests per IP address", async () => {
+    const first = await fetch(`${app.url}/api/ping`);
+    expect(first.status).toBe(200);
+    expect(await first.json()).toEqual({ key: null });
+    expect(first.headers.get("X-RateLimit-Limit")).toBe("2");
+    expect(first.headers.get("X-RateLimit-Remaining")).toBe("1");
+    // Presenting a key changes nothing while authentication is off
+    expect(
+      (await fetch(`${app.url}/api/ping`, { headers: { "X-API-Key": "x" } }))
+        .status
+    ).toBe(200);
+
+    const rejected = await fetch(`${app.url}/api/ping`);
+    expect(rejected.status).toBe(429);
+    expect(Number(rejected.headers.get("Retry-After"))).toBeGreaterThan(0);
+    expect(apiKeyService.windows.has("ip:127.0.0.1")).toBe(true);
+  });
+});
+
+describe("rate limit windows", () => {
+  let service;
+  let now;
+
+  beforeEach(() => {
+    service = new ApiKeyService();
+    Object.assign(service, {
+      rateLimitWindowMs: 1000,
+      rateLimitMaxRequests: 2,
+    });
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("keys and addresses are counted separately", () => {
+    service.checkRateLimit({ id: "a" });
+    service.checkRateLimit({ id: "a" });
+
+    expect(service.checkRateLimit({ id: "a" }).allowed).toBe(false);
+    expect(service.checkRateLimit({ id: "b" }).allowed).toBe(true);
+    expect(service.checkIpRateLimit("a").allowed).toBe(true);
+    // A key's own limit overrides the default
+    expect(
+      service.checkRateLimit({ id: "a", rate_limit_max_requests: 5 })
+    ).toMatchObject({ allowed: true, limit: 5, remaining: 1 });
+  });
+
+  test("a new window starts once the last one has ended", () => {
+    service.checkIpRateLimit("10.0.0.1");
+    service.checkIpRateLimit("10.0.0.1");
+    expect(service.checkIpRateLimit("10.0.0.1").allowed).toBe(false);
+
+    now += 1000;
+    expect(service.checkIpRateLimit("10.0.0.1")).toMatchObject({
+      allowed: true,
+      remaining: 1,
+      resetAt: now + 1000,
+    });
+  });
+
+  test("expired windows are pruned", () => {
+    for (let i = 0; i < 100; i++) {
+      service.checkIpRateLimit(`10.0.0.${i}`);
+    }
+    expect(service.windows.size).toBe(100);
+
+    now += 500;
+    service.checkIpRateLimit("10.0.1.1");
+    expect(service.windows.size).toBe(101);
+
+    now += 900;
+    service.checkIpRateLimit("10.0.1.2");
+    expect([...service.windows.keys()]).toEqual(["ip:10.0.1.1", "ip:10.0.1.2"]);
+  });
+});
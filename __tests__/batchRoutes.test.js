@@ -0,0 +1,233 @@
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { startTestApp } = require("./helpers/app");
+const { dbOperations } = require("../src/models/database");
+const AnalysisService = require("../src/services/analysisService");
+
+describe("batch endpoints", () => {
+  let app;
+
+  beforeAll(async () => {
+    process.env.ELEVENLABS_API_KEY = "test-key";
+    await openTestDatabase();
+    app = await startTestApp({
+      "/api/analyze": require("../src/routes/analysis"),
+      "/api/batch": require("../src/routes/batch"),
+    });
+  });
+
+  afterAll(async () => {
+    delete process.env.ELEVENLABS_API_KEY;
+    await app.close();
+    await removeTestDatabase();
+  });
+
+  async function submit(body) {
+    const response = await fetch(`${app.url}/api/analyze/batch`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ force: true, ...body }),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function getBatch(id) {
+    const response = await fetch(`${app.url}/api/batch/${id}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  describe("POST /api/analyze/batch", () => {
+    afterEach(() => {
+      delete process.env.BATCH_MAX_URLS;
+    });
+
+    test.each([
+      [{}, "youtube_urls must be a non-empty array"],
+      [{ youtube_urls: [] }, "youtube_urls must be a non-empty array"],
+      [
+        { youtube_urls: "https://youtu.be/dQw4w9WgXcQ" },
+        "youtube_urls must be a non-empty array",
+      ],
+    ])("rejects %p", async (body, error) => {
+      const response = await submit(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(error);
+    });
+
+    test("rejects more URLs than BATCH_MAX_URLS", async () => {
+      process.env.BATCH_MAX_URLS = "2";
+
+      const { status, body } = await submit({
+        youtube_urls: [
+          "https://youtu.be/aaaaaaaaaaa",
+          "https://youtu.be/bbbbbbbbbbb",
+          "https://youtu.be/ccccccccccc",
+        ],
+      });
+
+      expect(status).toBe(400);
+      expect(body.error).toBe("A batch can contain at most 2 URLs");
+    });
+
+    test("lists every invalid URL", async () => {
+      const { status, body } = await submit({
+        youtube_urls: [
+          "https://youtu.be/aaaaaaaaaaa",
+          "https://vimeo.com/1",
+          42,
+        ],
+      });
+
+      expect(status).toBe(400);
+      expect(body).toMatchObject({
+        error: "Invalid YouTube URL format",
+        invalid_urls: ["https://vimeo.com/1", 42],
+      });
+    });
+
+    test("rejects invalid pipeline options", async () => {
+      const { status, body } = await submit({
+        youtube_urls: ["https://youtu.be/aaaaaaaaaaa"],
+        detector: "crystal-ball",
+      });
+
+      expect(status).toBe(400);
+      expect(body.error).toMatch(/^Invalid detector/);
+    });
+
+    test("queues one analysis per video", async () => {
+      const { status, body } = await submit({
+        youtube_urls: [
+          "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+          "https://youtu.be/dQw4w9WgXcQ",
+          "https://youtu.be/9bZkp7q19f0",
+        ],
+      });
+
+      expect(status).toBe(202);
+      expect(body).toMatchObject({
+        success: true,
+        total: 2,
+        duplicates_removed: 1,
+        link: `/api/batch/${body.batch_id}`,
+      });
+      expect(body.analyses.map((analysis) => analysis.youtube_url)).toEqual([
+        "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+        "https://youtu.be/9bZkp7q19f0",
+      ]);
+      expect(await dbOperations.getBatchAnalyses(body.batch_id)).toHaveLength(
+        2
+      );
+    });
+
+    test("fails the request if an analysis can't be queued", async () => {
+      const startAnalysis = jest
+        .spyOn(AnalysisService.prototype, "startAnalysis")
+        .mockResolvedValueOnce({ success: true, analysis_id: "a" })
+        .mockResolvedValueOnce({ success: false, error: "database is locked" });
+
+      const { status, body } = await submit({
+        youtube_urls: [
+          "https://youtu.be/aaaaaaaaaaa",
+          "https://youtu.be/bbbbbbbbbbb",
+        ],
+      });
+      startAnalysis.mockRestore();
+
+      expect(status).toBe(500);
+      expect(body).toEqual({
+        success: false,
+        error: "Failed to start batch",
+        details:
+          "Failed to queue https://youtu.be/bbbbbbbbbbb: database is locked",
+      });
+    });
+  });
+
+  describe("GET /api/batch/:id", () => {
+    test("rejects malformed and unknown IDs", async () => {
+      expect((await getBatch("not-a-uuid")).status).toBe(400);
+      expect(
+        (await getBatch("6f1c3c1e-2f4b-4a8e-9d1a-ffffffffffff")).status
+      ).toBe(404);
+    });
+
+    test("aggregates the status and scores of its analyses", async () => {
+      const { body: submitted } = await submit({
+        youtube_urls: [
+          "https://youtu.be/11111111111",
+          "https://youtu.be/22222222222",
+          "https://youtu.be/33333333333",
+        ],
+      });
+      const [first, second, third] = submitted.analyses.map(
+        (analysis) => analysis.analysis_id
+      );
+
+      await dbOperations.updateStatus(first, "completed", {
+        aiProbabilities: { overall_ai_probability: 0.2 },
+      });
+      let { body } = await getBatch(submitted.batch_id);
+      expect(body).toMatchObject({
+        status: "processing",
+        total: 3,
+        status_counts: { completed: 1, pending: 2 },
+      });
+
+      await dbOperations.updateStatus(second, "completed", {
+        aiProbabilities: { overall_ai_probability: 0.6 },
+      });
+      await dbOperations.updateStatus(third, "failed", {
+        errorMessage: "Video unavailable",
+      });
+      ({ body } = await getBatch(submitted.batch_id));
+
+      // A failed analysis finishes the batch but isn't scored
+      expect(body).toMatchObject({
+        success: true,
+        batch_id: submitted.batch_id,
+        source_type: "list",
+        status: "completed",
+        total: 3,
+        status_counts: { completed: 2, failed: 1 },
+        overall_ai_probability: {
+          min: 0.2,
+          max: 0.6,
+          scored_analyses: 2,
+        },
+      });
+      expect(body.overall_ai_probability.mean).toBeCloseTo(0.4);
+      expect(
+        body.analyses.find((analysis) => analysis.analysis_id === third)
+      ).toMatchObject({
+        status: "failed",
+        overall_ai_probability: null,
+        error_message: "Video unavailable",
+        link: `/api/result/${third}`,
+      });
+    });
+
+    test("reports the expansion state of a playlist batch", async () => {
+      const service = new AnalysisService();
+      const { batch_id: batchId } = await service.startCollection(
+        "https://www.youtube.com/playlist?list=PL1234567890",
+        "playlist"
+      );
+
+      let { body } = await getBatch(batchId);
+      expect(body).toMatchObject({
+        source_type: "playlist",
+        status: "expanding",
+        total: 0,
+        overall_ai_probability: { mean: null, scored_analyses: 0 },
+      });
+
+      await service.markBatchFailed(batchId, "Playlist is private");
+      ({ body } = await getBatch(batchId));
+      expect(body).toMatchObject({
+        status: "failed",
+        error_message: "Playlist is private",
+      });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require("fs");
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { dbOperations } = require("../src/models/database");
+const AnalysisService = require("../src/services/analysisService");
+
+describe("checkpoint resume", () => {
+  let service;
+  const createdFiles = [];
+
+  beforeAll(async () => {
+    process.env.DEMO_MODE = "true";
+    await openTestDatabase();
+    service = new AnalysisService();
+  });
+
+  afterAll(async () => {
+    delete process.env.DEMO_MODE;
+    createdFiles.forEach((file) => fs.rmSync(file, { force: true }));
+    await removeTestDatabase();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  // Queue an analysis whose AI detection stage fails on the first run
+  async function analysisFailingAtDetection() {
+    const { analysis_id } = await service.startAnalysis(
+      "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+      { force: true }
+    );
+    jest
+      .spyOn(service.demoService, "simulateDetection")
+      .mockImplementationOnce(() => {
+        throw new Error("Detector unavailable");
+      });
+    await expect(service.runAnalysis(analysis_id)).rejects.toThrow(
+      "Detector unavailable"
+    );
+
+    const checkpoints = await dbOperations.getCheckpoints(analysis_id);
+    createdFiles.push(checkpoints.screenshot.screenshotPath);
+    return { id: analysis_id, checkpoints };
+  }
+
+  test("checkpoints the stages that succeeded before a failure", async () => {
+    const { checkpoints } = await analysisFailingAtDetection();
+
+    expect(Object.keys(checkpoints).sort()).toEqual([
+      "screenshot",
+      "transcription",
+    ]);
+    expect(checkpoints.transcription).toMatchObject({
+      mode: "stub",
+      provider: "demo",
+    });
+  });
+
+  test("a retry reuses checkpoints instead of re-running stages", async () => {
+    const { id } = await analysisFailingAtDetection();
+    const screenshot = jest.spyOn(service.demoService, "createDemoScreenshot");
+    const transcript = jest.spyOn(service.demoService, "getDemoData");
+
+    const result = await service.runAnalysis(id);
+    createdFiles.push(result.result.audio_path);
+
+    expect(screenshot).not.toHaveBeenCalled();
+    expect(transcript).not.toHaveBeenCalled();
+    expect(result.result.metadata.resumed_from_checkpoints.sort()).toEqual([
+      "screenshot",
+      "transcription",
+    ]);
+    expect((await dbOperations.getAnalysisById(id)).status).toBe("completed");
+  });
+
+  test("re-runs a stage whose files are gone", async () => {
+    const { id, checkpoints } = await analysisFailingAtDetection();
+    fs.rmSync(checkpoints.screenshot.screenshotPath);
+    const screenshot = jest.spyOn(service.demoService, "createDemoScreenshot");
+
+    const result = await service.runAnalysis(id);
+    createdFiles.push(result.result.audio_path);
+
+    expect(screenshot).toHaveBeenCalledTimes(1);
+    expect(fs.existsSync(checkpoints.screenshot.screenshotPath)).toBe(true);
+  });
+
+  test("retryAnalysis re-queues a failed analysis and keeps its checkpoints", async () => {
+    const { id } = await analysisFailingAtDetection();
+    await service.markAbandoned(id, "Detector unavailable");
+
+    const retry = await service.retryAnalysis(id);
+
+    expect(retry).toMatchObject({ success: true, status: "pending" });
+    expect(retry.completed_stages.sort()).toEqual([
+      "screenshot",
+      "transcription",
+    ]);
+    const analysis = await dbOperations.getAnalysisById(id);
+    expect(analysis.status).toBe("pending");
+    expect(analysis.error_message).toBeNull();
+  });
+
+  test("only failed analyses can be retried", async () => {
+    const { id } = await analysisFailingAtDetection();
+
+    expect(await service.retryAnalysis(id)).toMatchObject({
+      success: false,
+      error: expect.stringContaining("Only failed analyses"),
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { startTestApp } = require("./helpers/app");
+const { dbOperations } = require("../src/models/database");
+const AnalysisService = require("../src/services/analysisService");
+
+describe("deleting analyses", () => {
+  const ids = {
+    completed: "6f1c3c1e-2f4b-4a8e-9d1a-000000000001",
+    pending: "6f1c3c1e-2f4b-4a8e-9d1a-000000000002",
+    processing: "6f1c3c1e-2f4b-4a8e-9d1a-000000000003",
+    failed: "6f1c3c1e-2f4b-4a8e-9d1a-000000000004",
+    upload: "6f1c3c1e-2f4b-4a8e-9d1a-000000000005",
+  };
+  let app;
+  let directory;
+
+  // A file of `size` bytes in the test directory
+  function file(name, size) {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, Buffer.alloc(size));
+    return filePath;
+  }
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "deletion-test-"));
+    app = await startTestApp({
+      "/api/result": require("../src/routes/result"),
+    });
+
+    for (const status of ["completed", "pending", "processing", "failed"]) {
+      await dbOperations.insertAnalysis(
+        ids[status],
+        `https://youtu.be/${status}`
+      );
+    }
+    await dbOperations.updateStatus(ids.processing, "processing");
+    await dbOperations.updateStatus(ids.failed, "failed", {
+      errorMessage: "Video unavailable",
+    });
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await removeTestDatabase();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function remove(id) {
+    return fetch(`${app.url}/api/result/${id}`, { method: "DELETE" });
+  }
+
+  test("validates the ID", async () => {
+    expect((await remove("not-a-uuid")).status).toBe(400);
+    expect((await remove("6f1c3c1e-2f4b-4a8e-9d1a-ffffffffffff")).status).toBe(
+      404
+    );
+  });
+
+  test.each(["pending", "processing"])(
+    "409s while the analysis is %s",
+    async (status) => {
+      const response = await remove(ids[status]);
+
+      expect(response.status).toBe(409);
+      expect(await response.json()).toEqual({
+        success: false,
+        error: `Analysis is still in progress (status: ${status})`,
+        status,
+      });
+      expect(await dbOperations.getAnalysisById(ids[status])).toBeTruthy();
+    }
+  );
+
+  test("removes the analysis and every file it produced", async () => {
+    const screenshot = file("screenshot.png", 100);
+    const audio = file("audio.mp3", 200);
+    const wav = file("audio.wav", 400);
+    const kept = file("other.wav", 800);
+    await dbOperations.updateStatus(ids.completed, "completed", {
+      screenshotPath: screenshot,
+      audioPath: audio,
+      transcription: {
+        text: "Hello.",
+        segments: [{ start: 0, end: 1, text: "Hello." }],
+      },
+    });
+    await dbOperations.saveCheckpoint(ids.completed, "audio_download", {
+      audioPath: audio,
+    });
+    await dbOperations.saveCheckpoint(ids.completed, "audio_conversion", {
+      wavPath: wav,
+    });
+
+    const response = await remove(ids.completed);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      success: true,
+      analysis_id: ids.completed,
+      deleted_files: 3,
+      freed_bytes: 700,
+    });
+    [screenshot, audio, wav].forEach((filePath) =>
+      expect(fs.existsSync(filePath)).toBe(false)
+    );
+    expect(fs.existsSync(kept)).toBe(true);
+    expect(await dbOperations.getAnalysisById(ids.completed)).toBeFalsy();
+    expect(await dbOperations.getCheckpoints(ids.completed)).toEqual({});
+    expect((await remove(ids.completed)).status).toBe(404);
+  });
+
+  test("deletes uploads and skips files that are already gone", async () => {
+    const source = file("upload.mp4", 50);
+    await dbOperations.insertAnalysis(ids.upload, "upload://clip.mp4", {
+      sourceType: "upload",
+      sourcePath: source,
+    });
+    await dbOperations.updateStatus(ids.upload, "failed", {
+      audioPath: path.join(directory, "never-written.mp3"),
+    });
+
+    expect(await new AnalysisService().deleteAnalysis(ids.upload)).toEqual({
+      success: true,
+      analysis_id: ids.upload,
+      deleted_files: 1,
+      freed_bytes: 50,
+    });
+    expect(fs.existsSync(source)).toBe(false);
+  });
+
+  test("another key's analysis is not found", async () => {
+    const service = new AnalysisService();
+
+    expect(await service.deleteAnalysis(ids.failed, "other-key")).toEqual({
+      success: false,
+      error: "Analysis not found",
+    });
+    expect(await service.deleteAnalysis(ids.failed)).toMatchObject({
+      success: true,
+    });
+  });
+});
@@ -0,0 +1,22 @@
+const express = require("express");
+
+// Serve routers on an ephemeral port, the way src/server.js mounts them.
+// Resolves to { url, close }.
+async function startTestApp(routes) {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routes).forEach(([mountPath, router]) =>
+    app.use(mountPath, router)
+  );
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { startTestApp };
@@ -0,0 +1,21 @@
+const fs = require("fs");
+const {
+  initializeDatabase,
+  closeDatabase,
+  dbPath,
+} = require("../../src/models/database");
+
+// Open the per-file test database (see setup.js) with the full schema
+async function openTestDatabase(options) {
+  await initializeDatabase(options);
+}
+
+async function removeTestDatabase() {
+  await closeDatabase();
+  fs.rmSync(dbPath, { force: true });
+}
+
+module.exports = {
+  openTestDatabase,
+  removeTestDatabase,
+};
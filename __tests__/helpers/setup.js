@@ -0,0 +1,13 @@
+const os = require("os");
+const path = require("path");
+
+// Each test file gets its own database, and service logs stay out of the
+// test output
+process.env.DB_PATH = path.join(
+  os.tmpdir(),
+  `youtube-analysis-test-${process.pid}-${Math.random()
+    .toString(36)
+    .slice(2)}.db`
+);
+
+require("../../src/utils/logger").silent = true;
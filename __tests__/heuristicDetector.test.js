@@ -0,0 +1,161 @@
+const HeuristicDetectorService = require("../src/services/heuristicDetectorService");
+const {
+  getDefaultDetectorName,
+  createDetector,
+} = require("../src/services/detectors");
+const { resolveStageModes } = require("../src/services/stageModes");
+
+const casual =
+  "So yeah, I went down there and, um, I was like, what are you doing? " +
+  "And he just looked at me. I don't know, man. It was kind of weird, " +
+  "you know? Anyway we got the food and went home.";
+const scripted =
+  "Climate change represents one of the most pressing challenges facing " +
+  "humanity. Rising global temperatures contribute to extreme weather " +
+  "events, biodiversity loss, and economic disruption. Addressing these " +
+  "issues requires coordinated international efforts and innovative " +
+  "technological solutions.";
+
+describe("HeuristicDetectorService", () => {
+  const detector = new HeuristicDetectorService();
+
+  test("tokenizes like the corpus, splitting contractions", () => {
+    expect(detector.tokenize("I don't KNOW, it's 5 o'clock!")).toEqual([
+      "i",
+      "don",
+      "t",
+      "know",
+      "it",
+      "s",
+      "o",
+      "clock",
+    ]);
+  });
+
+  test("common words are less surprising than rare or unknown ones", () => {
+    const surprisals = ["the", "house", "tapestry", "qzxvbnm"].map((word) =>
+      detector.surprisal(word)
+    );
+
+    expect(surprisals).toEqual([...surprisals].sort((a, b) => a - b));
+    expect(new Set(surprisals).size).toBe(4);
+    // Unknown words get a finite, smoothed probability
+    expect(Number.isFinite(surprisals[3])).toBe(true);
+  });
+
+  test("merges the corpus counts of a word's capitalizations", () => {
+    const variants = require("subtlex-word-frequencies").filter(
+      (entry) => entry.word.toLowerCase() === "i"
+    );
+
+    expect(detector.model.counts.get("i")).toBe(
+      variants.reduce((sum, entry) => sum + entry.count, 0)
+    );
+    expect(detector.model.counts.has("I")).toBe(false);
+  });
+
+  test("scores casual speech as human and scripted prose as AI", async () => {
+    const human = await detector.detectAIProbability(casual);
+    const ai = await detector.detectAIProbability(scripted);
+
+    expect(human).toMatchObject({ success: true, prediction: "human" });
+    expect(ai).toMatchObject({ success: true, prediction: "ai" });
+    expect(ai.metadata.perplexity).toBeGreaterThan(human.metadata.perplexity);
+    expect(ai.aiProbability).toBeGreaterThan(human.aiProbability);
+  });
+
+  test("reports the features it scored", async () => {
+    const { metadata } = await detector.detectAIProbability(casual);
+
+    expect(metadata).toEqual({
+      model: "subtlex-us-unigram",
+      perplexity: expect.any(Number),
+      burstiness: expect.any(Number),
+      marker_rate: 0,
+      word_count: 41,
+      sentence_count: 5,
+    });
+  });
+
+  test("marker words raise the score", async () => {
+    const plain = await detector.detectAIProbability(
+      "We should make sure the plan works."
+    );
+    const marked = await detector.detectAIProbability(
+      "We should ensure the robust plan works."
+    );
+
+    expect(marked.metadata.marker_rate).toBeCloseTo(2 / 7);
+    expect(marked.aiProbability).toBeGreaterThan(plain.aiProbability);
+  });
+
+  test("uniform sentences are less bursty than varied ones", async () => {
+    const uniform = await detector.detectAIProbability(
+      "The cat sat on the mat. The dog lay on the rug. The bird sat on the branch."
+    );
+    const varied = await detector.detectAIProbability(
+      "Stop. The dog, who had been lying on the rug all afternoon, finally got up. Why?"
+    );
+
+    expect(uniform.metadata.burstiness).toBeLessThan(
+      varied.metadata.burstiness
+    );
+  });
+
+  test("needs two sentences to measure burstiness", async () => {
+    const { metadata } = await detector.detectAIProbability(
+      "Just one sentence here"
+    );
+    expect(metadata.burstiness).toBeNull();
+  });
+
+  test("short texts get lower confidence", async () => {
+    const short = await detector.detectAIProbability(
+      scripted.split(". ")[0] + "."
+    );
+    const long = await detector.detectAIProbability(`${scripted} ${scripted}`);
+
+    expect(short.confidence).toBeLessThan(long.confidence);
+    expect(long.confidence).toBeLessThanOrEqual(1);
+  });
+
+  test("fails on text without words", async () => {
+    expect(await detector.detectAIProbability(" 42 ... !")).toEqual({
+      success: false,
+      error: "Text contains no words",
+    });
+  });
+
+  test("instances share one model", () => {
+    expect(createDetector("heuristic").model).toBe(detector.model);
+  });
+});
+
+describe("detector selection", () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test("the heuristic detector is never chosen automatically", () => {
+    delete process.env.AI_DETECTOR;
+    delete process.env.GPTZERO_API_KEY;
+
+    expect(getDefaultDetectorName()).toBe("gptzero");
+
+    process.env.AI_DETECTOR = "heuristic";
+    expect(getDefaultDetectorName()).toBe("heuristic");
+  });
+
+  test("without a GPTZero key detection is stubbed by default", () => {
+    delete process.env.AI_DETECTOR;
+    delete process.env.GPTZERO_API_KEY;
+    delete process.env.DEMO_MODE;
+
+    const detector = createDetector(getDefaultDetectorName());
+    expect(
+      resolveStageModes({ ai_detection: detector.isConfigured() }).ai_detection
+    ).toBe("stub");
+  });
+});
@@ -0,0 +1,242 @@
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { dbOperations } = require("../src/models/database");
+const JobQueue = require("../src/services/jobQueue");
+
+beforeAll(() => openTestDatabase());
+afterAll(() => removeTestDatabase());
+
+describe("job claiming and leases", () => {
+  test("claims due jobs oldest first, once", async () => {
+    const first = await dbOperations.enqueueJob("claim-test", {
+      runAt: Date.now() - 2000,
+    });
+    const second = await dbOperations.enqueueJob("claim-test", {
+      runAt: Date.now() - 1000,
+    });
+    await dbOperations.enqueueJob("claim-test", {
+      runAt: Date.now() + 60000,
+    });
+
+    const a = await dbOperations.claimNextJob("worker-a", 60000);
+    const b = await dbOperations.claimNextJob("worker-b", 60000);
+    const none = await dbOperations.claimNextJob("worker-c", 60000);
+
+    expect(a).toMatchObject({
+      id: first,
+      status: "processing",
+      locked_by: "worker-a",
+      attempts: 1,
+    });
+    expect(b).toMatchObject({ id: second, locked_by: "worker-b" });
+    // The third job isn't due yet
+    expect(none).toBeNull();
+
+    await dbOperations.completeJob(a.id, "worker-a");
+    await dbOperations.completeJob(b.id, "worker-b");
+  });
+
+  test("only the lease holder can renew or complete a job", async () => {
+    const id = await dbOperations.enqueueJob("lease-test");
+    await dbOperations.claimNextJob("owner", 60000);
+
+    expect(await dbOperations.renewJobLease(id, "intruder", 60000)).toBe(0);
+    expect(await dbOperations.renewJobLease(id, "owner", 60000)).toBe(1);
+    expect(await dbOperations.completeJob(id, "intruder")).toBe(0);
+    expect(await dbOperations.completeJob(id, "owner")).toBe(1);
+  });
+
+  test("reclaims a job whose lease expired, until max_attempts", async () => {
+    const id = await dbOperations.enqueueJob("reclaim-test", {
+      maxAttempts: 2,
+    });
+
+    // A lease of -1ms has already expired, as if the worker died
+    const crashed = await dbOperations.claimNextJob("crashed", -1);
+    expect(crashed).toMatchObject({ id, attempts: 1 });
+
+    const reclaimed = await dbOperations.claimNextJob("rescuer", -1);
+    expect(reclaimed).toMatchObject({ id, attempts: 2, locked_by: "rescuer" });
+
+    // Out of attempts: not claimable again, failed instead
+    expect(await dbOperations.claimNextJob("late", 60000)).toBeNull();
+    const exhausted = await dbOperations.failExhaustedJobs();
+    expect(exhausted.map((job) => job.id)).toEqual([id]);
+    expect(exhausted[0].status).toBe("failed");
+  });
+});
+
+describe("JobQueue.runJob", () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new JobQueue();
+    queue.retryDelay = 1000;
+    queue.leaseMs = 60000;
+  });
+
+  async function claim(type, options) {
+    await dbOperations.enqueueJob(type, options);
+    return dbOperations.claimNextJob(queue.workerId, queue.leaseMs);
+  }
+
+  test("completes a job whose handler succeeds", async () => {
+    const handler = jest.fn().mockResolvedValue();
+    queue.registerHandler("ok", handler);
+    const job = await claim("ok", { payload: { value: 1 } });
+
+    await queue.runJob(job);
+
+    expect(handler).toHaveBeenCalledWith(
+      expect.objectContaining({ id: job.id }),
+      { value: 1 }
+    );
+    expect(await dbOperations.completeJob(job.id, queue.workerId)).toBe(0);
+  });
+
+  test("retries a failed job with exponential backoff", async () => {
+    queue.registerHandler("flaky", () => Promise.reject(new Error("busy")));
+    const job = await claim("flaky", { maxAttempts: 3 });
+    const before = Date.now();
+
+    await queue.runJob(job);
+
+    // Pending again, due after the base delay (first attempt: 2^0)
+    expect(await dbOperations.claimNextJob("peek", 60000)).toBeNull();
+    jest.spyOn(Date, "now").mockReturnValue(before + queue.retryDelay + 1000);
+    const due = await dbOperations.claimNextJob("peek", 60000);
+    Date.now.mockRestore();
+
+    expect(due).toMatchObject({ id: job.id, attempts: 2, last_error: "busy" });
+    expect(due.run_at).toBeGreaterThanOrEqual(before + queue.retryDelay);
+    expect(due.run_at).toBeLessThan(before + 2 * queue.retryDelay);
+    await dbOperations.completeJob(job.id, "peek");
+  });
+
+  test("gives up on a non-retryable error and calls onExhausted", async () => {
+    const error = Object.assign(new Error("video unavailable"), {
+      retryable: false,
+    });
+    const onExhausted = jest.fn().mockResolvedValue();
+    queue.registerHandler("permanent", () => Promise.reject(error), {
+      onExhausted,
+    });
+    const job = await claim("permanent", { maxAttempts: 3 });
+
+    await queue.runJob(job);
+
+    expect(onExhausted).toHaveBeenCalledWith(
+      expect.objectContaining({ id: job.id }),
+      error
+    );
+    expect(await dbOperations.countActiveJobs("permanent")).toBe(0);
+  });
+
+  test("calls onExhausted when the last attempt fails", async () => {
+    const onExhausted = jest.fn().mockResolvedValue();
+    queue.registerHandler("last", () => Promise.reject(new Error("again")), {
+      onExhausted,
+    });
+    const job = await claim("last", { maxAttempts: 1 });
+
+    await queue.runJob(job);
+
+    expect(onExhausted).toHaveBeenCalledTimes(1);
+    expect(await dbOperations.countActiveJobs("last")).toBe(0);
+  });
+
+  test("renews the lease while a job runs", async () => {
+    queue.leaseMs = 300;
+    let release;
+    queue.registerHandler(
+      "slow",
+      () => new Promise((resolve) => (release = resolve))
+    );
+    const job = await claim("slow");
+    const running = queue.runJob(job);
+
+    // Past the original lease, the heartbeat has kept the job locked
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    expect(await dbOperations.claimNextJob("thief", 60000)).toBeNull();
+
+    release();
+    await running;
+  });
+});
+
+describe("analysis jobs", () => {
+  const AnalysisService = require("../src/services/analysisService");
+  let service;
+
+  beforeAll(() => {
+    process.env.DEMO_MODE = "true";
+    service = new AnalysisService();
+  });
+
+  afterAll(() => {
+    delete process.env.DEMO_MODE;
+  });
+
+  async function failingAnalysis(error) {
+    const { analysis_id } = await service.startAnalysis(
+      "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+      { skipCache: true }
+    );
+    jest
+      .spyOn(service.demoService, "createDemoScreenshot")
+      .mockRejectedValueOnce(error);
+    return analysis_id;
+  }
+
+  test("rethrows network failures as retryable, leaving the analysis running", async () => {
+    const id = await failingAnalysis(
+      Object.assign(new Error("socket hang up"), { code: "ECONNRESET" })
+    );
+
+    await expect(service.runAnalysis(id)).rejects.toMatchObject({
+      retryable: true,
+    });
+    const analysis = await dbOperations.getAnalysisById(id);
+    expect(analysis.status).toBe("processing");
+  });
+
+  test("marks other failures as permanent", async () => {
+    const id = await failingAnalysis(new Error("Video unavailable"));
+
+    await expect(service.runAnalysis(id)).rejects.toMatchObject({
+      retryable: false,
+    });
+  });
+});
+
+describe("playlist expansion jobs", () => {
+  const AnalysisService = require("../src/services/analysisService");
+  const { jobQueue } = require("../src/worker");
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("record the error of the attempt that gave up on the batch", async () => {
+    const { batch_id: batchId } = await new AnalysisService().startCollection(
+      "https://www.youtube.com/playlist?list=PL1234567890",
+      "playlist"
+    );
+    jest
+      .spyOn(AnalysisService.prototype, "expandCollection")
+      .mockRejectedValue(
+        Object.assign(new Error("Playlist is private"), { retryable: false })
+      );
+
+    await jobQueue.runJob({
+      id: 0,
+      type: "expand_collection",
+      payload: JSON.stringify({ batchId }),
+      attempts: 1,
+      max_attempts: 3,
+      last_error: null,
+    });
+
+    expect(await dbOperations.getBatchById(batchId)).toMatchObject({
+      status: "failed",
+      error_message: "Playlist is private",
+    });
+  });
+});
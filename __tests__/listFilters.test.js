@@ -0,0 +1,206 @@
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { dbOperations } = require("../src/models/database");
+const { encodeCursor, parseListFilters } = require("../src/utils/listFilters");
+
+describe("parseListFilters", () => {
+  test("defaults to the newest 50", () => {
+    expect(parseListFilters({})).toEqual({
+      filters: { sort: "created_at", order: "desc", limit: 50 },
+    });
+  });
+
+  test.each([
+    [{ status: "done" }, "Invalid status"],
+    [{ published_after: "2024-13-01" }, "Invalid published_after"],
+    [{ created_before: "yesterday" }, "Invalid created_before"],
+    [{ min_duration: "-1" }, "Invalid min_duration"],
+    [{ max_ai_probability: "1.5" }, "Invalid max_ai_probability"],
+    [{ sort: "title" }, "Invalid sort"],
+    [{ order: "up" }, "Invalid order"],
+    [{ limit: "0" }, "Invalid limit"],
+    [{ limit: "201" }, "Invalid limit"],
+    [{ limit: "2.5" }, "Invalid limit"],
+    [{ cursor: "not-a-cursor" }, "Invalid cursor"],
+  ])("rejects %p", (query, error) => {
+    expect(parseListFilters(query).error).toContain(error);
+  });
+
+  test("decodes a cursor for the same sort order", () => {
+    const cursor = {
+      sort: "ai_probability",
+      order: "asc",
+      value: 0.5,
+      id: "x",
+    };
+    const query = { sort: "ai_probability", order: "ASC", limit: "10" };
+
+    expect(
+      parseListFilters({ ...query, cursor: encodeCursor(cursor) }).filters
+    ).toMatchObject({ order: "asc", limit: 10, cursor });
+    expect(parseListFilters({ cursor: encodeCursor(cursor) }).error).toBe(
+      "Cursor was issued for a different sort order"
+    );
+  });
+});
+
+describe("keyset pagination", () => {
+  const AnalysisService = require("../src/services/analysisService");
+  const service = new AnalysisService();
+  // Ties and missing scores, so pages must break ties by ID
+  const probabilities = {
+    "id-1": 0.5,
+    "id-2": 0.5,
+    "id-3": null,
+    "id-4": 0.2,
+    "id-5": 0.5,
+    "id-6": 0.9,
+    "id-7": null,
+  };
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    for (const [id, probability] of Object.entries(probabilities)) {
+      await dbOperations.insertAnalysis(id, `https://youtu.be/${id}`);
+      if (probability !== null) {
+        await dbOperations.updateStatus(id, "completed", {
+          aiProbabilities: { overall_ai_probability: probability },
+        });
+      }
+    }
+  });
+
+  afterAll(() => removeTestDatabase());
+
+  // Follow next_cursor until the last page
+  async function allPages(query) {
+    const ids = [];
+    let cursor;
+    do {
+      const { filters } = parseListFilters({ ...query, cursor });
+      const page = await service.getAllAnalyses(filters);
+      expect(page.total).toBe(Object.keys(probabilities).length);
+      ids.push(...page.analyses.map((analysis) => analysis.id));
+      cursor = page.next_cursor;
+      expect(Boolean(cursor)).toBe(page.has_more);
+    } while (cursor);
+    return ids;
+  }
+
+  test.each([
+    ["desc", ["id-6", "id-5", "id-2", "id-1", "id-4", "id-7", "id-3"]],
+    ["asc", ["id-3", "id-7", "id-4", "id-1", "id-2", "id-5", "id-6"]],
+  ])("walks every analysis once sorted %s", async (order, expected) => {
+    expect(
+      await allPages({ sort: "ai_probability", order, limit: "2" })
+    ).toEqual(expected);
+  });
+
+  test("a page isn't shifted by analyses added since the previous one", async () => {
+    const { filters } = parseListFilters({ limit: "3" });
+    const first = await service.getAllAnalyses(filters);
+    await dbOperations.insertAnalysis("id-8", "https://youtu.be/id-8");
+
+    const second = await service.getAllAnalyses(
+      parseListFilters({ limit: "3", cursor: first.next_cursor }).filters
+    );
+
+    const seen = [...first.analyses, ...second.analyses].map(
+      (analysis) => analysis.id
+    );
+    expect(new Set(seen).size).toBe(6);
+    expect(seen).not.toContain("id-8");
+  });
+});
+
+describe("video metadata filters", () => {
+  const AnalysisService = require("../src/services/analysisService");
+  const service = new AnalysisService();
+  const videos = [
+    {
+      video_id: "aaaaaaaaaaa",
+      title: "Cooking pasta at home",
+      channel: "Kitchen Club",
+      channel_id: "UCkitchen",
+      duration_seconds: 300,
+      publish_date: "2024-01-15",
+      tags: ["Cooking", "pasta"],
+    },
+    {
+      video_id: "bbbbbbbbbbb",
+      title: "Baking bread",
+      channel: "Kitchen Club",
+      channel_id: "UCkitchen",
+      duration_seconds: 1800,
+      publish_date: "2024-03-01T12:00:00Z",
+      tags: ["baking"],
+    },
+    {
+      video_id: "ccccccccccc",
+      title: "Pasta history lecture",
+      channel: "History Hour",
+      channel_id: "UChistory",
+      duration_seconds: 3600,
+      publish_date: "2023-11-20",
+      tags: [],
+    },
+  ];
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    for (const video of videos) {
+      await dbOperations.upsertVideoMetadata(video);
+      await dbOperations.insertAnalysis(
+        `analysis-${video.video_id[0]}`,
+        `https://youtu.be/${video.video_id}`,
+        { videoId: video.video_id }
+      );
+    }
+    // An analysis whose metadata was never fetched
+    await dbOperations.insertAnalysis(
+      "analysis-d",
+      "https://youtu.be/ddddddddddd",
+      { videoId: "ddddddddddd" }
+    );
+  });
+
+  afterAll(() => removeTestDatabase());
+
+  async function list(query) {
+    const { filters, error } = parseListFilters({
+      ...query,
+      sort: "created_at",
+      order: "asc",
+    });
+    expect(error).toBeUndefined();
+    const page = await service.getAllAnalyses(filters);
+    expect(page.total).toBe(page.analyses.length);
+    return page.analyses.map((analysis) => analysis.id).sort();
+  }
+
+  test.each([
+    [{}, ["analysis-a", "analysis-b", "analysis-c", "analysis-d"]],
+    [{ channel: " kitchen " }, ["analysis-a", "analysis-b"]],
+    [{ channel_id: "UChistory" }, ["analysis-c"]],
+    [{ title: "PASTA" }, ["analysis-a", "analysis-c"]],
+    // Tags match whole tags, ignoring case
+    [{ tag: "cooking" }, ["analysis-a"]],
+    [{ tag: "cook" }, []],
+    [{ video_id: "ddddddddddd" }, ["analysis-d"]],
+    [{ published_after: "2024-01-15" }, ["analysis-a", "analysis-b"]],
+    [
+      { published_before: "2024-03-01" },
+      ["analysis-a", "analysis-b", "analysis-c"],
+    ],
+    [{ published_after: "2024-01-16", published_before: "2024-02-29" }, []],
+    [{ min_duration: "1800" }, ["analysis-b", "analysis-c"]],
+    [{ max_duration: "1800" }, ["analysis-a", "analysis-b"]],
+    [{ channel: "Kitchen", min_duration: "600" }, ["analysis-b"]],
+  ])("%p", async (query, expected) => {
+    expect(await list(query)).toEqual(expected);
+  });
+
+  test("video filters leave out analyses without metadata", async () => {
+    expect(await list({ min_duration: "0" })).not.toContain("analysis-d");
+    expect(await list({ title: "" })).toContain("analysis-d");
+  });
+});
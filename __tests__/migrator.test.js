@@ -0,0 +1,226 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sqlite3 = require("sqlite3").verbose();
+const Migrator = require("../src/models/migrator");
+
+const files = [];
+
+function tempPath(name) {
+  const file = path.join(
+    os.tmpdir(),
+    `migrator-test-${process.pid}-${Math.random()
+      .toString(36)
+      .slice(2)}-${name}`
+  );
+  files.push(file);
+  return file;
+}
+
+function openDatabase(file = tempPath("test.db")) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, (err) => {
+      if (err) reject(err);
+      else {
+        db.configure("busyTimeout", 10000);
+        resolve(db);
+      }
+    });
+  });
+}
+
+function closeDatabase(db) {
+  return new Promise((resolve) => db.close(() => resolve()));
+}
+
+// Every table, index, trigger and view, to compare schemas
+async function schemaOf(migrator) {
+  return migrator.schema.all(
+    `SELECT type, name, sql FROM sqlite_master
+     WHERE name NOT LIKE 'sqlite_%' AND name <> 'schema_migrations'
+     ORDER BY type, name`
+  );
+}
+
+afterAll(() => files.forEach((file) => fs.rmSync(file, { force: true })));
+
+describe("migrations", () => {
+  let db;
+  let migrator;
+
+  beforeEach(async () => {
+    db = await openDatabase();
+    migrator = new Migrator(db);
+  });
+
+  afterEach(() => closeDatabase(db));
+
+  test("a new database is migrated to the latest version", async () => {
+    const applied = await migrator.migrate();
+    const status = await migrator.status();
+
+    expect(applied.length).toBe(status.latest);
+    expect(status.current).toBe(status.latest);
+    expect(status.migrations.every((migration) => migration.applied)).toBe(
+      true
+    );
+    expect(await migrator.migrate()).toEqual([]);
+  });
+
+  test("each migration's down reverts its up", async () => {
+    const migrations = migrator.loadMigrations();
+    const schemas = [await schemaOf(migrator)];
+    for (const { version } of migrations) {
+      await migrator.migrate(version);
+      schemas[version] = await schemaOf(migrator);
+    }
+
+    for (const { version } of [...migrations].reverse()) {
+      await migrator.rollback(version - 1);
+      expect(await schemaOf(migrator)).toEqual(schemas[version - 1]);
+    }
+    expect((await migrator.status()).current).toBe(0);
+
+    // And everything can be applied again from scratch
+    await migrator.migrate();
+    expect(await schemaOf(migrator)).toEqual(
+      schemas[migrations[migrations.length - 1].version]
+    );
+  });
+
+  test("adopts a database created before migrations existed", async () => {
+    await migrator.schema.exec(`
+      CREATE TABLE analysis_results (
+        id TEXT PRIMARY KEY,
+        youtube_url TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        screenshot_path TEXT,
+        audio_path TEXT,
+        transcription TEXT,
+        ai_probabilities TEXT,
+        error_message TEXT,
+        processing_time INTEGER
+      );
+      INSERT INTO analysis_results (id, youtube_url, status)
+      VALUES ('legacy', 'https://youtu.be/legacy', 'failed');
+    `);
+
+    await migrator.migrate();
+
+    const rows = await migrator.schema.all(
+      "SELECT id, status, source_type FROM analysis_results"
+    );
+    expect(rows).toEqual([
+      { id: "legacy", status: "failed", source_type: "youtube" },
+    ]);
+  });
+
+  test("moves batch membership out of analysis_results", async () => {
+    await migrator.migrate(7);
+    await migrator.schema.exec(`
+      INSERT INTO batches (id) VALUES ('batch-1');
+      INSERT INTO analysis_results (id, youtube_url, batch_id)
+      VALUES ('in-batch', 'https://youtu.be/a', 'batch-1'),
+             ('alone', 'https://youtu.be/b', NULL);
+    `);
+
+    await migrator.migrate(8);
+    expect(
+      await migrator.schema.columnExists("analysis_results", "batch_id")
+    ).toBe(false);
+    expect(
+      await migrator.schema.all(
+        "SELECT batch_id, analysis_id FROM batch_analyses"
+      )
+    ).toEqual([{ batch_id: "batch-1", analysis_id: "in-batch" }]);
+
+    await migrator.rollback(7);
+    expect(
+      await migrator.schema.all(
+        "SELECT id, batch_id FROM analysis_results ORDER BY id"
+      )
+    ).toEqual([
+      { id: "alone", batch_id: null },
+      { id: "in-batch", batch_id: "batch-1" },
+    ]);
+  });
+
+  test("refuses to roll back versions it doesn't know", async () => {
+    await migrator.migrate();
+    await migrator.schema.run(
+      "INSERT INTO schema_migrations (version, name) VALUES (999, 'future')"
+    );
+
+    expect((await migrator.status()).unknown).toEqual([
+      expect.objectContaining({ version: 999 }),
+    ]);
+    await expect(migrator.rollback(0)).rejects.toThrow(
+      "Cannot roll back migrations missing from this version: 999"
+    );
+  });
+
+  test("concurrent migrators apply each migration once", async () => {
+    const file = tempPath("shared.db");
+    const first = await openDatabase(file);
+    const second = await openDatabase(file);
+
+    const [a, b] = await Promise.all([
+      new Migrator(first).migrate(),
+      new Migrator(second).migrate(),
+    ]);
+
+    const latest = (await new Migrator(first).status()).latest;
+    expect(a.length + b.length).toBe(latest);
+    await closeDatabase(first);
+    await closeDatabase(second);
+  });
+});
+
+describe("a failing migration", () => {
+  let db;
+  let directory;
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    fs.writeFileSync(
+      path.join(directory, "001_widgets.js"),
+      `module.exports = {
+        up: (schema) => schema.exec("CREATE TABLE widgets (id INTEGER)"),
+        down: (schema) => schema.exec("DROP TABLE widgets"),
+      };`
+    );
+    fs.writeFileSync(
+      path.join(directory, "002_broken.js"),
+      `module.exports = {
+        async up(schema) {
+          await schema.exec("CREATE TABLE gadgets (id INTEGER)");
+          await schema.exec("ALTER TABLE missing ADD COLUMN name TEXT");
+        },
+        down: (schema) => schema.exec("DROP TABLE gadgets"),
+      };`
+    );
+    db = await openDatabase();
+  });
+
+  afterAll(async () => {
+    await closeDatabase(db);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("is rolled back and left unapplied", async () => {
+    const migrator = new Migrator(db, directory);
+
+    await expect(migrator.migrate()).rejects.toThrow("no such table: missing");
+
+    const tables = await migrator.schema.all(
+      "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name"
+    );
+    expect(tables.map((table) => table.name)).toEqual([
+      "schema_migrations",
+      "widgets",
+    ]);
+    expect((await migrator.status()).current).toBe(1);
+  });
+});
@@ -0,0 +1,201 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMockServer } = require("../src/mocks/mockApiServer");
+const fixtures = require("../src/mocks/fixtures");
+const ElevenLabsService = require("../src/services/elevenLabsService");
+const GPTZeroService = require("../src/services/gptZeroService");
+const AIDetectionService = require("../src/services/aiDetectionService");
+
+const env = {
+  ELEVENLABS_API_KEY: "mock",
+  GPTZERO_API_KEY: "mock",
+  ELEVENLABS_TIMEOUT_MS: "200",
+  GPTZERO_TIMEOUT_MS: "200",
+  GPTZERO_REQUESTS_PER_SECOND: "100",
+  AI_DETECTION_RETRY_DELAY_MS: "10",
+};
+
+describe("services against the mock API server", () => {
+  const mock = createMockServer({ retryAfterSeconds: 0.2 });
+  const audioPath = path.join(os.tmpdir(), `mock-audio-${process.pid}.wav`);
+
+  beforeAll(async () => {
+    const url = await mock.listen(0);
+    Object.assign(process.env, env, {
+      ELEVENLABS_BASE_URL: url,
+      GPTZERO_BASE_URL: url,
+    });
+    fs.writeFileSync(audioPath, Buffer.alloc(1024));
+  });
+
+  afterAll(async () => {
+    Object.keys(env).forEach((name) => delete process.env[name]);
+    delete process.env.ELEVENLABS_BASE_URL;
+    delete process.env.GPTZERO_BASE_URL;
+    fs.rmSync(audioPath, { force: true });
+    await mock.close();
+  });
+
+  afterEach(() => {
+    mock.reset();
+    mock.latencyMs = 0;
+  });
+
+  describe("ElevenLabsService", () => {
+    test("transcribes the fixture response", async () => {
+      const result = await new ElevenLabsService().transcribeAudio(
+        audioPath,
+        "analysis"
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.transcription.text).toBe(fixtures.transcription.text);
+      expect(result.transcription.segments).toHaveLength(
+        fixtures.transcription.segments.length
+      );
+      expect(result.transcription.metadata).toMatchObject({
+        language: "en",
+        duration: 14.6,
+        provider: "elevenlabs",
+      });
+    });
+
+    test("reports a 429 as retryable", async () => {
+      mock.injectError("/v1/speech-to-text", 429);
+
+      const result = await new ElevenLabsService().transcribeAudio(
+        audioPath,
+        "analysis"
+      );
+
+      expect(result).toMatchObject({ success: false, retryable: true });
+      expect(result.error).toMatch(/429/);
+    });
+
+    test("reports a 500 as retryable", async () => {
+      mock.injectError("/v1/speech-to-text", 500);
+
+      const result = await new ElevenLabsService().transcribeAudio(
+        audioPath,
+        "analysis"
+      );
+
+      expect(result).toMatchObject({ success: false, retryable: true });
+    });
+
+    test("reports a rejected API key as permanent", async () => {
+      mock.injectError("/v1/speech-to-text", 401);
+
+      const result = await new ElevenLabsService().transcribeAudio(
+        audioPath,
+        "analysis"
+      );
+
+      expect(result).toMatchObject({ success: false, retryable: false });
+    });
+
+    test("times out on a hung request", async () => {
+      mock.injectError("/v1/speech-to-text", "timeout");
+
+      const result = await new ElevenLabsService().transcribeAudio(
+        audioPath,
+        "analysis"
+      );
+
+      expect(result).toMatchObject({ success: false, retryable: true });
+      expect(result.error).toMatch(/timeout/);
+    });
+  });
+
+  describe("GPTZeroService", () => {
+    const text = "Furthermore, it is crucial to ensure comprehensive coverage.";
+
+    test("scores text with the fixture prediction", async () => {
+      const result = await new GPTZeroService().detectAIProbability(text);
+      const expected = fixtures.predict(text).documents[0];
+
+      expect(result).toMatchObject({
+        success: true,
+        aiProbability: expected.ai_probability,
+        prediction: expected.prediction,
+      });
+      expect(mock.requests).toEqual([{ method: "POST", path: "/v2/predict" }]);
+    });
+
+    test("passes on Retry-After from a 429", async () => {
+      mock.injectError("/v2/predict", 429);
+
+      const result = await new GPTZeroService().detectAIProbability(text);
+
+      expect(result).toMatchObject({
+        success: false,
+        retryable: true,
+        retryAfterMs: 200,
+      });
+    });
+
+    test("reports a 500 as retryable", async () => {
+      mock.injectError("/v2/predict", 500);
+
+      const result = await new GPTZeroService().detectAIProbability(text);
+
+      expect(result).toMatchObject({ success: false, retryable: true });
+      expect(result.retryAfterMs).toBeNull();
+    });
+
+    test("times out when the API is slower than GPTZERO_TIMEOUT_MS", async () => {
+      mock.latencyMs = 500;
+
+      const result = await new GPTZeroService().detectAIProbability(text);
+
+      expect(result).toMatchObject({ success: false, retryable: true });
+      expect(result.error).toMatch(/timeout/);
+    });
+
+    test("doesn't retry an unexpected response", async () => {
+      const predict = mock.fixtures.predict;
+      mock.fixtures.predict = () => ({ documents: [] });
+
+      const result = await new GPTZeroService().detectAIProbability(text);
+      mock.fixtures.predict = predict;
+
+      expect(result).toMatchObject({
+        success: false,
+        error: "Invalid GPTZero response format",
+        retryable: false,
+      });
+    });
+
+    test("detection waits out Retry-After and retries", async () => {
+      mock.injectError("/v2/predict", 429, 2);
+      const detection = new AIDetectionService(new GPTZeroService());
+      const startTime = Date.now();
+
+      const result = await detection.processTranscriptionSegments({
+        segments: [{ start: 0, end: 3, text }],
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.segments[0].ai_detection.ai_probability).toBe(
+        fixtures.predict(text).documents[0].ai_probability
+      );
+      expect(mock.requests).toHaveLength(3);
+      expect(Date.now() - startTime).toBeGreaterThanOrEqual(400);
+    });
+
+    test("detection gives up after AI_DETECTION_MAX_RETRIES", async () => {
+      mock.injectError("/v2/predict", 500, 10);
+      process.env.AI_DETECTION_MAX_RETRIES = "2";
+      const detection = new AIDetectionService(new GPTZeroService());
+      delete process.env.AI_DETECTION_MAX_RETRIES;
+
+      const result = await detection.processTranscriptionSegments({
+        segments: [{ start: 0, end: 3, text }],
+      });
+
+      expect(result.segments[0].ai_detection.error).toMatch(/500/);
+      expect(mock.requests).toHaveLength(3);
+    });
+  });
+});
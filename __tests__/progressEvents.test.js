@@ -0,0 +1,171 @@
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { startTestApp } = require("./helpers/app");
+const { dbOperations } = require("../src/models/database");
+const progressTracker = require("../src/utils/progressTracker");
+
+// Parse "event:"/"data:" blocks, ignoring heartbeat comments
+function parseEvents(text) {
+  return text
+    .split("\n\n")
+    .map((block) => block.split("\n").find((line) => line.startsWith("data:")))
+    .filter(Boolean)
+    .map((line) => JSON.parse(line.slice("data:".length)));
+}
+
+async function readAll(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return parseEvents(text);
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+}
+
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (condition()) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+describe("GET /api/result/:id/events", () => {
+  let app;
+  let counter = 0;
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    app = await startTestApp({
+      "/api/result": require("../src/routes/result"),
+    });
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await removeTestDatabase();
+  });
+
+  // Only the status poll's interval is faked, so requests still run normally
+  beforeEach(() => {
+    jest.useFakeTimers({
+      doNotFake: [
+        "Date",
+        "hrtime",
+        "nextTick",
+        "performance",
+        "queueMicrotask",
+        "setImmediate",
+        "clearImmediate",
+        "setTimeout",
+        "clearTimeout",
+      ],
+    });
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  async function createAnalysis(status = "pending") {
+    counter += 1;
+    const id = `6f1c3c1e-2f4b-4a8e-9d1a-${String(counter).padStart(12, "0")}`;
+    await dbOperations.insertAnalysis(id, `https://youtu.be/${id}`);
+    if (status !== "pending") {
+      await dbOperations.updateStatus(id, status);
+    }
+    return id;
+  }
+
+  function subscribe(id, options) {
+    return fetch(`${app.url}/api/result/${id}/events`, options);
+  }
+
+  test("rejects malformed and unknown IDs", async () => {
+    expect((await subscribe("not-a-uuid")).status).toBe(400);
+
+    const response = await subscribe("6f1c3c1e-2f4b-4a8e-9d1a-ffffffffffff");
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({
+      success: false,
+      error: "Analysis not found",
+    });
+  });
+
+  test("sends the status and ends for a finished analysis", async () => {
+    const id = await createAnalysis("completed");
+
+    const response = await subscribe(id);
+
+    expect(response.headers.get("content-type")).toMatch(/^text\/event-stream/);
+    expect(await readAll(response)).toEqual([
+      expect.objectContaining({ type: "status", status: "completed" }),
+    ]);
+    expect(progressTracker.listenerCount(id)).toBe(0);
+  });
+
+  test("relays progress and ends at a terminal status", async () => {
+    const id = await createAnalysis();
+    progressTracker.report(id, { type: "progress", stage: "transcribing" });
+
+    const response = await subscribe(id);
+    const events = readAll(response);
+    await waitFor(() => progressTracker.listenerCount(id) === 1);
+    progressTracker.report(id, { type: "status", status: "analyzing" });
+    progressTracker.report(id, { type: "status", status: "failed" });
+
+    expect((await events).map((event) => event.status || event.stage)).toEqual([
+      "pending",
+      "transcribing",
+      "analyzing",
+      "failed",
+    ]);
+    expect(progressTracker.listenerCount(id)).toBe(0);
+  });
+
+  test("picks up status changes made by another process", async () => {
+    const id = await createAnalysis();
+
+    const response = await subscribe(id);
+    const events = readAll(response);
+    await waitFor(() => progressTracker.listenerCount(id) === 1);
+    // Written straight to the database, bypassing the tracker
+    await dbOperations.updateStatus(id, "completed");
+    jest.advanceTimersByTime(5000);
+
+    expect((await events).map((event) => event.status)).toEqual([
+      "pending",
+      "completed",
+    ]);
+  });
+
+  test("stops listening when the client disconnects", async () => {
+    const id = await createAnalysis();
+    const controller = new AbortController();
+
+    const response = await subscribe(id, { signal: controller.signal });
+    expect(response.status).toBe(200);
+    await waitFor(() => progressTracker.listenerCount(id) === 1);
+    controller.abort();
+
+    await waitFor(() => progressTracker.listenerCount(id) === 0);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test("ends the stream when the analysis is deleted", async () => {
+    const id = await createAnalysis();
+
+    const response = await subscribe(id);
+    const events = readAll(response);
+    await waitFor(() => progressTracker.listenerCount(id) === 1);
+    await dbOperations.deleteAnalysis(id);
+    jest.advanceTimersByTime(5000);
+
+    expect((await events).map((event) => event.status)).toEqual(["pending"]);
+    expect(progressTracker.listenerCount(id)).toBe(0);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
@@ -0,0 +1,161 @@
+const { TokenBucket, parseRetryAfter } = require("../src/utils/rateLimiter");
+const AIDetectionService = require("../src/services/aiDetectionService");
+
+describe("TokenBucket", () => {
+  test("serves waiting callers in order", async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 50, capacity: 1 });
+    const order = [];
+
+    await Promise.all(
+      [1, 2, 3, 4].map((caller) => bucket.take().then(() => order.push(caller)))
+    );
+
+    expect(order).toEqual([1, 2, 3, 4]);
+  });
+
+  test("allows a burst up to capacity, then throttles to the rate", async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 20, capacity: 3 });
+    const startTime = Date.now();
+
+    for (let i = 0; i < 3; i++) {
+      await bucket.take();
+    }
+    const burst = Date.now() - startTime;
+    for (let i = 0; i < 2; i++) {
+      await bucket.take();
+    }
+    const total = Date.now() - startTime;
+
+    expect(burst).toBeLessThan(50);
+    // Two more tokens at 20/s take about 100ms
+    expect(total).toBeGreaterThanOrEqual(90);
+  });
+
+  test("pauseUntil holds back every caller", async () => {
+    const bucket = new TokenBucket({ ratePerSecond: 100 });
+    const startTime = Date.now();
+    bucket.pauseUntil(startTime + 150);
+
+    await Promise.all([bucket.take(), bucket.take()]);
+
+    expect(Date.now() - startTime).toBeGreaterThanOrEqual(145);
+  });
+});
+
+describe("parseRetryAfter", () => {
+  test("parses seconds and HTTP dates", () => {
+    expect(parseRetryAfter("2")).toBe(2000);
+    expect(parseRetryAfter("0.5")).toBe(500);
+    const inOneMinute = new Date(Date.now() + 60000).toUTCString();
+    expect(parseRetryAfter(inOneMinute)).toBeGreaterThan(58000);
+  });
+
+  test("ignores missing or invalid values", () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter("")).toBeNull();
+    expect(parseRetryAfter("soon")).toBeNull();
+  });
+
+  test("never returns a negative delay", () => {
+    expect(parseRetryAfter(new Date(0).toUTCString())).toBe(0);
+  });
+});
+
+describe("AIDetectionService retries", () => {
+  // Detector that fails with the given results before succeeding
+  function flakyDetector(failures, options = {}) {
+    const calls = [];
+    return {
+      name: "fake",
+      concurrency: options.concurrency || 1,
+      limiter: options.limiter || null,
+      calls,
+      detectAIProbability: async (text) => {
+        calls.push({ text, at: Date.now() });
+        const failure = failures.shift();
+        if (failure) {
+          return { success: false, error: "failed", ...failure };
+        }
+        return { success: true, aiProbability: 0.7, prediction: "ai" };
+      },
+    };
+  }
+
+  const segment = { start: 0, end: 2, text: "Some words." };
+
+  beforeEach(() => {
+    process.env.AI_DETECTION_RETRY_DELAY_MS = "20";
+  });
+
+  afterEach(() => {
+    delete process.env.AI_DETECTION_RETRY_DELAY_MS;
+  });
+
+  test("backs off exponentially between retries", async () => {
+    const detector = flakyDetector([{ retryable: true }, { retryable: true }]);
+
+    const result = await new AIDetectionService(detector).scoreSegment(segment);
+
+    expect(result.ai_detection.ai_probability).toBe(0.7);
+    const [first, second, third] = detector.calls.map((call) => call.at);
+    expect(second - first).toBeGreaterThanOrEqual(18);
+    expect(third - second).toBeGreaterThanOrEqual(38);
+  });
+
+  test("waits Retry-After instead of the backoff, pausing the limiter", async () => {
+    const limiter = new TokenBucket({ ratePerSecond: 100 });
+    const pause = jest.spyOn(limiter, "pauseUntil");
+    const detector = flakyDetector([{ retryable: true, retryAfterMs: 120 }], {
+      limiter,
+    });
+
+    await new AIDetectionService(detector).scoreSegment(segment);
+
+    const [first, second] = detector.calls.map((call) => call.at);
+    expect(second - first).toBeGreaterThanOrEqual(115);
+    expect(pause).toHaveBeenCalledTimes(1);
+  });
+
+  test("doesn't retry permanent failures", async () => {
+    const detector = flakyDetector([{ retryable: false }]);
+
+    const result = await new AIDetectionService(detector).scoreSegment(segment);
+
+    expect(detector.calls).toHaveLength(1);
+    expect(result.ai_detection.error).toBe("failed");
+  });
+
+  test("scores segments in transcript order with bounded concurrency", async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const detector = {
+      name: "fake",
+      concurrency: 2,
+      limiter: null,
+      detectAIProbability: async (text) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        // Later segments finish first
+        await new Promise((resolve) =>
+          setTimeout(resolve, 30 - Number(text) * 5)
+        );
+        inFlight--;
+        return { success: true, aiProbability: Number(text) / 10 };
+      },
+    };
+    const segments = [1, 2, 3, 4, 5].map((n) => ({
+      start: n,
+      end: n + 1,
+      text: String(n),
+    }));
+
+    const result = await new AIDetectionService(
+      detector
+    ).processTranscriptionSegments({ segments });
+
+    expect(maxInFlight).toBe(2);
+    expect(
+      result.segments.map((scored) => scored.ai_detection.ai_probability)
+    ).toEqual([0.1, 0.2, 0.3, 0.4, 0.5]);
+  });
+});
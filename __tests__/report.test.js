@@ -0,0 +1,205 @@
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { startTestApp } = require("./helpers/app");
+const { dbOperations } = require("../src/models/database");
+const YouTubeService = require("../src/services/youtubeService");
+const { renderReport } = require("../src/utils/reportRenderer");
+
+const hostile = `<script>alert("x")</script> & 'friends'`;
+
+const transcription = {
+  text: "Hello there. </div><img src=x onerror=alert(1)>",
+  segments: [
+    { start: 0, end: 2, text: "Hello there.", speaker: "<b>bob</b>" },
+    {
+      start: 2,
+      end: 4,
+      text: "</div><img src=x onerror=alert(1)>",
+      speaker: "unknown",
+    },
+  ],
+};
+const aiProbabilities = {
+  detector: "gptzero",
+  aggregation: "duration",
+  overall_ai_probability: 0.25,
+  scored_segments: 2,
+  total_segments: 2,
+  by_speaker: {
+    "<b>bob</b>": { ai_probability: 0.1, segments: 1, duration: 2 },
+  },
+  segments: [
+    {
+      start: 0,
+      end: 2,
+      text: "Hello there.",
+      speaker: "<b>bob</b>",
+      ai_detection: { ai_probability: 0.1, prediction: "human" },
+    },
+    {
+      start: 2,
+      end: 4,
+      text: "</div><img src=x onerror=alert(1)>",
+      speaker: "unknown",
+      ai_detection: { ai_probability: 0.4, prediction: "human" },
+    },
+  ],
+};
+
+describe("renderReport", () => {
+  const html = renderReport({
+    id: "analysis-1",
+    youtube_url: `https://youtu.be/x"><script>alert(1)</script>`,
+    video: { title: hostile, channel: "Tom & Jerry <3" },
+    transcription,
+    ai_probabilities: aiProbabilities,
+  });
+
+  test("escapes the title, source and channel", () => {
+    expect(html).toContain(
+      "<h1>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;friends&#39;</h1>"
+    );
+    expect(html).toContain(
+      "https://youtu.be/x&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;"
+    );
+    expect(html).toContain("Tom &amp; Jerry &lt;3");
+  });
+
+  test("escapes speakers and segment text", () => {
+    expect(html).toContain(
+      '<span class="speaker">&lt;b&gt;bob&lt;/b&gt;</span>'
+    );
+    expect(html).toContain("<td>&lt;b&gt;bob&lt;/b&gt;</td>");
+    expect(html).toContain(
+      "<p>&lt;/div&gt;&lt;img src=x onerror=alert(1)&gt;</p>"
+    );
+  });
+
+  test("contains no markup from the analysis", () => {
+    expect(html).not.toMatch(/<script|<img|<b>/);
+  });
+
+  test("shows scores and leaves out unknown speakers", () => {
+    expect(html).toContain('<div class="value">25%</div>');
+    expect(html).toContain("2 of 2 segments scored");
+    expect(html).not.toContain('<span class="speaker">unknown</span>');
+  });
+});
+
+describe("GET /api/result/:id/report", () => {
+  const completedId = "6f1c3c1e-2f4b-4a8e-9d1a-000000000001";
+  const pendingId = "6f1c3c1e-2f4b-4a8e-9d1a-000000000002";
+  let app;
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    app = await startTestApp({
+      "/api/result": require("../src/routes/result"),
+    });
+
+    await dbOperations.upsertVideoMetadata({
+      video_id: "dQw4w9WgXcQ",
+      title: hostile,
+      channel: "Channel",
+    });
+    await dbOperations.insertAnalysis(
+      completedId,
+      "https://youtu.be/dQw4w9WgXcQ",
+      { videoId: "dQw4w9WgXcQ" }
+    );
+    await dbOperations.updateStatus(completedId, "completed", {
+      transcription,
+      aiProbabilities,
+    });
+    await dbOperations.insertAnalysis(
+      pendingId,
+      "https://youtu.be/9bZkp7q19f0"
+    );
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await removeTestDatabase();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  function report(id, format) {
+    return fetch(
+      `${app.url}/api/result/${id}/report${format ? `?format=${format}` : ""}`
+    );
+  }
+
+  test("validates the ID and format", async () => {
+    expect((await report("not-a-uuid")).status).toBe(400);
+
+    const response = await report(completedId, "docx");
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      success: false,
+      error: "Unknown report format: docx",
+      supported_formats: ["html", "pdf"],
+    });
+  });
+
+  test("404s for an unknown analysis", async () => {
+    const response = await report("6f1c3c1e-2f4b-4a8e-9d1a-ffffffffffff");
+    expect(response.status).toBe(404);
+  });
+
+  test("409s until the analysis is completed", async () => {
+    const response = await report(pendingId);
+
+    expect(response.status).toBe(409);
+    expect(await response.json()).toEqual({
+      success: false,
+      error: "Analysis is not completed",
+      status: "pending",
+    });
+  });
+
+  test("serves the HTML report inline", async () => {
+    const response = await report(completedId, "HTML");
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("content-type")).toBe(
+      "text/html; charset=utf-8"
+    );
+    expect(response.headers.get("content-disposition")).toBe(
+      `inline; filename="analysis-${completedId}.html"`
+    );
+    const html = await response.text();
+    expect(html).toContain("&lt;script&gt;alert(&quot;x&quot;)");
+    expect(html).not.toContain("<script>");
+  });
+
+  test("prints the report to a PDF attachment", async () => {
+    const renderPdf = jest
+      .spyOn(YouTubeService.prototype, "renderPdf")
+      .mockResolvedValue(Buffer.from("%PDF-1.4"));
+
+    const response = await report(completedId, "pdf");
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("content-type")).toBe("application/pdf");
+    expect(response.headers.get("content-disposition")).toBe(
+      `attachment; filename="analysis-${completedId}.pdf"`
+    );
+    expect(Buffer.from(await response.arrayBuffer()).toString()).toBe(
+      "%PDF-1.4"
+    );
+    expect(renderPdf.mock.calls[0][0]).toContain("<h1>&lt;script&gt;");
+  });
+
+  test("500s when the PDF can't be rendered", async () => {
+    jest
+      .spyOn(YouTubeService.prototype, "renderPdf")
+      .mockRejectedValue(new Error("Failed to render PDF: no browser"));
+
+    const response = await report(completedId, "pdf");
+
+    expect(response.status).toBe(500);
+    expect(await response.json()).toMatchObject({
+      error: "Failed to render PDF: no browser",
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const fs = require("fs");
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { startTestApp } = require("./helpers/app");
+const { formatAnalysisResult } = require("../src/utils/resultFormatter");
+
+const scoredSegment = {
+  start: 0,
+  end: 4.2,
+  text: "Hello and welcome.",
+  speaker: "speaker_0",
+  ai_detection: { detector: "demo", ai_probability: 0.2 },
+};
+const completed = {
+  id: "6f1c3c1e-2f4b-4a8e-9d1a-1b2c3d4e5f60",
+  status: "completed",
+  transcription: {
+    text: "Hello and welcome.",
+    segments: [scoredSegment],
+    speakers: [{ id: "speaker_0", name: "Speaker 1" }],
+    wordTimestamps: [],
+    metadata: { language: "en" },
+  },
+  ai_probabilities: {
+    detector: "demo",
+    aggregation: "duration",
+    overall_ai_probability: 0.2,
+    processed_segments: 1,
+    total_segments: 1,
+    by_speaker: { speaker_0: 0.2 },
+    timeline: [],
+  },
+};
+
+describe("formatAnalysisResult", () => {
+  test("version 1 returns the scored segments and overall figures", () => {
+    const formatted = formatAnalysisResult(completed);
+
+    expect(formatted.transcription).toEqual([scoredSegment]);
+    expect(formatted.ai_probabilities).toEqual({
+      overall_ai_probability: 0.2,
+      processed_segments: 1,
+      total_segments: 1,
+    });
+  });
+
+  test("version 1 passes stored segment arrays through", () => {
+    const formatted = formatAnalysisResult({
+      ...completed,
+      transcription: [scoredSegment],
+    });
+
+    expect(formatted.transcription).toEqual([scoredSegment]);
+  });
+
+  test("version 2 returns the full transcription and summary", () => {
+    const formatted = formatAnalysisResult(completed, { version: 2 });
+
+    expect(formatted.transcription).toEqual(completed.transcription);
+    expect(formatted.ai_probabilities).toEqual(completed.ai_probabilities);
+  });
+
+  test("results without detection keep null probabilities", () => {
+    const formatted = formatAnalysisResult({
+      ...completed,
+      ai_probabilities: null,
+    });
+
+    expect(formatted.ai_probabilities).toBeNull();
+  });
+});
+
+describe("GET /api/result/:id", () => {
+  const AnalysisService = require("../src/services/analysisService");
+  let app;
+  let service;
+  let analysisId;
+  const createdFiles = [];
+
+  beforeAll(async () => {
+    process.env.DEMO_MODE = "true";
+    await openTestDatabase();
+    service = new AnalysisService();
+    app = await startTestApp({
+      "/api/result": require("../src/routes/result"),
+    });
+
+    ({ analysis_id: analysisId } = await service.startAnalysis(
+      "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+      { force: true }
+    ));
+    const { result } = await service.runAnalysis(analysisId);
+    createdFiles.push(result.screenshot_path, result.audio_path);
+  });
+
+  afterAll(async () => {
+    delete process.env.DEMO_MODE;
+    createdFiles.forEach((file) => fs.rmSync(file, { force: true }));
+    await app.close();
+    await removeTestDatabase();
+  });
+
+  async function getResult(query = "") {
+    const response = await fetch(`${app.url}/api/result/${analysisId}${query}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  test("returns the original shape by default", async () => {
+    const { status, body } = await getResult();
+
+    expect(status).toBe(200);
+    expect(Array.isArray(body.transcription)).toBe(true);
+    expect(body.transcription[0].ai_detection).toBeDefined();
+    expect(Object.keys(body.ai_probabilities).sort()).toEqual([
+      "overall_ai_probability",
+      "processed_segments",
+      "total_segments",
+    ]);
+  });
+
+  test("returns the full shape with ?version=2", async () => {
+    const { body } = await getResult("?version=2");
+
+    expect(typeof body.transcription.text).toBe("string");
+    expect(Array.isArray(body.transcription.segments)).toBe(true);
+    expect(body.ai_probabilities).toHaveProperty("by_speaker");
+  });
+
+  test("rejects unknown versions", async () => {
+    const { status } = await getResult("?version=3");
+
+    expect(status).toBe(400);
+  });
+});
+
+describe("audio conversion", () => {
+  const AnalysisService = require("../src/services/analysisService");
+  const stageEnv = {
+    SCREENSHOT_MODE: "stub",
+    AUDIO_DOWNLOAD_MODE: "real",
+    AUDIO_CONVERSION_MODE: "real",
+    TRANSCRIPTION_MODE: "stub",
+    AI_DETECTION_MODE: "stub",
+  };
+  const createdFiles = [];
+
+  beforeAll(async () => {
+    Object.assign(process.env, stageEnv);
+    await openTestDatabase();
+  });
+
+  afterAll(async () => {
+    Object.keys(stageEnv).forEach((name) => delete process.env[name]);
+    createdFiles.forEach((file) => fs.rmSync(file, { force: true }));
+    await removeTestDatabase();
+  });
+
+  test("is skipped when the transcription is stubbed", async () => {
+    const service = new AnalysisService();
+    const download = jest.spyOn(service.youtubeService, "downloadAudio");
+    const convert = jest.spyOn(service.audioService, "processAudio");
+    const { analysis_id } = await service.startAnalysis(
+      "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+      { force: true }
+    );
+
+    const { result } = await service.runAnalysis(analysis_id);
+    createdFiles.push(result.screenshot_path);
+
+    expect(download).not.toHaveBeenCalled();
+    expect(convert).not.toHaveBeenCalled();
+    expect(result.status).toBe("completed");
+    expect(result.audio_path).toBeUndefined();
+  });
+});
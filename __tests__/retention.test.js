@@ -0,0 +1,193 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sqlite3 = require("sqlite3").verbose();
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { dbOperations, dbPath } = require("../src/models/database");
+const RetentionService = require("../src/services/retentionService");
+
+describe("RetentionService", () => {
+  const env = { ...process.env };
+  const transcription = {
+    text: "Hello there.",
+    segments: [{ start: 0, end: 1, text: "Hello there.", speaker: "a" }],
+  };
+  let raw;
+  let directory;
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "retention-test-"));
+    raw = await new Promise((resolve, reject) => {
+      const connection = new sqlite3.Database(dbPath, (err) =>
+        err ? reject(err) : resolve(connection)
+      );
+    });
+    raw.configure("busyTimeout", 10000);
+  });
+
+  afterAll(async () => {
+    process.env = env;
+    await new Promise((resolve) => raw.close(resolve));
+    await removeTestDatabase();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function service(days) {
+    Object.assign(process.env, {
+      RETENTION_AUDIO_DAYS: String(days.audio),
+      RETENTION_SCREENSHOT_DAYS: String(days.screenshot),
+      RETENTION_TRANSCRIPT_DAYS: String(days.transcript),
+    });
+    return new RetentionService();
+  }
+
+  // An analysis with every artifact, last updated `hoursAgo` hours ago
+  async function insertAnalysis(id, hoursAgo, status = "completed") {
+    const files = {
+      screenshotPath: path.join(directory, `${id}.png`),
+      audioPath: path.join(directory, `${id}.mp3`),
+      wavPath: path.join(directory, `${id}.wav`),
+    };
+    Object.values(files).forEach((filePath) =>
+      fs.writeFileSync(filePath, Buffer.alloc(10))
+    );
+
+    await dbOperations.insertAnalysis(id, `https://youtu.be/${id}`);
+    await dbOperations.updateStatus(id, status, {
+      screenshotPath: files.screenshotPath,
+      audioPath: files.audioPath,
+      transcription,
+      aiProbabilities: { overall_ai_probability: 0.3 },
+    });
+    await dbOperations.saveCheckpoint(id, "audio_conversion", {
+      wavPath: files.wavPath,
+    });
+    await dbOperations.saveCheckpoint(id, "transcription", { transcription });
+    await new Promise((resolve, reject) =>
+      raw.run(
+        "UPDATE analysis_results SET updated_at = datetime('now', ?) WHERE id = ?",
+        [`-${hoursAgo} hours`, id],
+        (err) => (err ? reject(err) : resolve())
+      )
+    );
+    return files;
+  }
+
+  async function artifacts(id) {
+    const analysis = await dbOperations.getAnalysisById(id);
+    const checkpoints = await dbOperations.getCheckpoints(id);
+    return {
+      audio: Boolean(analysis.audio_path || checkpoints.audio_conversion),
+      screenshot: Boolean(analysis.screenshot_path),
+      transcript: Boolean(analysis.transcription || checkpoints.transcription),
+      score: analysis.overall_ai_probability,
+    };
+  }
+
+  test("expires each artifact once past its own retention period", async () => {
+    const recent = await insertAnalysis("recent", 23);
+    const dayOld = await insertAnalysis("day-old", 25);
+    const monthOld = await insertAnalysis("month-old", 31 * 24);
+    await insertAnalysis("ancient", 91 * 24);
+
+    const summary = await service({
+      audio: 1,
+      screenshot: 30,
+      transcript: 90,
+    }).run();
+
+    expect(summary).toEqual({
+      audio: { analyses: 3, files: 6, bytes: 60 },
+      screenshot: { analyses: 2, files: 2, bytes: 20 },
+      transcript: { analyses: 1, files: 0, bytes: 0 },
+    });
+    expect(await artifacts("recent")).toEqual({
+      audio: true,
+      screenshot: true,
+      transcript: true,
+      score: 0.3,
+    });
+    expect(await artifacts("day-old")).toMatchObject({
+      audio: false,
+      screenshot: true,
+      transcript: true,
+    });
+    expect(await artifacts("month-old")).toMatchObject({
+      audio: false,
+      screenshot: false,
+      transcript: true,
+    });
+    // The analysis and its score outlive every artifact
+    expect(await artifacts("ancient")).toEqual({
+      audio: false,
+      screenshot: false,
+      transcript: false,
+      score: 0.3,
+    });
+
+    const searchable = await dbOperations.searchTranscripts('"hello"', 10);
+    expect(searchable.map((row) => row.analysis_id).sort()).toEqual([
+      "day-old",
+      "month-old",
+      "recent",
+    ]);
+
+    expect(fs.existsSync(recent.audioPath)).toBe(true);
+    expect(fs.existsSync(dayOld.audioPath)).toBe(false);
+    expect(fs.existsSync(dayOld.wavPath)).toBe(false);
+    expect(fs.existsSync(dayOld.screenshotPath)).toBe(true);
+    expect(fs.existsSync(monthOld.screenshotPath)).toBe(false);
+  });
+
+  test("clearing an artifact doesn't restart the others' periods", async () => {
+    const summary = await service({
+      audio: 1,
+      screenshot: 30,
+      transcript: 90,
+    }).run();
+
+    expect(summary).toEqual({
+      audio: { analyses: 0, files: 0, bytes: 0 },
+      screenshot: { analyses: 0, files: 0, bytes: 0 },
+      transcript: { analyses: 0, files: 0, bytes: 0 },
+    });
+    // day-old lost its audio in the last run but still counts as last
+    // updated 25 hours ago
+    const [row] = await dbOperations.getExpiredArtifacts("screenshot", 1, 10);
+    expect(row.id).toBe("day-old");
+  });
+
+  test("a period of 0 keeps an artifact forever", async () => {
+    await insertAnalysis("forever", 1000 * 24);
+
+    const summary = await service({
+      audio: 0,
+      screenshot: 0,
+      transcript: 90,
+    }).run();
+
+    expect(Object.keys(summary)).toEqual(["transcript"]);
+    expect(await artifacts("forever")).toMatchObject({
+      audio: true,
+      screenshot: true,
+      transcript: false,
+    });
+    expect(service({ audio: 0, screenshot: 0, transcript: 0 }).enabled).toBe(
+      false
+    );
+  });
+
+  test("leaves analyses that are still running alone", async () => {
+    await insertAnalysis("running", 100 * 24, "processing");
+
+    await service({ audio: 1, screenshot: 1, transcript: 1 }).run();
+
+    expect(await artifacts("running")).toEqual({
+      audio: true,
+      screenshot: true,
+      transcript: true,
+      score: 0.3,
+    });
+  });
+});
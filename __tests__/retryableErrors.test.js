@@ -0,0 +1,52 @@
+const {
+  isNetworkError,
+  isRetryableError,
+} = require("../src/utils/retryableErrors");
+
+const withProps = (props) => Object.assign(new Error("failed"), props);
+
+describe("isRetryableError", () => {
+  test("retries rate limits and server errors", () => {
+    expect(isRetryableError(withProps({ response: { status: 429 } }))).toBe(
+      true
+    );
+    expect(isRetryableError(withProps({ response: { status: 503 } }))).toBe(
+      true
+    );
+    expect(isRetryableError(withProps({ statusCode: 500 }))).toBe(true);
+  });
+
+  test("does not retry client errors", () => {
+    expect(isRetryableError(withProps({ response: { status: 400 } }))).toBe(
+      false
+    );
+    expect(isRetryableError(withProps({ statusCode: 404 }))).toBe(false);
+  });
+
+  test("retries network errors and timeouts without a status", () => {
+    expect(isRetryableError(withProps({ code: "ECONNRESET" }))).toBe(true);
+    expect(isRetryableError(withProps({ code: "ECONNABORTED" }))).toBe(true);
+    expect(isRetryableError(withProps({ name: "TimeoutError" }))).toBe(true);
+  });
+
+  test("does not retry other errors without a status", () => {
+    expect(isRetryableError(new Error("API key not configured"))).toBe(false);
+    expect(isRetryableError(new SyntaxError("Unexpected token"))).toBe(false);
+    expect(isRetryableError(null)).toBe(false);
+  });
+
+  test("an explicit retryable flag wins", () => {
+    expect(
+      isRetryableError(withProps({ retryable: false, code: "ETIMEDOUT" }))
+    ).toBe(false);
+    expect(isRetryableError(withProps({ retryable: true }))).toBe(true);
+  });
+});
+
+describe("isNetworkError", () => {
+  test("ignores errors that got a response", () => {
+    expect(isNetworkError(withProps({ response: { status: 500 } }))).toBe(
+      false
+    );
+  });
+});
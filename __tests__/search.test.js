@@ -0,0 +1,119 @@
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { startTestApp } = require("./helpers/app");
+const { dbOperations } = require("../src/models/database");
+const { toFtsQuery } = require("../src/models/transcriptSearch");
+
+describe("toFtsQuery", () => {
+  test.each([
+    ["climate change", '"climate" "change"'],
+    ['"climate change" policy', '"climate change" "policy"'],
+    ["clim*", '"clim"*'],
+    ['"clim*"', '"clim"'],
+    // FTS5 operators and syntax become quoted, plain terms
+    ["alpha NEAR beta", '"alpha" "NEAR" "beta"'],
+    ["NEAR(alpha beta)", '"NEAR(alpha" "beta)"'],
+    ["alpha OR beta NOT gamma", '"alpha" "OR" "beta" "NOT" "gamma"'],
+    ["alpha -beta", '"alpha" "-beta"'],
+    ["speaker:alpha", '"speaker:alpha"'],
+    ["alpha AND (beta", '"alpha" "AND" "(beta"'],
+    ["^alpha +beta", '"^alpha" "+beta"'],
+    // An unbalanced quote is dropped
+    ['"alpha beta', '"alpha" "beta"'],
+    ['alpha "beta" "', '"alpha" "beta"'],
+    ["*", ""],
+    ["* ** *", ""],
+    ['""', ""],
+    ["", ""],
+  ])("%p becomes %p", (text, query) => {
+    expect(toFtsQuery(text)).toBe(query);
+  });
+});
+
+describe("GET /api/search", () => {
+  const ids = {
+    near: "6f1c3c1e-2f4b-4a8e-9d1a-000000000001",
+    apart: "6f1c3c1e-2f4b-4a8e-9d1a-000000000002",
+  };
+  let app;
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    app = await startTestApp({
+      "/api/search": require("../src/routes/search"),
+    });
+
+    const transcripts = {
+      near: "We stood near the alpha beta tower.",
+      apart: "The alpha test came before the beta test.",
+    };
+    for (const [key, text] of Object.entries(transcripts)) {
+      await dbOperations.insertAnalysis(ids[key], `https://youtu.be/${key}`);
+      await dbOperations.updateStatus(ids[key], "completed", {
+        transcription: {
+          text,
+          segments: [{ start: 0, end: 3, text, speaker: "speaker" }],
+        },
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await removeTestDatabase();
+  });
+
+  async function search(q) {
+    const response = await fetch(
+      `${app.url}/api/search?q=${encodeURIComponent(q)}`
+    );
+    return { status: response.status, body: await response.json() };
+  }
+
+  const found = (body) => body.results.map((result) => result.analysis_id);
+
+  test("finds analyses mentioning every word", async () => {
+    const { status, body } = await search("alpha beta");
+
+    expect(status).toBe(200);
+    expect(found(body).sort()).toEqual([ids.near, ids.apart].sort());
+    expect(body.results[0].matches[0]).toMatchObject({
+      start: 0,
+      end: 3,
+      speaker: "speaker",
+    });
+  });
+
+  test("matches phrases and prefixes", async () => {
+    expect(found((await search('"alpha beta"')).body)).toEqual([ids.near]);
+    expect(found((await search("tow*")).body)).toEqual([ids.near]);
+  });
+
+  test.each([
+    // Unquoted, NEAR(alpha beta) would match both transcripts and the
+    // others would be syntax errors or column filters
+    ["NEAR(alpha beta)", []],
+    ["alpha NEAR beta", ["near"]],
+    ["alpha -beta", ["near", "apart"]],
+    ["alpha OR nothing", []],
+    ["speaker:alpha", []],
+    ["text:alpha", []],
+    ['"alpha beta', ["near", "apart"]],
+    ["alpha AND (beta", []],
+  ])("treats %p as plain text", async (q, expected) => {
+    const { status, body } = await search(q);
+
+    expect(status).toBe(200);
+    expect(found(body).sort()).toEqual(expected.map((key) => ids[key]).sort());
+  });
+
+  test.each([
+    ["*", "Search query has no searchable terms"],
+    ['" "', "Search query has no searchable terms"],
+    ["   ", "Search query (q) is required"],
+  ])("rejects %p", async (q, error) => {
+    const { status, body } = await search(q);
+
+    expect(status).toBe(400);
+    expect(body).toEqual({ success: false, error });
+  });
+});
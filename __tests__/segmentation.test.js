@@ -0,0 +1,143 @@
+const fs = require("fs");
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const SegmentationService = require("../src/services/segmentationService");
+
+// Two speakers, one word per second
+const transcription = {
+  segments: [
+    { start: 0, end: 3, text: "Hello there friend.", speaker: "a" },
+    { start: 3, end: 5, text: "Short one.", speaker: "a" },
+    { start: 5, end: 9, text: "Now I speak. Yes.", speaker: "b" },
+  ],
+  wordTimestamps: [
+    ["Hello", "a"],
+    ["there", "a"],
+    ["friend.", "a"],
+    ["Short", "a"],
+    ["one.", "a"],
+    ["Now", "b"],
+    ["I", "b"],
+    ["speak.", "b"],
+    ["Yes.", "b"],
+  ].map(([word, speaker], index) => ({
+    word,
+    speaker,
+    start: index,
+    end: index + 1,
+    confidence: 0.5 + index * 0.05,
+  })),
+};
+
+describe("SegmentationService", () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SegmentationService();
+    service.windowWords = 4;
+    service.minWords = 3;
+  });
+
+  test("segment keeps the provider's segments", () => {
+    expect(service.segment(transcription, "segment")).toBe(
+      transcription.segments
+    );
+  });
+
+  test("sentence merges short sentences, never across speakers", () => {
+    const chunks = service.segment(transcription, "sentence");
+
+    expect(chunks.map((chunk) => chunk.text)).toEqual([
+      "Hello there friend.",
+      "Short one.",
+      "Now I speak.",
+      "Yes.",
+    ]);
+    expect(chunks[2]).toMatchObject({ start: 5, end: 8, speaker: "b" });
+  });
+
+  test("window splits into fixed word counts", () => {
+    const chunks = service.segment(transcription, "window");
+
+    expect(chunks.map((chunk) => chunk.word_count)).toEqual([4, 4, 1]);
+    expect(chunks[0]).toMatchObject({
+      start: 0,
+      end: 4,
+      text: "Hello there friend. Short",
+      speaker: "a",
+    });
+    // Mean of the word confidences 0.5, 0.55, 0.6 and 0.65
+    expect(chunks[0].confidence).toBeCloseTo(0.575);
+    expect(chunks[2]).toMatchObject({ start: 8, end: 9, text: "Yes." });
+  });
+
+  test("speaker gives one chunk per turn", () => {
+    const chunks = service.segment(transcription, "speaker");
+
+    expect(chunks).toEqual([
+      expect.objectContaining({ start: 0, end: 5, speaker: "a" }),
+      expect.objectContaining({ start: 5, end: 9, speaker: "b" }),
+    ]);
+  });
+
+  test("spreads words evenly over segments without word timestamps", () => {
+    const chunks = service.segment(
+      { segments: [{ start: 10, end: 14, text: "one two three four" }] },
+      "window"
+    );
+
+    expect(chunks).toEqual([
+      expect.objectContaining({ start: 10, end: 14, word_count: 4 }),
+    ]);
+  });
+
+  test("rejects an unknown strategy", () => {
+    expect(() => service.segment(transcription, "paragraph")).toThrow(
+      "Unknown segmentation strategy"
+    );
+  });
+});
+
+describe("scored chunks in results", () => {
+  const AnalysisService = require("../src/services/analysisService");
+  let service;
+
+  beforeAll(async () => {
+    process.env.DEMO_MODE = "true";
+    await openTestDatabase();
+    service = new AnalysisService();
+  });
+
+  afterAll(async () => {
+    delete process.env.DEMO_MODE;
+    await removeTestDatabase();
+  });
+
+  test("are stored apart from the transcription's segments", async () => {
+    const { analysis_id } = await service.startAnalysis(
+      "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+      { force: true, segmentation: "window" }
+    );
+
+    const { result } = await service.runAnalysis(analysis_id);
+    fs.rmSync(result.screenshot_path, { force: true });
+    fs.rmSync(result.audio_path, { force: true });
+
+    const providerSegments =
+      service.demoService.getDemoData().transcription.segments;
+    expect(result.transcription.segments).toEqual(providerSegments);
+    // The whole demo transcript fits in one window
+    expect(result.ai_probabilities.segments).toEqual([
+      expect.objectContaining({
+        start: 0,
+        end: 12.8,
+        ai_detection: expect.objectContaining({ detector: "demo" }),
+      }),
+    ]);
+
+    const stored = await service.getAnalysisResult(analysis_id);
+    expect(stored.result.transcription.segments.length).toBe(
+      providerSegments.length
+    );
+    expect(stored.result.ai_probabilities.segments.length).toBe(1);
+  });
+});
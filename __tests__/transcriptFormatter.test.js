@@ -0,0 +1,132 @@
+const {
+  formatTimestamp,
+  renderTranscript,
+} = require("../src/utils/transcriptFormatter");
+
+function detection(aiProbability) {
+  return {
+    ai_probability: aiProbability,
+    prediction: aiProbability >= 0.5 ? "ai" : "human",
+  };
+}
+
+const result = {
+  id: "analysis-1",
+  transcription: {
+    segments: [
+      { start: 0, end: 2.5, text: " Hello there. ", speaker: "speaker_1" },
+      { start: 2.5, end: 3725.5, text: "A long answer.", speaker: "unknown" },
+      { start: 3725.5, end: 3726, text: "   " },
+    ],
+  },
+  ai_probabilities: {
+    segments: [
+      { start: 0, end: 2.5, ai_detection: detection(0.1) },
+      { start: 2.5, end: 3725.5, ai_detection: detection(0.9) },
+      { start: 3725.5, end: 3726, ai_detection: { prediction: "empty" } },
+    ],
+  },
+};
+
+describe("formatTimestamp", () => {
+  test.each([
+    [0, ",", "00:00:00,000"],
+    [3725.5, ",", "01:02:05,500"],
+    [3725.5, ".", "01:02:05.500"],
+    // Rounded to the millisecond, without carrying into the wrong field
+    [59.9996, ",", "00:01:00,000"],
+    [0.0014, ".", "00:00:00.001"],
+    [-3, ",", "00:00:00,000"],
+    [undefined, ".", "00:00:00.000"],
+  ])("%s with %p is %s", (seconds, separator, expected) => {
+    expect(formatTimestamp(seconds, separator)).toBe(expected);
+  });
+});
+
+describe("renderTranscript", () => {
+  test("srt numbers cues and skips empty segments", () => {
+    expect(renderTranscript(result, "srt")).toBe(
+      [
+        "1",
+        "00:00:00,000 --> 00:00:02,500",
+        "[speaker_1] Hello there.",
+        "",
+        "2",
+        "00:00:02,500 --> 01:02:05,500",
+        "A long answer.",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("vtt has a header and voice tags", () => {
+    expect(renderTranscript(result, "vtt")).toBe(
+      [
+        "WEBVTT",
+        "",
+        "1",
+        "00:00:00.000 --> 00:00:02.500",
+        "<v speaker_1>Hello there.",
+        "",
+        "2",
+        "00:00:02.500 --> 01:02:05.500",
+        "A long answer.",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("annotates cues with the AI probability of their chunk", () => {
+    const srt = renderTranscript(result, "srt", { annotate: true });
+    expect(srt).toContain("[speaker_1] Hello there.\n[AI 10% - human]\n");
+    expect(srt).toContain("A long answer.\n[AI 90% - ai]\n");
+
+    expect(renderTranscript(result, "txt", { annotate: true })).toBe(
+      "[00:00:00] speaker_1: Hello there. [AI 10% - human]\n" +
+        "[00:00:02] A long answer. [AI 90% - ai]\n"
+    );
+  });
+
+  test("annotates regrouped segments with the chunk containing them", () => {
+    const regrouped = {
+      ...result,
+      ai_probabilities: {
+        segments: [{ start: 0, end: 3726, ai_detection: detection(0.7) }],
+      },
+    };
+
+    const { cues } = JSON.parse(
+      renderTranscript(regrouped, "json", { annotate: true })
+    );
+    expect(cues.map((cue) => cue.ai_probability)).toEqual([0.7, 0.7]);
+    expect(cues[0]).toEqual({
+      index: 1,
+      start: 0,
+      end: 2.5,
+      speaker: "speaker_1",
+      text: "Hello there.",
+      ai_probability: 0.7,
+      prediction: "ai",
+    });
+  });
+
+  test("reads results stored as a list of scored segments", () => {
+    const legacy = {
+      id: "analysis-2",
+      transcription: [
+        { start: 1, end: 2, text: "Old result", ai_detection: detection(0.4) },
+      ],
+      ai_probabilities: { overall_ai_probability: 0.4 },
+    };
+
+    expect(renderTranscript(legacy, "txt", { annotate: true })).toBe(
+      "[00:00:01] Old result [AI 40% - human]\n"
+    );
+  });
+
+  test("rejects unknown formats", () => {
+    expect(() => renderTranscript(result, "docx")).toThrow(
+      "Unknown transcript format: docx"
+    );
+  });
+});
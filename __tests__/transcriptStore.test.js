@@ -0,0 +1,406 @@
+const sqlite3 = require("sqlite3").verbose();
+const { removeTestDatabase } = require("./helpers/database");
+const {
+  initializeDatabase,
+  migrateDatabase,
+  rollbackDatabase,
+  dbOperations,
+  dbPath,
+} = require("../src/models/database");
+const AnalysisService = require("../src/services/analysisService");
+const { formatAnalysisResult } = require("../src/utils/resultFormatter");
+
+// A second connection for setting up fixtures and triggers directly
+let raw;
+const rawRun = (sql, params = []) =>
+  new Promise((resolve, reject) =>
+    raw.run(sql, params, (err) => (err ? reject(err) : resolve()))
+  );
+const rawAll = (sql, params = []) =>
+  new Promise((resolve, reject) =>
+    raw.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)))
+  );
+
+const service = new AnalysisService();
+
+function detection(aiProbability, extra = {}) {
+  return {
+    detector: "gptzero",
+    ai_probability: aiProbability,
+    prediction: aiProbability >= 0.5 ? "ai" : "human",
+    confidence: 0.8,
+    ...extra,
+  };
+}
+
+// Results in each shape analyses were stored in before migration 14
+const fixtures = {
+  // The original format: the scored segments, JSON-encoded twice
+  "double-encoded": {
+    transcription: JSON.stringify(
+      JSON.stringify([
+        {
+          start: 0,
+          end: 2.5,
+          text: "Hello there.",
+          speaker: "speaker_1",
+          confidence: 0.9,
+          ai_detection: detection(0.2, { details: { perplexity: 12 } }),
+        },
+        {
+          start: 2.5,
+          end: 5,
+          text: "General Kenobi.",
+          ai_detection: { error: "Request failed", ai_probability: 0 },
+        },
+      ])
+    ),
+    ai_probabilities: JSON.stringify(
+      JSON.stringify({
+        overall_ai_probability: 0.2,
+        processed_segments: 2,
+        total_segments: 2,
+      })
+    ),
+  },
+  // Fields without a column, nulls and values of unexpected types
+  "odd-fields": {
+    transcription: JSON.stringify([
+      {
+        id: 7,
+        start: 0,
+        end: 1,
+        text: "Odd one",
+        speaker: 2,
+        confidence: null,
+        tokens: ["Odd", "one"],
+        ai_detection: detection(0.7, { error: null, raw: { class: "ai" } }),
+      },
+      { start: 1, end: 2, text: "Unscored", ai_detection: null },
+    ]),
+    ai_probabilities: JSON.stringify({
+      overall_ai_probability: 0.7,
+      processed_segments: 1,
+      total_segments: 2,
+    }),
+  },
+  // The full transcription, with scores on its segments
+  "full-transcription": {
+    transcription: JSON.stringify({
+      text: "Hi, how are you?",
+      segments: [
+        {
+          start: 0,
+          end: 2,
+          text: "Hi, how are you?",
+          speaker: "speaker_1",
+          confidence: 0.95,
+          ai_detection: detection(0.4),
+        },
+      ],
+      speakers: [
+        { id: "speaker_1", name: "Speaker 1", segments: [0], color: "red" },
+      ],
+      wordTimestamps: [
+        { word: "Hi", start: 0, end: 0.4, confidence: 0.9, punct: "Hi," },
+        { word: "how", start: 0.5, end: 0.8, speaker: "speaker_1" },
+      ],
+      metadata: { language: "en", duration: 2 },
+      language_code: "en",
+    }),
+    ai_probabilities: JSON.stringify({
+      detector: "gptzero",
+      aggregation: "duration",
+      overall_ai_probability: 0.4,
+      processed_segments: 1,
+      scored_segments: 1,
+      total_segments: 1,
+      by_speaker: { speaker_1: { ai_probability: 0.4, segments: 1 } },
+      timeline: [],
+    }),
+  },
+  // No speakers or word timestamps at all
+  "segments-only": {
+    transcription: JSON.stringify({
+      text: "Just text",
+      segments: [{ start: 0, end: 1, text: "Just text" }],
+      metadata: null,
+    }),
+    ai_probabilities: null,
+  },
+};
+
+// How results were read before migration 14
+function parseJsonField(value) {
+  const parsed = JSON.parse(value);
+  return typeof parsed === "string" ? JSON.parse(parsed) : parsed;
+}
+
+function responses(result) {
+  return [1, 2].map((version) => {
+    const response = formatAnalysisResult(result, { version });
+    return {
+      transcription: response.transcription,
+      ai_probabilities: response.ai_probabilities,
+    };
+  });
+}
+
+async function currentResponses(id) {
+  const { result } = await service.getAnalysisResult(id);
+  return responses(result);
+}
+
+async function storedColumns(id) {
+  const [row] = await rawAll(
+    "SELECT transcription, ai_probabilities FROM analysis_results WHERE id = ?",
+    [id]
+  );
+  return {
+    transcription: row.transcription && parseJsonField(row.transcription),
+    ai_probabilities:
+      row.ai_probabilities && parseJsonField(row.ai_probabilities),
+  };
+}
+
+beforeAll(async () => {
+  await initializeDatabase({ migrate: false });
+  await migrateDatabase(13);
+  raw = await new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(dbPath, (err) =>
+      err ? reject(err) : resolve(connection)
+    );
+  });
+  raw.configure("busyTimeout", 10000);
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => raw.close(resolve));
+  await removeTestDatabase();
+});
+
+describe("migration 14", () => {
+  const before = {};
+  const stored = {};
+
+  beforeAll(async () => {
+    for (const [id, fixture] of Object.entries(fixtures)) {
+      await rawRun(
+        `INSERT INTO analysis_results
+           (id, youtube_url, status, transcription, ai_probabilities)
+         VALUES (?, ?, 'completed', ?, ?)`,
+        [
+          id,
+          `https://youtu.be/${id}`,
+          fixture.transcription,
+          fixture.ai_probabilities,
+        ]
+      );
+      stored[id] = await storedColumns(id);
+      before[id] = responses({
+        id,
+        status: "completed",
+        transcription: stored[id].transcription,
+        ai_probabilities: stored[id].ai_probabilities,
+      });
+    }
+    await migrateDatabase(14);
+  });
+
+  test.each(Object.keys(fixtures))(
+    "returns the same %s result as before",
+    async (id) => {
+      expect(await currentResponses(id)).toEqual(before[id]);
+    }
+  );
+
+  test("moves segments and detections into their tables", async () => {
+    const segments = await rawAll(
+      `SELECT s.text, s.speaker, s.extra, d.ai_probability
+       FROM transcript_segments s
+       LEFT JOIN segment_detections d
+         USING (analysis_id, kind, segment_index)
+       WHERE s.analysis_id = 'odd-fields'
+       ORDER BY s.segment_index`
+    );
+
+    expect(
+      segments.map((row) => ({ ...row, extra: JSON.parse(row.extra) }))
+    ).toEqual([
+      {
+        text: "Odd one",
+        speaker: null,
+        extra: { id: 7, speaker: 2, confidence: null, tokens: ["Odd", "one"] },
+        ai_probability: 0.7,
+      },
+      {
+        text: "Unscored",
+        speaker: null,
+        extra: { ai_detection: null },
+        ai_probability: null,
+      },
+    ]);
+  });
+
+  test("rolling back restores the stored results, decoded once", async () => {
+    await rollbackDatabase(13);
+    for (const id of Object.keys(fixtures)) {
+      expect(await storedColumns(id)).toEqual(stored[id]);
+    }
+
+    await migrateDatabase(14);
+    for (const id of Object.keys(fixtures)) {
+      expect(await currentResponses(id)).toEqual(before[id]);
+    }
+  });
+});
+
+describe("saved results", () => {
+  const transcription = {
+    text: "One two. Three four.",
+    segments: [
+      { start: 0, end: 1, text: "One two.", speaker: "a", confidence: null },
+      { start: 1, end: 2, text: "Three four.", speaker: "b", extra: true },
+    ],
+    speakers: [{ id: "a" }, { id: "b", name: null }],
+    metadata: { language: "en" },
+  };
+  const aiProbabilities = {
+    detector: "demo",
+    overall_ai_probability: 0.5,
+    segments: [
+      {
+        start: 0,
+        end: 2,
+        text: "One two. Three four.",
+        speaker: "a",
+        word_count: 4,
+        ai_detection: { detector: "demo", ai_probability: 0.5, details: [] },
+      },
+    ],
+  };
+
+  async function insertAnalysis(id) {
+    await dbOperations.insertAnalysis(id, `https://youtu.be/${id}`);
+    return id;
+  }
+
+  test("load exactly as they were saved", async () => {
+    const id = await insertAnalysis("round-trip");
+    await dbOperations.updateStatus(id, "completed", {
+      transcription,
+      aiProbabilities,
+    });
+
+    const { result } = await service.getAnalysisResult(id);
+    expect(result.transcription).toEqual(transcription);
+    expect(result.ai_probabilities).toEqual(aiProbabilities);
+  });
+
+  test("are saved all or nothing", async () => {
+    const id = await insertAnalysis("atomic-save");
+    await rawRun(`
+      CREATE TRIGGER fail_speaker BEFORE INSERT ON transcript_speakers
+      WHEN NEW.speaker_id = 'fail'
+      BEGIN SELECT RAISE(ABORT, 'speaker rejected'); END
+    `);
+
+    await expect(
+      dbOperations.updateStatus(id, "completed", {
+        transcription: { ...transcription, speakers: [{ id: "fail" }] },
+        aiProbabilities,
+      })
+    ).rejects.toThrow("speaker rejected");
+    await rawRun("DROP TRIGGER fail_speaker");
+
+    const analysis = await dbOperations.getAnalysisById(id);
+    expect(analysis).toMatchObject({ status: "pending", transcription: null });
+    expect(
+      await rawAll("SELECT * FROM transcript_segments WHERE analysis_id = ?", [
+        id,
+      ])
+    ).toEqual([]);
+  });
+
+  test("concurrent saves each get their own transaction", async () => {
+    const ids = await Promise.all(
+      ["parallel-1", "parallel-2", "parallel-3"].map(insertAnalysis)
+    );
+
+    await Promise.all(
+      ids.map((id) =>
+        dbOperations.updateStatus(id, "completed", { transcription })
+      )
+    );
+
+    for (const id of ids) {
+      const { result } = await service.getAnalysisResult(id);
+      expect(result.transcription).toEqual(transcription);
+    }
+  });
+
+  test("deleting an analysis removes all of its rows or none", async () => {
+    const id = await insertAnalysis("atomic-delete");
+    await dbOperations.updateStatus(id, "completed", {
+      transcription,
+      aiProbabilities,
+    });
+    await rawRun(`
+      CREATE TRIGGER keep_jobs BEFORE DELETE ON jobs
+      BEGIN SELECT RAISE(ABORT, 'jobs locked'); END
+    `);
+    await dbOperations.enqueueJob("analysis", { analysisId: id });
+
+    await expect(dbOperations.deleteAnalysis(id)).rejects.toThrow(
+      "jobs locked"
+    );
+    await rawRun("DROP TRIGGER keep_jobs");
+
+    const { result } = await service.getAnalysisResult(id);
+    expect(result.transcription).toEqual(transcription);
+
+    expect(await dbOperations.deleteAnalysis(id)).toBe(1);
+    for (const table of ["transcript_segments", "segment_detections"]) {
+      expect(
+        await rawAll(`SELECT * FROM ${table} WHERE analysis_id = ?`, [id])
+      ).toEqual([]);
+    }
+  });
+
+  test("writes made while a transaction is open survive its rollback", async () => {
+    const id = await insertAnalysis("rolled-back");
+    const other = await insertAnalysis("written-meanwhile");
+    await rawRun(`
+      CREATE TRIGGER keep_jobs BEFORE DELETE ON jobs
+      BEGIN SELECT RAISE(ABORT, 'jobs locked'); END
+    `);
+    await dbOperations.enqueueJob("analysis", { analysisId: id });
+
+    // Halfway through the delete, another request writes and the delete
+    // takes a moment before failing
+    const run = sqlite3.Database.prototype.run;
+    let meanwhile;
+    jest
+      .spyOn(sqlite3.Database.prototype, "run")
+      .mockImplementation(function (sql, ...args) {
+        if (!meanwhile && sql.startsWith("DELETE FROM jobs")) {
+          meanwhile = dbOperations.updateStatus(other, "processing");
+          setTimeout(() => run.call(this, sql, ...args), 100);
+          return this;
+        }
+        return run.call(this, sql, ...args);
+      });
+
+    await expect(dbOperations.deleteAnalysis(id)).rejects.toThrow(
+      "jobs locked"
+    );
+    await meanwhile;
+    jest.restoreAllMocks();
+    await rawRun("DROP TRIGGER keep_jobs");
+
+    expect((await dbOperations.getAnalysisById(id)).status).toBe("pending");
+    expect((await dbOperations.getAnalysisById(other)).status).toBe(
+      "processing"
+    );
+  });
+});
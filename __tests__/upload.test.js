@@ -0,0 +1,107 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { startTestApp } = require("./helpers/app");
+
+describe("POST /api/analyze/upload", () => {
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-test-"));
+  let app;
+
+  beforeAll(async () => {
+    process.env.UPLOAD_DIR = uploadDir;
+    process.env.MAX_UPLOAD_SIZE_MB = "1";
+    await openTestDatabase();
+    app = await startTestApp({
+      "/api/analyze": require("../src/routes/analysis"),
+    });
+  });
+
+  afterAll(async () => {
+    delete process.env.UPLOAD_DIR;
+    delete process.env.MAX_UPLOAD_SIZE_MB;
+    await app.close();
+    await removeTestDatabase();
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  const mediaFile = (size = 16, type = "audio/mpeg") =>
+    new Blob([Buffer.alloc(size)], { type });
+
+  async function upload(form) {
+    const response = await fetch(`${app.url}/api/analyze/upload`, {
+      method: "POST",
+      body: form,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test("rejects unsupported file types", async () => {
+    const form = new FormData();
+    form.append("file", mediaFile(16, "text/plain"), "notes.txt");
+
+    const { status, body } = await upload(form);
+
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/^Unsupported file type/);
+  });
+
+  test("rejects files over the size limit with 413", async () => {
+    const form = new FormData();
+    form.append("file", mediaFile(1024 * 1024 + 1), "long.mp3");
+
+    const { status } = await upload(form);
+
+    expect(status).toBe(413);
+  });
+
+  test("rejects a file sent under another field name", async () => {
+    const form = new FormData();
+    form.append("media", mediaFile(), "talk.mp3");
+
+    const { status, body } = await upload(form);
+
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/Unexpected file field 'media'/);
+  });
+
+  test("rejects more than one file", async () => {
+    const form = new FormData();
+    form.append("file", mediaFile(), "one.mp3");
+    form.append("file", mediaFile(), "two.mp3");
+
+    const { status, body } = await upload(form);
+
+    expect(status).toBe(400);
+    expect(body.success).toBe(false);
+  });
+
+  test("requires a file", async () => {
+    const form = new FormData();
+    form.append("callback_url", "https://93.184.216.34/hook");
+
+    const { status, body } = await upload(form);
+
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/Media file is required/);
+  });
+
+  test("queues a valid upload", async () => {
+    const form = new FormData();
+    form.append("file", mediaFile(), "talk.mp3");
+
+    const { status, body } = await upload(form);
+
+    expect(status).toBe(202);
+    expect(body).toMatchObject({
+      success: true,
+      status: "pending",
+      original_filename: "talk.mp3",
+    });
+  });
+
+  test("doesn't leave rejected files behind", () => {
+    // Only the queued upload remains
+    expect(fs.readdirSync(uploadDir)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const http = require("http");
+const { openTestDatabase, removeTestDatabase } = require("./helpers/database");
+const { dbOperations } = require("../src/models/database");
+const WebhookService = require("../src/services/webhookService");
+const {
+  isPrivateAddress,
+  resolveCallbackUrl,
+  callbackUrlError,
+} = require("../src/utils/callbackUrl");
+
+const ANALYSIS_ID = "6f1c3c1e-2f4b-4a8e-9d1a-1b2c3d4e5f60";
+
+describe("callback URL validation", () => {
+  beforeEach(() => {
+    process.env.WEBHOOK_SECRET = "test-secret";
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_SECRET;
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+  });
+
+  test.each([
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.20.0.1",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::1",
+    "fd00::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+  ])("%s is private", (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each(["93.184.216.34", "8.8.8.8", "2606:4700::1111"])(
+    "%s is public",
+    (address) => {
+      expect(isPrivateAddress(address)).toBe(false);
+    }
+  );
+
+  test("rejects callbacks to local and internal hosts", async () => {
+    for (const url of [
+      "http://localhost:3000/hook",
+      "http://127.0.0.1/hook",
+      "http://169.254.169.254/latest/meta-data/",
+      "http://[::1]:8080/hook",
+    ]) {
+      await expect(resolveCallbackUrl(url)).rejects.toMatchObject({
+        retryable: false,
+      });
+    }
+  });
+
+  test("rejects URLs that aren't http(s)", async () => {
+    expect(await callbackUrlError("ftp://example.com/hook")).toMatch(
+      /must be an http\(s\) URL/
+    );
+    expect(await callbackUrlError("not a url")).toMatch(
+      /must be an http\(s\) URL/
+    );
+  });
+
+  test("accepts public addresses", async () => {
+    expect(await callbackUrlError("https://93.184.216.34/hook")).toBeNull();
+  });
+
+  test("rejects every callback while WEBHOOK_SECRET is unset", async () => {
+    delete process.env.WEBHOOK_SECRET;
+
+    expect(await callbackUrlError("https://93.184.216.34/hook")).toBe(
+      "Webhook callbacks are disabled on this server (WEBHOOK_SECRET is not set)"
+    );
+  });
+
+  test("WEBHOOK_ALLOWED_HOSTS allows internal receivers", async () => {
+    process.env.WEBHOOK_ALLOWED_HOSTS = "hooks.internal, 127.0.0.1";
+
+    expect(await callbackUrlError("http://127.0.0.1:9000/hook")).toBeNull();
+    expect(await callbackUrlError("http://10.0.0.1/hook")).toMatch(
+      /private or local address/
+    );
+  });
+});
+
+describe("webhook delivery", () => {
+  let server;
+  let received;
+  let responseStatus;
+  let callbackUrl;
+  let webhookService;
+
+  beforeAll(async () => {
+    await openTestDatabase();
+    process.env.WEBHOOK_SECRET = "test-secret";
+    webhookService = new WebhookService();
+
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseStatus);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    callbackUrl = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  afterAll(async () => {
+    delete process.env.WEBHOOK_SECRET;
+    await new Promise((resolve) => server.close(resolve));
+    await removeTestDatabase();
+  });
+
+  beforeEach(() => {
+    process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1";
+    received = [];
+    responseStatus = 200;
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+  });
+
+  test("signs the timestamp and raw body with HMAC-SHA256", async () => {
+    await webhookService.deliver(
+      ANALYSIS_ID,
+      callbackUrl,
+      "analysis.completed",
+      { id: ANALYSIS_ID, status: "completed" },
+      1
+    );
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    const expected = crypto
+      .createHmac("sha256", "test-secret")
+      .update(`${headers["x-webhook-timestamp"]}.${body}`)
+      .digest("hex");
+    expect(headers["x-webhook-signature"]).toBe(`sha256=${expected}`);
+    expect(headers["x-webhook-event"]).toBe("analysis.completed");
+    expect(JSON.parse(body)).toEqual({
+      event: "analysis.completed",
+      id: ANALYSIS_ID,
+      status: "completed",
+    });
+
+    const [delivery] = await dbOperations.getWebhookDeliveries(ANALYSIS_ID);
+    expect(delivery).toMatchObject({ status_code: 200, attempt: 1 });
+  });
+
+  test("throws on a non-2xx response so the job is retried", async () => {
+    responseStatus = 503;
+
+    await expect(
+      webhookService.deliver(ANALYSIS_ID, callbackUrl, "analysis.failed", {}, 2)
+    ).rejects.toThrow("Webhook endpoint responded with 503");
+  });
+
+  test("never sends to a private address outside the allowlist", async () => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+    await expect(
+      webhookService.deliver(ANALYSIS_ID, callbackUrl, "analysis.failed", {}, 1)
+    ).rejects.toMatchObject({ retryable: false });
+    expect(received).toHaveLength(0);
+  });
+});
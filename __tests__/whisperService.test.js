@@ -0,0 +1,228 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const WhisperService = require("../src/services/whisperService");
+
+function token(text, from, to, p) {
+  return { text, offsets: { from, to }, p };
+}
+
+// Output of `whisper-cli -ojf` (full JSON), trimmed to the fields we read
+const output = {
+  model: { type: "base" },
+  result: { language: "de" },
+  transcription: [
+    {
+      offsets: { from: 0, to: 2500 },
+      text: " Hello world.",
+      tokens: [
+        token("[_BEG_]", 0, 0, 0.99),
+        token(" Hello", 0, 800, 0.95),
+        token(" world", 800, 2300, 0.9),
+        token(".", 2300, 2500, 0.8),
+        token("[_TT_125]", 2500, 2500, 0.5),
+      ],
+    },
+    // Silence comes back as an entry with blank text
+    { offsets: { from: 2500, to: 4000 }, text: "   ", tokens: [] },
+    {
+      offsets: { from: 4000, to: 6120 },
+      text: " It was trans cribed",
+      tokens: [
+        token(" It", 4000, 4300, 0.7),
+        token(" was", 4300, 4700, 0.9),
+        token(" trans", 4700, 5400, 0.6),
+        token("cribed", 5400, 6120, 0.4),
+      ],
+    },
+    // Older whisper.cpp versions leave out tokens
+    { offsets: { from: 6120, to: 7000 }, text: " No tokens." },
+  ],
+};
+
+describe("WhisperService.processTranscription", () => {
+  const service = new WhisperService();
+
+  test("converts entries into segments with timestamps in seconds", () => {
+    const transcription = service.processTranscription(output);
+
+    expect(transcription.segments).toEqual([
+      {
+        start: 0,
+        end: 2.5,
+        text: "Hello world.",
+        speaker: "unknown",
+        confidence: expect.closeTo(0.875),
+      },
+      {
+        start: 4,
+        end: 6.12,
+        text: "It was trans cribed",
+        speaker: "unknown",
+        confidence: expect.closeTo((0.7 + 0.9 + 0.4) / 3),
+      },
+      {
+        start: 6.12,
+        end: 7,
+        text: "No tokens.",
+        speaker: "unknown",
+        confidence: 0,
+      },
+    ]);
+    expect(transcription.text).toBe(
+      "Hello world. It was trans cribed No tokens."
+    );
+  });
+
+  test("joins sub-word tokens into words, skipping special tokens", () => {
+    const { wordTimestamps } = service.processTranscription(output);
+
+    expect(wordTimestamps.map((word) => word.word)).toEqual([
+      "Hello",
+      "world.",
+      "It",
+      "was",
+      "transcribed",
+    ]);
+    // A word spans its pieces and is as confident as its weakest piece
+    expect(wordTimestamps[1]).toEqual({
+      word: "world.",
+      start: 0.8,
+      end: 2.5,
+      confidence: 0.8,
+      speaker: "unknown",
+    });
+    expect(wordTimestamps[4]).toMatchObject({
+      start: 4.7,
+      end: 6.12,
+      confidence: 0.4,
+    });
+  });
+
+  test("summarizes language, duration and confidence", () => {
+    const { metadata } = service.processTranscription(output);
+
+    expect(metadata).toEqual({
+      language: "de",
+      duration: 7,
+      // Segments without tokens don't count
+      confidence: expect.closeTo((0.875 + 2 / 3) / 2),
+      provider: "whisper",
+      model: "base",
+    });
+  });
+
+  test.each([
+    ["no transcription", {}],
+    ["an empty transcription", { transcription: [] }],
+    [
+      "only silence",
+      {
+        transcription: [{ offsets: { from: 0, to: 30000 }, text: " " }],
+      },
+    ],
+  ])("handles %s", (description, rawData) => {
+    expect(service.processTranscription(rawData)).toEqual({
+      text: "",
+      segments: [],
+      speakers: [],
+      wordTimestamps: [],
+      metadata: {
+        language: "en",
+        duration: 0,
+        confidence: 0,
+        provider: "whisper",
+        model: null,
+      },
+    });
+  });
+});
+
+describe("WhisperService.transcribeAudio", () => {
+  let directory;
+  let audioPath;
+  let env;
+
+  beforeAll(() => {
+    env = { ...process.env };
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "whisper-test-"));
+    audioPath = path.join(directory, "audio.wav");
+    fs.writeFileSync(audioPath, "RIFF");
+    fs.writeFileSync(path.join(directory, "model.bin"), "");
+
+    // Stands in for whisper-cli: copies output.json from its own directory
+    // to <-of>.json, or fails if there is none
+    const binary = path.join(directory, "whisper-cli");
+    fs.writeFileSync(
+      binary,
+      `#!${process.execPath}
+const fs = require("fs");
+const args = process.argv.slice(2);
+const fixture = require("path").join(__dirname, "output.json");
+if (!fs.existsSync(fixture)) {
+  console.error("failed to load model");
+  process.exit(1);
+}
+fs.copyFileSync(fixture, args[args.indexOf("-of") + 1] + ".json");
+`
+    );
+    fs.chmodSync(binary, 0o755);
+
+    process.env.WHISPER_CPP_BIN = binary;
+    process.env.WHISPER_MODEL_PATH = path.join(directory, "model.bin");
+  });
+
+  afterAll(() => {
+    process.env = env;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function whisperWrites(rawData) {
+    fs.writeFileSync(
+      path.join(directory, "output.json"),
+      JSON.stringify(rawData)
+    );
+  }
+
+  afterEach(() =>
+    fs.rmSync(path.join(directory, "output.json"), { force: true })
+  );
+
+  test("parses the JSON file whisper.cpp writes and removes it", async () => {
+    whisperWrites(output);
+
+    const result = await new WhisperService().transcribeAudio(
+      audioPath,
+      "whisper-test"
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.transcription.segments).toHaveLength(3);
+    expect(result.rawResponse).toEqual(output);
+    expect(
+      fs.existsSync(path.join(os.tmpdir(), "whisper-test_whisper.json"))
+    ).toBe(false);
+  });
+
+  test("returns an empty transcription for silent audio", async () => {
+    whisperWrites({ transcription: [] });
+
+    const result = await new WhisperService().transcribeAudio(
+      audioPath,
+      "whisper-silent"
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.transcription).toMatchObject({ text: "", segments: [] });
+  });
+
+  test("reports a failing binary", async () => {
+    const result = await new WhisperService().transcribeAudio(
+      audioPath,
+      "whisper-fail"
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/^whisper.cpp failed/);
+  });
+});
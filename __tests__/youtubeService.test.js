@@ -0,0 +1,288 @@
+jest.mock("ytpl");
+jest.mock("ytdl-core");
+
+const ytpl = require("ytpl");
+const ytdl = require("ytdl-core");
+const YouTubeService = require("../src/services/youtubeService");
+
+// Channel uploads playlist, newest first: v0 published 2024-01-10, v1 on
+// the 9th, and so on
+const items = Array.from({ length: 10 }, (_, i) => ({
+  id: `video${i}`.padEnd(11, "x"),
+  title: `Video ${i}`,
+}));
+const publishDate = (id) =>
+  `2024-01-${String(10 - Number(id[5])).padStart(2, "0")}`;
+
+describe("YouTubeService.expandCollection", () => {
+  let service;
+  let inFlight;
+  let maxInFlight;
+
+  beforeEach(() => {
+    service = new YouTubeService();
+    service.lookupConcurrency = 3;
+    inFlight = 0;
+    maxInFlight = 0;
+
+    ytpl.getPlaylistID.mockResolvedValue("UUchannel");
+    ytpl.mockResolvedValue({ title: "Uploads", items });
+    ytdl.getBasicInfo.mockImplementation(async (url) => {
+      const id = new URL(url).searchParams.get("v");
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      inFlight--;
+      if (id.startsWith("video2")) {
+        throw new Error("Video unavailable");
+      }
+      return { videoDetails: { publishDate: publishDate(id) } };
+    });
+  });
+
+  afterEach(() => jest.resetAllMocks());
+
+  const channelUrl = "https://www.youtube.com/channel/UCchannel";
+
+  test("lists videos without lookups when there's no date filter", async () => {
+    const result = await service.expandCollection(channelUrl, {
+      maxVideos: 4,
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.videos.map((video) => video.title)).toEqual([
+      "Video 0",
+      "Video 1",
+      "Video 2",
+      "Video 3",
+    ]);
+    expect(ytdl.getBasicInfo).not.toHaveBeenCalled();
+  });
+
+  test("skips videos that fail to load instead of failing the collection", async () => {
+    const result = await service.expandCollection(channelUrl, {
+      publishedAfter: "2024-01-06",
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.videos.map((video) => video.publish_date)).toEqual([
+      "2024-01-10",
+      "2024-01-09",
+      "2024-01-07",
+      "2024-01-06",
+    ]);
+  });
+
+  test("limits concurrent lookups", async () => {
+    await service.expandCollection(channelUrl, {
+      publishedBefore: "2024-01-03",
+    });
+
+    expect(ytdl.getBasicInfo).toHaveBeenCalledTimes(items.length);
+    expect(maxInFlight).toBe(3);
+  });
+
+  test("stops scanning a channel once past publishedAfter", async () => {
+    const result = await service.expandCollection(channelUrl, {
+      publishedAfter: "2024-01-10",
+    });
+
+    // The first batch of 3 already reaches 2024-01-09
+    expect(result.videos.map((video) => video.publish_date)).toEqual([
+      "2024-01-10",
+    ]);
+    expect(ytdl.getBasicInfo).toHaveBeenCalledTimes(3);
+  });
+
+  test("stops at maxVideos", async () => {
+    const result = await service.expandCollection(channelUrl, {
+      publishedBefore: "2024-01-09",
+      maxVideos: 2,
+    });
+
+    expect(result.videos.map((video) => video.publish_date)).toEqual([
+      "2024-01-09",
+      "2024-01-07",
+    ]);
+    expect(ytdl.getBasicInfo).toHaveBeenCalledTimes(6);
+  });
+});
+
+describe("YouTubeService.getVideoId", () => {
+  const service = new YouTubeService();
+
+  test.each([
+    ["https://www.youtube.com/watch?v=dQw4w9WgXcQ", "dQw4w9WgXcQ"],
+    ["http://youtube.com/watch?feature=share&v=dQw4w9WgXcQ", "dQw4w9WgXcQ"],
+    ["www.youtube.com/watch?v=dQw4w9WgXcQ", "dQw4w9WgXcQ"],
+    ["https://m.youtube.com/watch?v=dQw4w9WgXcQ", "dQw4w9WgXcQ"],
+    ["https://music.youtube.com/watch?v=dQw4w9WgXcQ", "dQw4w9WgXcQ"],
+    ["https://youtu.be/dQw4w9WgXcQ", "dQw4w9WgXcQ"],
+    ["https://youtu.be/dQw4w9WgXcQ?t=42", "dQw4w9WgXcQ"],
+    ["youtu.be/dQw4w9WgXcQ", "dQw4w9WgXcQ"],
+    ["https://www.youtube.com/shorts/aBc_dEf-123", "aBc_dEf-123"],
+    ["https://www.youtube.com/embed/dQw4w9WgXcQ?autoplay=1", "dQw4w9WgXcQ"],
+    ["https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ", "dQw4w9WgXcQ"],
+    ["https://www.youtube.com/live/dQw4w9WgXcQ?si=abc", "dQw4w9WgXcQ"],
+    ["https://www.youtube.com/v/dQw4w9WgXcQ", "dQw4w9WgXcQ"],
+    // Playlist context doesn't change the video
+    [
+      "https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PL1234567890&index=3",
+      "dQw4w9WgXcQ",
+    ],
+  ])("%s is video %s", (url, videoId) => {
+    expect(service.getVideoId(url)).toBe(videoId);
+  });
+
+  test.each([
+    "https://www.youtube.com/watch?v=tooShort",
+    "https://www.youtube.com/watch?v=dQw4w9WgXcQQ",
+    "https://www.youtube.com/watch?v=dQw4w9WgX%21Q",
+    "https://youtu.be/",
+    "https://www.youtube.com/watch",
+    "https://www.youtube.com/playlist?list=PL1234567890",
+    "https://www.youtube.com/@someone",
+    "https://vimeo.com/dQw4w9WgXcQ",
+    "https://notyoutube.com/watch?v=dQw4w9WgXcQ",
+    "not a url",
+  ])("%s has no video ID", (url) => {
+    expect(service.getVideoId(url)).toBeNull();
+  });
+
+  test("different forms of a video share a canonical URL", () => {
+    const ids = [
+      "https://youtu.be/dQw4w9WgXcQ",
+      "https://m.youtube.com/shorts/dQw4w9WgXcQ",
+      "https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PL1234567890",
+    ].map((url) => service.getVideoId(url));
+
+    expect(new Set(ids.map((id) => service.getCanonicalUrl(id)))).toEqual(
+      new Set(["https://www.youtube.com/watch?v=dQw4w9WgXcQ"])
+    );
+  });
+});
+
+describe("YouTubeService.getCollectionType", () => {
+  const service = new YouTubeService();
+
+  test.each([
+    ["https://www.youtube.com/playlist?list=PL1234567890", "playlist"],
+    ["https://m.youtube.com/playlist?list=PL1234567890", "playlist"],
+    ["https://music.youtube.com/playlist?list=OLAK5uy_abc", "playlist"],
+    ["https://www.youtube.com/embed/videoseries?list=PL1234567890", "playlist"],
+    ["https://www.youtube.com/channel/UC1234567890abcdefghijkl", "channel"],
+    ["https://www.youtube.com/c/SomeChannel/videos", "channel"],
+    ["https://www.youtube.com/user/someone", "channel"],
+    ["youtube.com/@someone", "channel"],
+    // A watch URL with list= is a single video in that playlist
+    ["https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PL1234567890", null],
+    ["https://www.youtube.com/watch?v=dQw4w9WgXcQ", null],
+    ["https://youtu.be/dQw4w9WgXcQ", null],
+    ["https://www.youtube.com/playlist", null],
+    ["not a url", null],
+  ])("%s is %p", (url, type) => {
+    expect(service.getCollectionType(url)).toBe(type);
+  });
+});
+
+describe("YouTubeService.extractVideoMetadata", () => {
+  const service = new YouTubeService();
+  const videoDetails = {
+    videoId: "dQw4w9WgXcQ",
+    title: "Never Gonna Give You Up",
+    author: { id: "UCuAXFkgsw1L7xaCfnd5JJOw", name: "Rick Astley" },
+    ownerChannelName: "Rick Astley - Topic",
+    channelId: "UCuAXFkgsw1L7xaCfnd5JJOw",
+    lengthSeconds: "212",
+    publishDate: "2009-10-24",
+    uploadDate: "2009-10-25",
+    viewCount: "1500000000",
+    description: "The official video",
+    keywords: ["rick astley", "80s"],
+    thumbnails: [
+      {
+        url: "https://i.ytimg.com/vi/dQw4w9WgXcQ/default.jpg",
+        width: 120,
+        height: 90,
+        extra: true,
+      },
+    ],
+  };
+  const extract = (overrides) =>
+    service.extractVideoMetadata({
+      videoDetails: { ...videoDetails, ...overrides },
+    });
+
+  test("keeps the fields stored in video_metadata", () => {
+    expect(extract()).toEqual({
+      video_id: "dQw4w9WgXcQ",
+      title: "Never Gonna Give You Up",
+      channel: "Rick Astley",
+      channel_id: "UCuAXFkgsw1L7xaCfnd5JJOw",
+      duration_seconds: 212,
+      publish_date: "2009-10-24",
+      view_count: 1500000000,
+      description: "The official video",
+      tags: ["rick astley", "80s"],
+      thumbnails: [
+        {
+          url: "https://i.ytimg.com/vi/dQw4w9WgXcQ/default.jpg",
+          width: 120,
+          height: 90,
+        },
+      ],
+    });
+  });
+
+  test("falls back to the owner channel without an author", () => {
+    expect(extract({ author: undefined })).toMatchObject({
+      channel: "Rick Astley - Topic",
+      channel_id: "UCuAXFkgsw1L7xaCfnd5JJOw",
+    });
+    expect(
+      extract({ author: undefined, ownerChannelName: "", channelId: undefined })
+    ).toMatchObject({ channel: null, channel_id: null });
+    expect(
+      extract({ channelId: undefined, author: { id: "UCauthor" } })
+    ).toMatchObject({ channel: "Rick Astley - Topic", channel_id: "UCauthor" });
+  });
+
+  test.each([
+    [undefined, null],
+    [null, null],
+    ["", null],
+    ["N/A", null],
+    ["1,234", null],
+    ["12K", null],
+    ["1.5", null],
+    [" 42 ", 42],
+    [42, 42],
+  ])("reads a view count of %p as %p", (viewCount, expected) => {
+    expect(extract({ viewCount }).view_count).toBe(expected);
+  });
+
+  test("non-numeric lengths are stored as unknown", () => {
+    expect(extract({ lengthSeconds: "live" }).duration_seconds).toBeNull();
+  });
+
+  test("fills in missing optional fields", () => {
+    expect(
+      extract({
+        title: "",
+        publishDate: undefined,
+        description: undefined,
+        keywords: undefined,
+        thumbnails: undefined,
+      })
+    ).toMatchObject({
+      title: null,
+      publish_date: "2009-10-25",
+      description: null,
+      tags: [],
+      thumbnails: [],
+    });
+    expect(
+      extract({ publishDate: undefined, uploadDate: undefined }).publish_date
+    ).toBeNull();
+  });
+});
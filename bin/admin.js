@@ -0,0 +1,487 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const logger = require("../src/utils/logger");
+const {
+  initializeDatabase,
+  migrateDatabase,
+  rollbackDatabase,
+  getMigrationStatus,
+  dbOperations,
+  closeDatabase,
+} = require("../src/models/database");
+const AnalysisService = require("../src/services/analysisService");
+const RetentionService = require("../src/services/retentionService");
+const { parseListFilters } = require("../src/utils/listFilters");
+
+const usage = `Usage: npm run admin -- <command> [options]
+
+Analyses:
+  list [filters]            List analyses; takes the GET /api/analyze query
+                            parameters as options, e.g. --status=failed
+  inspect <id> [--full]     Show an analysis, its checkpoints and webhook
+                            deliveries (--full includes transcript segments)
+  delete <id>               Delete an analysis and all of its files
+  retry <id>                Resume a failed analysis from its last checkpoint
+  rerun <id>                Run an analysis again from scratch
+
+API keys:
+  keys list
+  keys create <name> [--admin] [--rate-limit=N] [--daily-minutes=N]
+  keys revoke <id>
+
+Storage:
+  purge [--dry-run] [--min-age-hours=1]
+                            Delete files under SCREENSHOT_DIR, AUDIO_DIR and
+                            UPLOAD_DIR that no analysis refers to
+  retention                 Expire audio, screenshots and transcripts past
+                            their RETENTION_*_DAYS now, instead of waiting
+                            for the worker's next run
+  stats                     Storage use, analyses and estimated costs
+
+Database:
+  migrate status            Show applied and pending schema migrations
+  migrate up [--to=N]       Apply pending migrations (up to version N)
+  migrate down [--to=N]     Roll back to version N (default: the last one)
+
+Options:
+  --json                    Print the raw result as JSON
+  --verbose                 Show service logs`;
+
+// "--min-age-hours=2" -> { min_age_hours: "2" }, "--dry-run" -> true
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      options[match[1].replace(/-/g, "_")] =
+        match[2] === undefined ? true : match[2];
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, options };
+}
+
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function printTable(rows) {
+  if (rows.length === 0) {
+    return;
+  }
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => String(row[column]).length))
+  );
+  rows.forEach((row) => {
+    console.log(
+      row
+        .map((cell, column) => String(cell).padEnd(widths[column]))
+        .join("  ")
+        .trimEnd()
+    );
+  });
+}
+
+function optionalNumber(options, name) {
+  if (options[name] === undefined) {
+    return undefined;
+  }
+  const value = Number(options[name]);
+  if (options[name] === true || isNaN(value) || value < 0) {
+    throw new Error(`--${name.replace(/_/g, "-")} must be a number >= 0`);
+  }
+  return value;
+}
+
+// Service calls return { success, error }; failures end the command
+function check(result) {
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+async function listAnalyses(service, options) {
+  const { json, verbose, ...query } = options;
+  const { filters, error } = parseListFilters(query);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const result = check(await service.getAllAnalyses(filters));
+  if (json) {
+    return result;
+  }
+
+  printTable([
+    ["ID", "STATUS", "AI", "CREATED", "SOURCE"],
+    ...result.analyses.map((analysis) => [
+      analysis.id,
+      analysis.status,
+      typeof analysis.overall_ai_probability === "number"
+        ? `${Math.round(analysis.overall_ai_probability * 100)}%`
+        : "-",
+      analysis.created_at,
+      (analysis.video && analysis.video.title) ||
+        analysis.original_filename ||
+        analysis.youtube_url,
+    ]),
+  ]);
+  console.log(`\n${result.analyses.length} of ${result.total} analyses`);
+  if (result.next_cursor) {
+    console.log(`Next page: --cursor=${result.next_cursor}`);
+  }
+}
+
+async function inspectAnalysis(service, id, options) {
+  const { result } = check(await service.getAnalysisResult(id));
+  const checkpoints = await dbOperations.getCheckpoints(id);
+  const deliveries = await dbOperations.getWebhookDeliveries(id);
+
+  // Segment and word lists are summarized unless --full is given
+  if (result.transcription && !options.full) {
+    const lists = { segments: "segments", wordTimestamps: "words" };
+    Object.entries(lists).forEach(([field, label]) => {
+      if (Array.isArray(result.transcription[field])) {
+        const count = result.transcription[field].length;
+        result.transcription[field] = `${count} ${label} (use --full to show)`;
+      }
+    });
+  }
+
+  return {
+    ...result,
+    checkpoints: Object.fromEntries(
+      Object.entries(checkpoints).map(([stage, data]) => [
+        stage,
+        { mode: data.mode, ...pickFiles(data) },
+      ])
+    ),
+    webhook_deliveries: deliveries,
+  };
+}
+
+function pickFiles(data) {
+  const files = {};
+  ["screenshotPath", "audioPath", "wavPath"].forEach((key) => {
+    if (data[key]) {
+      files[key] = data[key];
+    }
+  });
+  return files;
+}
+
+async function manageKeys(service, [action, arg], options) {
+  const apiKeyService = service.apiKeyService;
+
+  switch (action) {
+    case "list": {
+      const { api_keys } = check(await apiKeyService.listKeys());
+      if (options.json) {
+        return api_keys;
+      }
+      printTable([
+        ["ID", "NAME", "PREFIX", "ADMIN", "CREATED", "LAST USED", "REVOKED"],
+        ...api_keys.map((key) => [
+          key.id,
+          key.name,
+          key.key_prefix,
+          key.is_admin ? "yes" : "no",
+          key.created_at,
+          key.last_used_at || "-",
+          key.revoked_at || "-",
+        ]),
+      ]);
+      return null;
+    }
+
+    case "create": {
+      if (!arg) {
+        throw new Error("Usage: keys create <name>");
+      }
+      const result = check(
+        await apiKeyService.createKey({
+          name: arg,
+          isAdmin: Boolean(options.admin),
+          rateLimitMaxRequests: optionalNumber(options, "rate_limit"),
+          dailyAudioMinutes: optionalNumber(options, "daily_minutes"),
+        })
+      );
+      if (options.json) {
+        return result;
+      }
+      console.log(`Created API key ${result.api_key.id} (${arg})`);
+      console.log(`Key: ${result.key}`);
+      console.log("Store it now, it can't be shown again.");
+      return null;
+    }
+
+    case "revoke":
+      if (!arg) {
+        throw new Error("Usage: keys revoke <id>");
+      }
+      check(await apiKeyService.revokeKey(arg));
+      console.log(`Revoked API key ${arg}`);
+      return null;
+
+    default:
+      throw new Error(
+        "Usage: keys list | keys create <name> | keys revoke <id>"
+      );
+  }
+}
+
+async function purgeFiles(service, options) {
+  const minAgeHours =
+    options.min_age_hours !== undefined
+      ? optionalNumber(options, "min_age_hours")
+      : 1;
+  const result = check(
+    await service.storageService.purgeOrphanedFiles({
+      dryRun: Boolean(options.dry_run),
+      minAgeMs: minAgeHours * 3600000,
+    })
+  );
+  if (options.json) {
+    return result;
+  }
+
+  result.paths.forEach((filePath) => console.log(filePath));
+  console.log(
+    `${result.dry_run ? "Would delete" : "Deleted"} ${
+      result.files
+    } orphaned files (${formatBytes(result.bytes)})`
+  );
+  return null;
+}
+
+async function printStats(service, options) {
+  const stats = check(await service.getUsageStats());
+  const storage = service.storageService.getUsage();
+  if (options.json) {
+    const { success, ...usage } = stats;
+    return { ...usage, storage };
+  }
+
+  const { analyses, transcription, detection, estimated_cost } = stats;
+  console.log(
+    `Analyses: ${analyses.total} (${
+      Object.entries(analyses.by_status)
+        .map(([status, count]) => `${status} ${count}`)
+        .join(", ") || "none"
+    })`
+  );
+  if (analyses.average_processing_time_ms !== null) {
+    console.log(
+      `Average processing time: ${(
+        analyses.average_processing_time_ms / 1000
+      ).toFixed(1)}s`
+    );
+  }
+
+  console.log(`\nAudio transcribed: ${transcription.audio_minutes} min`);
+  Object.entries(transcription.by_provider).forEach(([name, provider]) => {
+    console.log(
+      `  ${name}: ${provider.analyses} analyses, ${provider.audio_minutes} min (${provider.billable_minutes} billable)`
+    );
+  });
+  console.log(`Detector requests: ${detection.requests}`);
+  Object.entries(detection.by_detector).forEach(([name, detector]) => {
+    console.log(
+      `  ${name}: ${detector.analyses} analyses, ${detector.requests} requests (${detector.billable_requests} billable)`
+    );
+  });
+  console.log(
+    `Estimated cost: ${estimated_cost.total} (transcription ${estimated_cost.transcription}, detection ${estimated_cost.detection})`
+  );
+
+  console.log("\nStorage:");
+  printTable(
+    Object.entries(storage).map(([name, usage]) => [
+      `  ${name}`,
+      usage.directory || usage.path,
+      usage.files !== undefined ? `${usage.files} files` : "",
+      formatBytes(usage.bytes),
+    ])
+  );
+  return null;
+}
+
+async function migrate([action], options) {
+  const target = optionalNumber(options, "to");
+  let status = await getMigrationStatus();
+
+  switch (action) {
+    case "status":
+      break;
+    case "up": {
+      const applied = await migrateDatabase(target);
+      if (!options.json) {
+        console.log(`Applied ${applied.length} migrations`);
+      }
+      break;
+    }
+    case "down": {
+      // Without --to, only the newest applied migration is rolled back
+      const applied = status.migrations.filter(
+        (migration) => migration.applied
+      );
+      const previous = applied.length > 1 ? applied[applied.length - 2] : null;
+      const reverted = await rollbackDatabase(
+        target !== undefined ? target : previous ? previous.version : 0
+      );
+      if (!options.json) {
+        console.log(`Rolled back ${reverted.length} migrations`);
+      }
+      break;
+    }
+    default:
+      throw new Error(
+        "Usage: migrate status | migrate up [--to=N] | migrate down [--to=N]"
+      );
+  }
+
+  status = await getMigrationStatus();
+  if (options.json) {
+    return status;
+  }
+  printTable([
+    ["VERSION", "NAME", "APPLIED"],
+    ...status.migrations.map((migration) => [
+      migration.version,
+      migration.name,
+      migration.applied_at || "pending",
+    ]),
+    ...status.unknown.map((migration) => [
+      migration.version,
+      migration.name,
+      `${migration.applied_at} (not in this version)`,
+    ]),
+  ]);
+  console.log(`\nSchema version ${status.current} of ${status.latest}`);
+  return null;
+}
+
+async function run(service, [command, ...args], options) {
+  switch (command) {
+    case "list":
+      return listAnalyses(service, options);
+    case "inspect":
+      if (!args[0]) {
+        throw new Error("Usage: inspect <id>");
+      }
+      return inspectAnalysis(service, args[0], options);
+    case "delete": {
+      if (!args[0]) {
+        throw new Error("Usage: delete <id>");
+      }
+      const result = check(await service.deleteAnalysis(args[0]));
+      if (options.json) {
+        return result;
+      }
+      console.log(
+        `Deleted analysis ${args[0]} and ${
+          result.deleted_files
+        } files (${formatBytes(result.freed_bytes)})`
+      );
+      return null;
+    }
+    case "retry":
+    case "rerun": {
+      if (!args[0]) {
+        throw new Error(`Usage: ${command} <id>`);
+      }
+      const result = check(
+        command === "retry"
+          ? await service.retryAnalysis(args[0])
+          : await service.rerunAnalysis(args[0])
+      );
+      if (options.json) {
+        return result;
+      }
+      console.log(
+        `Analysis ${args[0]} queued${
+          result.completed_stages && result.completed_stages.length > 0
+            ? `, resuming after: ${result.completed_stages.join(", ")}`
+            : ""
+        }. It runs when a worker picks it up.`
+      );
+      return null;
+    }
+    case "keys":
+      return manageKeys(service, args, options);
+    case "purge":
+      return purgeFiles(service, options);
+    case "retention": {
+      const summary = await new RetentionService().run();
+      if (options.json) {
+        return summary;
+      }
+      Object.entries(summary).forEach(([artifact, cleared]) => {
+        console.log(
+          `${artifact}: cleared ${cleared.analyses} analyses, ${
+            cleared.files
+          } files (${formatBytes(cleared.bytes)})`
+        );
+      });
+      return null;
+    }
+    case "stats":
+      return printStats(service, options);
+    case "migrate":
+      return migrate(args, options);
+    case undefined:
+    case "help":
+      console.log(usage);
+      return null;
+    default:
+      console.log(usage);
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+
+  // Keep info logs out of the command output unless asked for
+  if (!options.verbose) {
+    logger.level = "warn";
+  }
+
+  // Migration commands manage the schema themselves
+  await initializeDatabase({ migrate: positional[0] !== "migrate" });
+  const service = new AnalysisService();
+
+  try {
+    const output = await run(service, positional, options);
+    if (output) {
+      console.log(JSON.stringify(output, null, 2));
+    }
+    return 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  } finally {
+    await service.cleanup();
+  }
+}
+
+main()
+  .then((code) => {
+    closeDatabase();
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error("Admin command failed:", error);
+    process.exit(1);
+  });
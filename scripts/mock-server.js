@@ -0,0 +1,27 @@
+require("dotenv").config();
+const { createMockServer } = require("../src/mocks/mockApiServer");
+
+// Run the mock ElevenLabs/GPTZero API until interrupted
+const server = createMockServer({
+  latencyMs: parseInt(process.env.MOCK_LATENCY_MS) || 0,
+  errorRate: parseFloat(process.env.MOCK_ERROR_RATE) || 0,
+  errorType: process.env.MOCK_ERROR_TYPE || "500",
+  seed: parseInt(process.env.MOCK_SEED) || 1,
+});
+
+const port = parseInt(process.env.MOCK_PORT) || 4010;
+
+server.listen(port).then((url) => {
+  console.log(`🧪 Mock ElevenLabs/GPTZero API listening on ${url}`);
+  console.log("Point the service at it with:");
+  console.log(`  ELEVENLABS_BASE_URL=${url} ELEVENLABS_API_KEY=mock`);
+  console.log(`  GPTZERO_BASE_URL=${url} GPTZERO_API_KEY=mock`);
+});
+
+const shutdown = async () => {
+  await server.close();
+  process.exit(0);
+};
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
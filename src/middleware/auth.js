@@ -0,0 +1,141 @@
+const logger = require("../utils/logger");
+const ApiKeyService = require("../services/apiKeyService");
+
+const apiKeyService = new ApiKeyService();
+
+// The progress stream may also pass ?api_key=, since EventSource can't send
+// headers. Keys in URLs end up in access logs and browser history, so no
+// other route accepts them.
+const QUERY_KEY_PATH = /^\/result\/[^/]+\/events$/;
+
+// The key is read from "Authorization: Bearer <key>" or "X-API-Key"
+function presentedKey(req) {
+  const authorization = req.get("Authorization");
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, "").trim();
+  }
+  if (req.get("X-API-Key")) {
+    return req.get("X-API-Key").trim();
+  }
+  if (
+    req.method === "GET" &&
+    QUERY_KEY_PATH.test(req.path) &&
+    typeof req.query.api_key === "string"
+  ) {
+    return req.query.api_key;
+  }
+  return null;
+}
+
+// Send the rate limit headers, and a 429 once the limit is exceeded.
+// Returns whether the request may go on.
+function applyRateLimit(res, rateLimit) {
+  res.set({
+    "X-RateLimit-Limit": String(rateLimit.limit),
+    "X-RateLimit-Remaining": String(rateLimit.remaining),
+    "X-RateLimit-Reset": String(Math.ceil(rateLimit.resetAt / 1000)),
+  });
+  if (!rateLimit.allowed) {
+    res.set(
+      "Retry-After",
+      String(Math.ceil((rateLimit.resetAt - Date.now()) / 1000))
+    );
+    res.status(429).json({
+      success: false,
+      error: "Rate limit exceeded",
+    });
+    return false;
+  }
+  return true;
+}
+
+// Authenticate every /api request and apply the key's rate limit. Unless
+// AUTH_ENABLED=true requests pass through unauthenticated and unscoped,
+// rate limited per IP address.
+async function requireApiKey(req, res, next) {
+  if (!apiKeyService.enabled) {
+    req.apiKey = null;
+    if (applyRateLimit(res, apiKeyService.checkIpRateLimit(req.ip))) {
+      next();
+    }
+    return;
+  }
+
+  try {
+    const apiKey = await apiKeyService.authenticate(presentedKey(req));
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: "A valid API key is required",
+      });
+    }
+
+    if (!applyRateLimit(res, apiKeyService.checkRateLimit(apiKey))) {
+      return;
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    logger.error("Error authenticating request:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+}
+
+function requireAdmin(req, res, next) {
+  if (apiKeyService.enabled && !(req.apiKey && req.apiKey.is_admin)) {
+    return res.status(403).json({
+      success: false,
+      error: "Admin API key required",
+    });
+  }
+  next();
+}
+
+// Reject new analyses once the key has used up today's audio minutes
+async function enforceAudioQuota(req, res, next) {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  try {
+    const quota = await apiKeyService.getQuota(req.apiKey);
+    if (quota.exceeded) {
+      return res.status(429).json({
+        success: false,
+        error: "Daily audio quota exceeded",
+        quota,
+      });
+    }
+    next();
+  } catch (error) {
+    logger.error("Error checking audio quota:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+}
+
+// API key ID whose analyses a request may see, or null for all of them
+// (admin keys, or authentication disabled)
+function ownerScope(req) {
+  return req.apiKey && !req.apiKey.is_admin ? req.apiKey.id : null;
+}
+
+// API key ID that new analyses and batches are recorded under
+function ownerId(req) {
+  return req.apiKey ? req.apiKey.id : null;
+}
+
+module.exports = {
+  apiKeyService,
+  requireApiKey,
+  requireAdmin,
+  enforceAudioQuota,
+  ownerScope,
+  ownerId,
+};
@@ -0,0 +1,125 @@
+// Canned responses for the mock ElevenLabs and GPTZero APIs, shaped like
+// the fields the real services read
+
+const transcription = {
+  text: "Welcome back to the channel. Today we are looking at how this service analyzes videos. Furthermore, it is crucial to ensure comprehensive coverage of every segment.",
+  language: "en",
+  duration: 14.6,
+  confidence: 0.93,
+  segments: [
+    {
+      start: 0,
+      end: 2.4,
+      text: "Welcome back to the channel.",
+      speaker: "speaker_0",
+      confidence: 0.95,
+    },
+    {
+      start: 2.4,
+      end: 7.9,
+      text: "Today we are looking at how this service analyzes videos.",
+      speaker: "speaker_0",
+      confidence: 0.94,
+    },
+    {
+      start: 7.9,
+      end: 14.6,
+      text: "Furthermore, it is crucial to ensure comprehensive coverage of every segment.",
+      speaker: "speaker_1",
+      confidence: 0.9,
+    },
+  ],
+  speakers: [
+    { id: "speaker_0", name: "Speaker 0", segments: [0, 1] },
+    { id: "speaker_1", name: "Speaker 1", segments: [2] },
+  ],
+  words: [
+    {
+      word: "Welcome",
+      start: 0,
+      end: 0.5,
+      confidence: 0.96,
+      speaker: "speaker_0",
+    },
+    {
+      word: "back",
+      start: 0.5,
+      end: 0.8,
+      confidence: 0.95,
+      speaker: "speaker_0",
+    },
+    {
+      word: "to",
+      start: 0.8,
+      end: 0.9,
+      confidence: 0.97,
+      speaker: "speaker_0",
+    },
+    {
+      word: "the",
+      start: 0.9,
+      end: 1.1,
+      confidence: 0.97,
+      speaker: "speaker_0",
+    },
+    {
+      word: "channel.",
+      start: 1.1,
+      end: 2.4,
+      confidence: 0.94,
+      speaker: "speaker_0",
+    },
+  ],
+};
+
+const user = {
+  user_id: "mock-user",
+  subscription: {
+    tier: "mock",
+    character_count: 0,
+    character_limit: 1000000,
+  },
+};
+
+const models = [
+  {
+    model_id: "eleven_english_sts_v2",
+    name: "Mock Speech-to-Text",
+    languages: [{ language_id: "en", name: "English" }],
+  },
+];
+
+const usage = {
+  plan: "mock",
+  words_used: 0,
+  words_limit: 1000000,
+};
+
+// Deterministic score for a text so the same input always gets the same
+// prediction
+function predict(text) {
+  let hash = 0;
+  for (const char of text) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 1000;
+  }
+  const aiProbability = hash / 1000;
+
+  return {
+    documents: [
+      {
+        ai_probability: aiProbability,
+        prediction: aiProbability >= 0.5 ? "ai" : "human",
+        confidence: Math.abs(aiProbability - 0.5) * 2,
+        metadata: { mock: true, length: text.length },
+      },
+    ],
+  };
+}
+
+module.exports = {
+  transcription,
+  user,
+  models,
+  usage,
+  predict,
+};
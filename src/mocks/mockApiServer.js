@@ -0,0 +1,181 @@
+const express = require("express");
+const fixtures = require("./fixtures");
+
+// Local stand-in for the ElevenLabs and GPTZero APIs. Point
+// ELEVENLABS_BASE_URL and GPTZERO_BASE_URL at it to run the real service
+// code offline.
+//
+// Errors can be injected three ways:
+//   - per request, with an X-Mock-Error header (429, 500 or timeout)
+//   - programmatically, with injectError(path, error, count)
+//   - randomly, with errorRate (seeded, so runs are reproducible)
+class MockApiServer {
+  constructor(options = {}) {
+    this.latencyMs = options.latencyMs || 0;
+    this.errorRate = options.errorRate || 0;
+    this.errorType = options.errorType || "500";
+    this.retryAfterSeconds = options.retryAfterSeconds || 1;
+    this.fixtures = { ...fixtures, ...(options.fixtures || {}) };
+    this.seed = options.seed || 1;
+
+    this.injectedErrors = [];
+    this.requests = [];
+    this.server = null;
+    this.sockets = new Set();
+    this.app = this.createApp();
+  }
+
+  // Fail the next `count` requests to `path` ("*" for any path)
+  injectError(path, error, count = 1) {
+    this.injectedErrors.push({ path, error: String(error), remaining: count });
+  }
+
+  reset() {
+    this.injectedErrors = [];
+    this.requests = [];
+  }
+
+  // Seeded pseudo-random number generator (mulberry32)
+  random() {
+    this.seed = (this.seed + 0x6d2b79f5) | 0;
+    let t = this.seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  nextError(req) {
+    if (req.get("X-Mock-Error")) {
+      return req.get("X-Mock-Error");
+    }
+
+    const injected = this.injectedErrors.find(
+      (entry) =>
+        entry.remaining > 0 && (entry.path === "*" || entry.path === req.path)
+    );
+    if (injected) {
+      injected.remaining--;
+      return injected.error;
+    }
+
+    if (this.errorRate > 0 && this.random() < this.errorRate) {
+      return this.errorType;
+    }
+    return null;
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json({ limit: "10mb" }));
+
+    // Record, delay and fail requests before they reach the handlers
+    app.use(async (req, res, next) => {
+      this.requests.push({ method: req.method, path: req.path });
+
+      if (this.latencyMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, this.latencyMs));
+      }
+
+      const error = this.nextError(req);
+      if (error === "timeout") {
+        // Never respond; the client's timeout has to kick in
+        return;
+      }
+      if (error === "429") {
+        res.set("Retry-After", String(this.retryAfterSeconds));
+        return res.status(429).json({ error: "Rate limit exceeded" });
+      }
+      if (error) {
+        return res
+          .status(parseInt(error) || 500)
+          .json({ error: "Injected mock error" });
+      }
+
+      next();
+    });
+
+    const requireElevenLabsKey = (req, res, next) => {
+      if (!req.get("xi-api-key")) {
+        return res.status(401).json({ detail: "Missing xi-api-key header" });
+      }
+      next();
+    };
+
+    const requireGptZeroKey = (req, res, next) => {
+      if (!/^Bearer .+/.test(req.get("Authorization") || "")) {
+        return res.status(401).json({ error: "Missing API key" });
+      }
+      next();
+    };
+
+    app.post("/v1/speech-to-text", requireElevenLabsKey, (req, res) => {
+      if (!req.is("multipart/form-data")) {
+        return res
+          .status(400)
+          .json({ detail: "Expected a multipart/form-data upload" });
+      }
+
+      // The audio itself is irrelevant; drain it and return the fixture
+      req.resume();
+      req.on("end", () => res.json(this.fixtures.transcription));
+    });
+
+    app.get("/v1/user", requireElevenLabsKey, (req, res) => {
+      res.json(this.fixtures.user);
+    });
+
+    app.get("/v1/models", requireElevenLabsKey, (req, res) => {
+      res.json(this.fixtures.models);
+    });
+
+    app.post("/v2/predict", requireGptZeroKey, (req, res) => {
+      if (!req.body || typeof req.body.text !== "string") {
+        return res.status(400).json({ error: "text is required" });
+      }
+      res.json(this.fixtures.predict(req.body.text));
+    });
+
+    app.get("/v2/usage", requireGptZeroKey, (req, res) => {
+      res.json(this.fixtures.usage);
+    });
+
+    return app;
+  }
+
+  // Start listening (port 0 picks a free port). Resolves to the base URL.
+  listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, "127.0.0.1", () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`);
+      });
+      this.server.on("error", reject);
+      this.server.on("connection", (socket) => {
+        this.sockets.add(socket);
+        socket.on("close", () => this.sockets.delete(socket));
+      });
+    });
+  }
+
+  // Stop the server, dropping connections held open by injected timeouts
+  close() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.sockets.forEach((socket) => socket.destroy());
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+}
+
+// Create a mock server; call listen(0) on it to start it on a free port
+function createMockServer(options = {}) {
+  return new MockApiServer(options);
+}
+
+module.exports = {
+  MockApiServer,
+  createMockServer,
+};
@@ -2,6 +2,18 @@ const sqlite3 = require("sqlite3").verbose();
 const path = require("path");
 const fs = require("fs");
 const logger = require("../utils/logger");
+const Migrator = require("./migrator");
+const { indexTranscript } = require("./transcriptSearch");
+const {
+  TRANSCRIPT_TABLES,
+  transcriptSummary,
+  detectionSummary,
+  saveTranscript,
+  saveScoredSegments,
+  loadTranscript,
+  loadDetection,
+  deleteTranscript,
+} = require("./transcriptStore");
 
 // Ensure data directory exists
 const dataDir = path.join(__dirname, "../../data");
@@ -11,66 +23,223 @@ if (!fs.existsSync(dataDir)) {
 
 const dbPath = process.env.DB_PATH || path.join(dataDir, "analysis.db");
 let db;
+// Connection that transactions run on (see transaction())
+let transactionDb;
 
-// Initialize database
-async function initializeDatabase() {
+function openConnection() {
   return new Promise((resolve, reject) => {
-    db = new sqlite3.Database(dbPath, (err) => {
+    const connection = new sqlite3.Database(dbPath, (err) => {
       if (err) {
         logger.error("Error opening database:", err);
         reject(err);
         return;
       }
 
-      logger.info("Database opened successfully");
-      createTables()
-        .then(() => resolve())
-        .catch(reject);
+      // The server and the worker may start (and migrate) at the same
+      // time, and statements wait for open transactions; wait for the
+      // other's lock instead of failing with SQLITE_BUSY
+      connection.configure("busyTimeout", 10000);
+      resolve(connection);
     });
   });
 }
 
-// Create tables
-async function createTables() {
-  const createAnalysisTable = `
-    CREATE TABLE IF NOT EXISTS analysis_results (
-      id TEXT PRIMARY KEY,
-      youtube_url TEXT NOT NULL,
-      status TEXT DEFAULT 'pending',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      screenshot_path TEXT,
-      audio_path TEXT,
-      transcription TEXT,
-      ai_probabilities TEXT,
-      error_message TEXT,
-      processing_time INTEGER
-    )
-  `;
+// Initialize database and bring its schema up to date (see migrator.js).
+// Pass { migrate: false } to open it without applying migrations.
+async function initializeDatabase(options = {}) {
+  db = await openConnection();
+  transactionDb = await openConnection();
+  logger.info("Database opened successfully");
+
+  if (options.migrate !== false) {
+    await migrateDatabase();
+  }
+}
+
+// Apply pending migrations up to targetVersion (default: all of them)
+async function migrateDatabase(targetVersion) {
+  try {
+    const applied = await new Migrator(db).migrate(targetVersion);
+    logger.info(
+      applied.length > 0
+        ? `Applied ${applied.length} database migrations`
+        : "Database schema is up to date"
+    );
+    return applied;
+  } catch (error) {
+    logger.error("Error migrating database:", error);
+    throw error;
+  }
+}
 
+// Revert applied migrations newer than targetVersion
+async function rollbackDatabase(targetVersion) {
+  return new Migrator(db).rollback(targetVersion);
+}
+
+async function getMigrationStatus() {
+  return new Migrator(db).status();
+}
+
+function run(sql, params = [], connection = db) {
   return new Promise((resolve, reject) => {
-    db.run(createAnalysisTable, (err) => {
-      if (err) {
-        logger.error("Error creating tables:", err);
-        reject(err);
-        return;
-      }
-      logger.info("Database tables created successfully");
-      resolve();
+    connection.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this.changes);
     });
   });
 }
 
+// Run fn(connection) in a transaction, as the migrator does, so that writes
+// spanning several tables are all or nothing. Transactions run on their own
+// connection, which fn must use for every statement. Statements issued
+// meanwhile on the shared connection (by requests or other jobs) wait for
+// the commit instead of joining the transaction, where a rollback would
+// discard them. Transactions are queued behind each other.
+let transactionQueue = Promise.resolve();
+function transaction(fn) {
+  const result = transactionQueue.then(async () => {
+    const connection = transactionDb;
+    await run("BEGIN IMMEDIATE", [], connection);
+    try {
+      const value = await fn(connection);
+      await run("COMMIT", [], connection);
+      return value;
+    } catch (error) {
+      await run("ROLLBACK", [], connection).catch(() => {});
+      throw error;
+    }
+  });
+  transactionQueue = result.catch(() => {});
+  return result;
+}
+
+// Listing sort fields. Missing scores and processing times sort as -1 so
+// that every row has a comparable value for keyset pagination.
+const sortExpressions = {
+  created_at: "a.created_at",
+  updated_at: "a.updated_at",
+  ai_probability: "COALESCE(a.overall_ai_probability, -1)",
+  processing_time: "COALESCE(a.processing_time, -1)",
+};
+
+// WHERE conditions for the listing filters
+function listConditions(filters) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.apiKeyId) {
+    conditions.push("a.api_key_id = ?");
+    params.push(filters.apiKeyId);
+  }
+  if (filters.status) {
+    conditions.push("a.status = ?");
+    params.push(filters.status);
+  }
+  if (filters.url) {
+    conditions.push("a.youtube_url LIKE ?");
+    params.push(`%${filters.url}%`);
+  }
+  if (filters.videoId) {
+    conditions.push("a.video_id = ?");
+    params.push(filters.videoId);
+  }
+  if (filters.createdAfter) {
+    conditions.push("a.created_at >= datetime(?)");
+    params.push(filters.createdAfter);
+  }
+  if (filters.createdBefore) {
+    conditions.push("a.created_at < datetime(?)");
+    params.push(filters.createdBefore);
+  }
+  if (filters.minAiProbability !== undefined) {
+    conditions.push("a.overall_ai_probability >= ?");
+    params.push(filters.minAiProbability);
+  }
+  if (filters.maxAiProbability !== undefined) {
+    conditions.push("a.overall_ai_probability <= ?");
+    params.push(filters.maxAiProbability);
+  }
+  if (filters.channelId) {
+    conditions.push("v.channel_id = ?");
+    params.push(filters.channelId);
+  }
+  if (filters.channel) {
+    conditions.push("v.channel LIKE ?");
+    params.push(`%${filters.channel}%`);
+  }
+  if (filters.title) {
+    conditions.push("v.title LIKE ?");
+    params.push(`%${filters.title}%`);
+  }
+  if (filters.tag) {
+    conditions.push(
+      "EXISTS (SELECT 1 FROM json_each(v.tags) WHERE value = ? COLLATE NOCASE)"
+    );
+    params.push(filters.tag);
+  }
+  if (filters.publishedAfter) {
+    conditions.push("date(v.publish_date) >= date(?)");
+    params.push(filters.publishedAfter);
+  }
+  if (filters.publishedBefore) {
+    conditions.push("date(v.publish_date) <= date(?)");
+    params.push(filters.publishedBefore);
+  }
+  if (filters.minDuration !== undefined) {
+    conditions.push("v.duration_seconds >= ?");
+    params.push(filters.minDuration);
+  }
+  if (filters.maxDuration !== undefined) {
+    conditions.push("v.duration_seconds <= ?");
+    params.push(filters.maxDuration);
+  }
+
+  return { conditions, params };
+}
+
+// Artifacts expired by the retention job: the analysis column and the
+// checkpoint stages that hold each of them
+const retentionArtifacts = {
+  audio: {
+    column: "audio_path",
+    stages: ["audio_download", "audio_conversion"],
+  },
+  screenshot: {
+    column: "screenshot_path",
+    stages: ["screenshot"],
+  },
+  transcript: {
+    column: "transcription",
+    stages: ["transcription", "ai_detection"],
+  },
+};
+
 // Database operations
 const dbOperations = {
   // Insert new analysis job
-  insertAnalysis: (id, youtubeUrl) => {
+  insertAnalysis: (id, youtubeUrl, options = {}) => {
     return new Promise((resolve, reject) => {
       const sql = `
-        INSERT INTO analysis_results (id, youtube_url, status)
-        VALUES (?, ?, 'pending')
+        INSERT INTO analysis_results
+          (id, youtube_url, status, callback_url, source_type, source_path,
+           original_filename, video_id, pipeline_options, api_key_id)
+        VALUES (?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?)
       `;
-      db.run(sql, [id, youtubeUrl], function (err) {
+      const params = [
+        id,
+        youtubeUrl,
+        options.callbackUrl || null,
+        options.sourceType || "youtube",
+        options.sourcePath || null,
+        options.originalFilename || null,
+        options.videoId || null,
+        options.pipelineOptions
+          ? JSON.stringify(options.pipelineOptions)
+          : null,
+        options.apiKeyId || null,
+      ];
+      db.run(sql, params, function (err) {
         if (err) reject(err);
         else resolve(this.lastID);
       });
@@ -79,39 +248,571 @@ const dbOperations = {
 
   // Update analysis status
   updateStatus: (id, status, additionalData = {}) => {
+    let sql =
+      "UPDATE analysis_results SET status = ?, updated_at = CURRENT_TIMESTAMP";
+    const params = [status];
+
+    if (additionalData.screenshotPath) {
+      sql += ", screenshot_path = ?";
+      params.push(additionalData.screenshotPath);
+    }
+
+    if (additionalData.audioPath) {
+      sql += ", audio_path = ?";
+      params.push(additionalData.audioPath);
+    }
+
+    // Segments, words and speakers are saved to their own tables below
+    if (additionalData.transcription) {
+      sql += ", transcription = ?";
+      params.push(
+        JSON.stringify(transcriptSummary(additionalData.transcription))
+      );
+    }
+
+    // And so are the scored chunks
+    if (additionalData.aiProbabilities) {
+      sql += ", ai_probabilities = ?, overall_ai_probability = ?";
+      params.push(
+        JSON.stringify(detectionSummary(additionalData.aiProbabilities)),
+        additionalData.aiProbabilities.overall_ai_probability
+      );
+    }
+
+    if (additionalData.metadata) {
+      sql += ", metadata = ?";
+      params.push(JSON.stringify(additionalData.metadata));
+    }
+
+    if (additionalData.errorMessage) {
+      sql += ", error_message = ?";
+      params.push(additionalData.errorMessage);
+    }
+
+    if (additionalData.processingTime) {
+      sql += ", processing_time = ?";
+      params.push(additionalData.processingTime);
+    }
+
+    sql += " WHERE id = ?";
+    params.push(id);
+
+    if (!additionalData.transcription && !additionalData.aiProbabilities) {
+      return run(sql, params);
+    }
+
+    return transaction(async (connection) => {
+      const changes = await run(sql, params, connection);
+      if (additionalData.transcription) {
+        await saveTranscript(connection, id, additionalData.transcription);
+        await indexTranscript(connection, id, additionalData.transcription);
+      }
+      if (additionalData.aiProbabilities) {
+        await saveScoredSegments(
+          connection,
+          id,
+          additionalData.aiProbabilities
+        );
+      }
+      return changes;
+    });
+  },
+
+  // Reset a finished analysis so it can be processed again
+  // With clearResults, the previous run's output is dropped as well (for
+  // re-running an analysis from scratch)
+  resetAnalysis: (id, options = {}) => {
+    if (!options.clearResults) {
+      return run(
+        `
+        UPDATE analysis_results
+        SET status = 'pending', error_message = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `,
+        [id]
+      );
+    }
+
+    return transaction(async (connection) => {
+      const changes = await run(
+        `
+        UPDATE analysis_results
+        SET status = 'pending', error_message = NULL, screenshot_path = NULL,
+            audio_path = NULL, transcription = NULL, ai_probabilities = NULL,
+            overall_ai_probability = NULL, metadata = NULL,
+            processing_time = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `,
+        [id],
+        connection
+      );
+      await run(
+        "DELETE FROM transcript_search WHERE analysis_id = ?",
+        [id],
+        connection
+      );
+      await deleteTranscript(connection, id);
+      return changes;
+    });
+  },
+
+  // Save the output of a pipeline stage
+  saveCheckpoint: (analysisId, stage, data) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT OR REPLACE INTO analysis_checkpoints (analysis_id, stage, data)
+        VALUES (?, ?, ?)
+      `;
+      db.run(sql, [analysisId, stage, JSON.stringify(data)], function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  },
+
+  // Get all checkpoints of an analysis, keyed by stage
+  getCheckpoints: (analysisId) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT stage, data FROM analysis_checkpoints
+        WHERE analysis_id = ? ORDER BY rowid ASC
+      `;
+      db.all(sql, [analysisId], (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        const checkpoints = {};
+        rows.forEach((row) => {
+          checkpoints[row.stage] = JSON.parse(row.data);
+        });
+        resolve(checkpoints);
+      });
+    });
+  },
+
+  // Drop all checkpoints of an analysis, so it runs again from the start
+  clearCheckpoints: (analysisId) => {
+    return new Promise((resolve, reject) => {
+      const sql = "DELETE FROM analysis_checkpoints WHERE analysis_id = ?";
+      db.run(sql, [analysisId], function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  },
+
+  // Find an analysis of the same video that can be reused: one still in
+  // progress, or a completed one updated within the last maxAgeDays.
+  // Analyses are only reused for the API key that created them.
+  findReusableAnalysis: (videoId, maxAgeDays, apiKeyId = null) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT id, status, youtube_url, created_at, updated_at
+        FROM analysis_results
+        WHERE video_id = ? AND api_key_id IS ?
+          AND (
+            status NOT IN ('completed', 'failed')
+            OR (status = 'completed' AND updated_at >= datetime('now', ?))
+          )
+        ORDER BY CASE status WHEN 'completed' THEN 0 ELSE 1 END,
+                 updated_at DESC
+        LIMIT 1
+      `;
+      db.get(sql, [videoId, apiKeyId, `-${maxAgeDays} days`], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  },
+
+  // Get analysis result by ID
+  getAnalysisById: (id) => {
     return new Promise((resolve, reject) => {
-      let sql =
-        "UPDATE analysis_results SET status = ?, updated_at = CURRENT_TIMESTAMP";
-      const params = [status];
+      const sql = "SELECT * FROM analysis_results WHERE id = ?";
+      db.get(sql, [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  },
 
-      if (additionalData.screenshotPath) {
-        sql += ", screenshot_path = ?";
-        params.push(additionalData.screenshotPath);
+  // Status of an analysis without loading its results
+  getAnalysisStatus: (id) => {
+    return new Promise((resolve, reject) => {
+      const sql =
+        "SELECT id, status, api_key_id FROM analysis_results WHERE id = ?";
+      db.get(sql, [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  },
+
+  // Full transcription of an analysis, from the fields stored in its
+  // transcription column and its segment, word and speaker rows
+  getTranscription: (id, summary) => loadTranscript(db, id, summary),
+
+  // AI detection summary of an analysis, from its ai_probabilities column
+  // and the rows of its scored chunks
+  getDetection: (id, summary) => loadDetection(db, id, summary),
+
+  // Get one page of analyses for a listing, without the transcription and
+  // detection JSON. `filters` comes from utils/listFilters.js.
+  getAllAnalyses: (filters = {}) => {
+    return new Promise((resolve, reject) => {
+      const { conditions, params } = listConditions(filters);
+      const sortExpression = sortExpressions[filters.sort || "created_at"];
+      const direction = filters.order === "asc" ? "ASC" : "DESC";
+
+      // Keyset pagination: continue after the last row of the previous page
+      if (filters.cursor) {
+        const comparison = direction === "ASC" ? ">" : "<";
+        conditions.push(
+          `(${sortExpression} ${comparison} ? OR (${sortExpression} = ? AND a.id ${comparison} ?))`
+        );
+        params.push(
+          filters.cursor.value,
+          filters.cursor.value,
+          filters.cursor.id
+        );
       }
 
-      if (additionalData.audioPath) {
-        sql += ", audio_path = ?";
-        params.push(additionalData.audioPath);
+      const sql = `
+        SELECT a.id, a.youtube_url, a.video_id, a.source_type,
+               a.original_filename, a.status, a.overall_ai_probability,
+               a.error_message, a.processing_time, a.created_at, a.updated_at,
+               ${sortExpression} AS sort_value,
+               v.title AS video_title, v.channel AS video_channel,
+               v.channel_id AS video_channel_id,
+               v.duration_seconds AS video_duration_seconds,
+               v.publish_date AS video_publish_date
+        FROM analysis_results a
+        LEFT JOIN video_metadata v ON v.video_id = a.video_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+        ORDER BY ${sortExpression} ${direction}, a.id ${direction}
+        LIMIT ?
+      `;
+      params.push(filters.limit || -1);
+
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  },
+
+  // Count the analyses matching listing filters (ignoring the cursor)
+  countAnalyses: (filters = {}) => {
+    return new Promise((resolve, reject) => {
+      const { conditions, params } = listConditions(filters);
+      const sql = `
+        SELECT COUNT(*) AS total
+        FROM analysis_results a
+        LEFT JOIN video_metadata v ON v.video_id = a.video_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      `;
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row.total);
+      });
+    });
+  },
+
+  // Finished analyses last updated more than maxAgeDays ago that still
+  // hold an artifact (see retentionArtifacts)
+  getExpiredArtifacts: (artifact, maxAgeDays, limit) => {
+    return new Promise((resolve, reject) => {
+      const { column, stages } = retentionArtifacts[artifact];
+      const sql = `
+        SELECT a.id, a.screenshot_path, a.audio_path, a.source_path
+        FROM analysis_results a
+        WHERE a.status IN ('completed', 'failed')
+          AND a.updated_at < datetime('now', ?)
+          AND (
+            a.${column} IS NOT NULL
+            OR EXISTS (
+              SELECT 1 FROM analysis_checkpoints c
+              WHERE c.analysis_id = a.id
+                AND c.stage IN (${stages.map(() => "?").join(", ")})
+            )
+          )
+        ORDER BY a.updated_at ASC
+        LIMIT ?
+      `;
+      db.all(sql, [`-${maxAgeDays} days`, ...stages, limit], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  },
+
+  // Drop an artifact from an analysis and its checkpoints. updated_at is
+  // left alone so the other artifacts' retention periods are unaffected.
+  clearArtifact: (id, artifact) => {
+    const { column, stages } = retentionArtifacts[artifact];
+    const statements = [
+      [`UPDATE analysis_results SET ${column} = NULL WHERE id = ?`, [id]],
+      [
+        `DELETE FROM analysis_checkpoints
+         WHERE analysis_id = ? AND stage IN (${stages
+           .map(() => "?")
+           .join(", ")})`,
+        [id, ...stages],
+      ],
+    ];
+    if (artifact === "transcript") {
+      ["transcript_search", ...TRANSCRIPT_TABLES].forEach((table) => {
+        statements.push([`DELETE FROM ${table} WHERE analysis_id = ?`, [id]]);
+      });
+    }
+
+    return transaction(async (connection) => {
+      for (const [sql, params] of statements) {
+        await run(sql, params, connection);
       }
+    });
+  },
 
-      if (additionalData.transcription) {
-        sql += ", transcription = ?";
-        params.push(JSON.stringify(additionalData.transcription));
+  // Number of analyses in each status
+  getStatusCounts: () => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT status, COUNT(*) AS total
+        FROM analysis_results
+        GROUP BY status
+      `;
+      db.all(sql, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        const counts = {};
+        rows.forEach((row) => {
+          counts[row.status] = row.total;
+        });
+        resolve(counts);
+      });
+    });
+  },
+
+  // Insert or refresh the YouTube metadata of a video
+  upsertVideoMetadata: (metadata) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO video_metadata
+          (video_id, title, channel, channel_id, duration_seconds,
+           publish_date, view_count, description, tags, thumbnails)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(video_id) DO UPDATE SET
+          title = excluded.title,
+          channel = excluded.channel,
+          channel_id = excluded.channel_id,
+          duration_seconds = excluded.duration_seconds,
+          publish_date = excluded.publish_date,
+          view_count = excluded.view_count,
+          description = excluded.description,
+          tags = excluded.tags,
+          thumbnails = excluded.thumbnails,
+          updated_at = CURRENT_TIMESTAMP
+      `;
+      const params = [
+        metadata.video_id,
+        metadata.title,
+        metadata.channel,
+        metadata.channel_id,
+        metadata.duration_seconds,
+        metadata.publish_date,
+        metadata.view_count,
+        metadata.description,
+        JSON.stringify(metadata.tags || []),
+        JSON.stringify(metadata.thumbnails || []),
+      ];
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  },
+
+  // Get the stored YouTube metadata of a video
+  getVideoMetadata: (videoId) => {
+    return new Promise((resolve, reject) => {
+      const sql = "SELECT * FROM video_metadata WHERE video_id = ?";
+      db.get(sql, [videoId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  },
+
+  // Get analyses that are not finished and have no active job
+  // (e.g. rows left behind by a crash before they were queued)
+  getOrphanedAnalyses: () => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT id FROM analysis_results
+        WHERE status NOT IN ('completed', 'failed')
+          AND id NOT IN (
+            SELECT analysis_id FROM jobs
+            WHERE type = 'analysis' AND status IN ('pending', 'processing')
+          )
+        ORDER BY created_at ASC
+      `;
+      db.all(sql, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  },
+
+  // Delete analysis by ID, along with the rows that refer to it
+  deleteAnalysis: (id) => {
+    const dependentTables = [
+      "transcript_search",
+      ...TRANSCRIPT_TABLES,
+      "analysis_checkpoints",
+      "jobs",
+      "webhook_deliveries",
+      "batch_analyses",
+    ];
+
+    return transaction(async (connection) => {
+      const changes = await run(
+        "DELETE FROM analysis_results WHERE id = ?",
+        [id],
+        connection
+      );
+      for (const table of dependentTables) {
+        await run(
+          `DELETE FROM ${table} WHERE analysis_id = ?`,
+          [id],
+          connection
+        );
       }
+      return changes;
+    });
+  },
 
-      if (additionalData.aiProbabilities) {
-        sql += ", ai_probabilities = ?";
-        params.push(JSON.stringify(additionalData.aiProbabilities));
+  // Every file path recorded by an analysis or one of its checkpoints
+  getReferencedFilePaths: () => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT screenshot_path AS path FROM analysis_results
+        UNION SELECT audio_path FROM analysis_results
+        UNION SELECT source_path FROM analysis_results
+        UNION SELECT json_extract(data, '$.screenshotPath')
+          FROM analysis_checkpoints WHERE json_valid(data)
+        UNION SELECT json_extract(data, '$.audioPath')
+          FROM analysis_checkpoints WHERE json_valid(data)
+        UNION SELECT json_extract(data, '$.wavPath')
+          FROM analysis_checkpoints WHERE json_valid(data)
+      `;
+      db.all(sql, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map((row) => row.path).filter(Boolean));
+      });
+    });
+  },
+
+  // Pipeline metadata and scores of completed analyses, for usage stats
+  getCompletedAnalysesUsage: () => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT id, metadata, ai_probabilities, processing_time
+        FROM analysis_results
+        WHERE status = 'completed'
+      `;
+      db.all(sql, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  },
+
+  // Full-text search over transcript segments. Returns the best matching
+  // segments, ranked by relevance, with their analysis and video.
+  searchTranscripts: (ftsQuery, limit, apiKeyId = null) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT s.analysis_id, s.segment_index, s.start_time, s.end_time,
+               s.speaker, s.text, bm25(transcript_search) AS rank,
+               a.youtube_url, a.video_id, a.source_type, a.original_filename,
+               a.status, a.overall_ai_probability, a.created_at,
+               v.title AS video_title, v.channel AS video_channel
+        FROM transcript_search s
+        JOIN analysis_results a ON a.id = s.analysis_id
+        LEFT JOIN video_metadata v ON v.video_id = a.video_id
+        WHERE transcript_search MATCH ?
+          ${apiKeyId ? "AND a.api_key_id = ?" : ""}
+        ORDER BY rank
+        LIMIT ?
+      `;
+      const params = apiKeyId ? [ftsQuery, apiKeyId, limit] : [ftsQuery, limit];
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  },
+
+  // Insert a batch that groups child analyses
+  insertBatch: (id, options = {}) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO batches
+          (id, source_type, source_url, total, status, api_key_id)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+      const params = [
+        id,
+        options.sourceType || "list",
+        options.sourceUrl || null,
+        options.total || 0,
+        options.status || null,
+        options.apiKeyId || null,
+      ];
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  },
+
+  // Add an analysis to a batch
+  addAnalysisToBatch: (batchId, analysisId) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT OR IGNORE INTO batch_analyses (batch_id, analysis_id)
+        VALUES (?, ?)
+      `;
+      db.run(sql, [batchId, analysisId], function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  },
+
+  // Update batch status, size or error
+  updateBatch: (id, data = {}) => {
+    return new Promise((resolve, reject) => {
+      let sql = "UPDATE batches SET updated_at = CURRENT_TIMESTAMP";
+      const params = [];
+
+      if (data.status) {
+        sql += ", status = ?";
+        params.push(data.status);
       }
 
-      if (additionalData.errorMessage) {
-        sql += ", error_message = ?";
-        params.push(additionalData.errorMessage);
+      if (data.total !== undefined) {
+        sql += ", total = ?";
+        params.push(data.total);
       }
 
-      if (additionalData.processingTime) {
-        sql += ", processing_time = ?";
-        params.push(additionalData.processingTime);
+      if (data.errorMessage) {
+        sql += ", error_message = ?";
+        params.push(data.errorMessage);
       }
 
       sql += " WHERE id = ?";
@@ -124,10 +825,10 @@ const dbOperations = {
     });
   },
 
-  // Get analysis result by ID
-  getAnalysisById: (id) => {
+  // Get batch by ID
+  getBatchById: (id) => {
     return new Promise((resolve, reject) => {
-      const sql = "SELECT * FROM analysis_results WHERE id = ?";
+      const sql = "SELECT * FROM batches WHERE id = ?";
       db.get(sql, [id], (err, row) => {
         if (err) reject(err);
         else resolve(row);
@@ -135,10 +836,77 @@ const dbOperations = {
     });
   },
 
-  // Get all analysis results
-  getAllAnalyses: () => {
+  // Get the child analyses of a batch (without transcriptions)
+  getBatchAnalyses: (batchId) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT a.id, a.youtube_url, a.video_id, a.status, a.ai_probabilities,
+               a.error_message, a.created_at, a.updated_at
+        FROM batch_analyses ba
+        JOIN analysis_results a ON a.id = ba.analysis_id
+        WHERE ba.batch_id = ?
+        ORDER BY ba.rowid ASC
+      `;
+      db.all(sql, [batchId], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  },
+
+  // Insert a client API key (key_hash is the HMAC of the key)
+  insertApiKey: (apiKey) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO api_keys
+          (id, name, key_prefix, key_hash, is_admin, rate_limit_max_requests,
+           daily_audio_minutes)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+      const params = [
+        apiKey.id,
+        apiKey.name,
+        apiKey.keyPrefix,
+        apiKey.keyHash,
+        apiKey.isAdmin ? 1 : 0,
+        apiKey.rateLimitMaxRequests ?? null,
+        apiKey.dailyAudioMinutes ?? null,
+      ];
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  },
+
+  // Get an active (not revoked) API key by the HMAC of the key
+  getApiKeyByHash: (keyHash) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL
+      `;
+      db.get(sql, [keyHash], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  },
+
+  // Get an API key by ID, including revoked keys
+  getApiKeyById: (id) => {
     return new Promise((resolve, reject) => {
-      const sql = "SELECT * FROM analysis_results ORDER BY created_at DESC";
+      const sql = "SELECT * FROM api_keys WHERE id = ?";
+      db.get(sql, [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  },
+
+  // Get all API keys (never includes the keys themselves)
+  getAllApiKeys: () => {
+    return new Promise((resolve, reject) => {
+      const sql = "SELECT * FROM api_keys ORDER BY created_at DESC";
       db.all(sql, (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
@@ -146,28 +914,256 @@ const dbOperations = {
     });
   },
 
-  // Delete analysis by ID
-  deleteAnalysis: (id) => {
+  // Revoke an API key
+  revokeApiKey: (id) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND revoked_at IS NULL
+      `;
+      db.run(sql, [id], function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  },
+
+  // Record that an API key was used
+  touchApiKey: (id) => {
     return new Promise((resolve, reject) => {
-      const sql = "DELETE FROM analysis_results WHERE id = ?";
+      const sql =
+        "UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?";
       db.run(sql, [id], function (err) {
         if (err) reject(err);
         else resolve(this.changes);
       });
     });
   },
+
+  // Add transcribed audio to an API key's usage for a day (YYYY-MM-DD)
+  addApiKeyUsage: (apiKeyId, day, audioSeconds) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO api_key_usage (api_key_id, day, audio_seconds, analyses)
+        VALUES (?, ?, ?, 1)
+        ON CONFLICT(api_key_id, day) DO UPDATE SET
+          audio_seconds = audio_seconds + excluded.audio_seconds,
+          analyses = analyses + 1
+      `;
+      db.run(sql, [apiKeyId, day, audioSeconds], function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  },
+
+  // Get an API key's usage for a day (YYYY-MM-DD)
+  getApiKeyUsage: (apiKeyId, day) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT audio_seconds, analyses FROM api_key_usage
+        WHERE api_key_id = ? AND day = ?
+      `;
+      db.get(sql, [apiKeyId, day], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || { audio_seconds: 0, analyses: 0 });
+      });
+    });
+  },
+
+  // Record a webhook delivery attempt
+  logWebhookDelivery: (delivery) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO webhook_deliveries
+          (analysis_id, callback_url, event, attempt, status_code, success,
+           error_message, duration_ms)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      const params = [
+        delivery.analysisId,
+        delivery.callbackUrl,
+        delivery.event,
+        delivery.attempt,
+        delivery.statusCode || null,
+        delivery.success ? 1 : 0,
+        delivery.errorMessage || null,
+        delivery.durationMs,
+      ];
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  },
+
+  // Get webhook delivery attempts for an analysis
+  getWebhookDeliveries: (analysisId) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM webhook_deliveries
+        WHERE analysis_id = ? ORDER BY id ASC
+      `;
+      db.all(sql, [analysisId], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  },
+
+  // Add a job to the queue
+  enqueueJob: (type, options = {}) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO jobs (type, analysis_id, payload, max_attempts, run_at)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+      const params = [
+        type,
+        options.analysisId || null,
+        options.payload ? JSON.stringify(options.payload) : null,
+        options.maxAttempts || 3,
+        options.runAt || Date.now(),
+      ];
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  },
+
+  // Number of queued or running jobs of a type
+  countActiveJobs: (type) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT COUNT(*) AS total FROM jobs
+        WHERE type = ? AND status IN ('pending', 'processing')
+      `;
+      db.get(sql, [type], (err, row) => {
+        if (err) reject(err);
+        else resolve(row.total);
+      });
+    });
+  },
+
+  // Atomically claim the next runnable job, taking a lease on it.
+  // Jobs whose lease has expired (worker crashed) are claimable again.
+  claimNextJob: (workerId, leaseMs) => {
+    return new Promise((resolve, reject) => {
+      const now = Date.now();
+      const sql = `
+        UPDATE jobs
+        SET status = 'processing', locked_by = ?, locked_until = ?,
+            attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = (
+          SELECT id FROM jobs
+          WHERE (status = 'pending' AND run_at <= ?)
+             OR (status = 'processing' AND locked_until < ?
+                 AND attempts < max_attempts)
+          ORDER BY run_at ASC, id ASC
+          LIMIT 1
+        )
+        RETURNING *
+      `;
+      db.get(sql, [workerId, now + leaseMs, now, now], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  },
+
+  // Extend the lease of a job held by this worker
+  renewJobLease: (jobId, workerId, leaseMs) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE jobs SET locked_until = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND locked_by = ? AND status = 'processing'
+      `;
+      db.run(sql, [Date.now() + leaseMs, jobId, workerId], function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  },
+
+  // Mark a job as completed
+  completeJob: (jobId, workerId) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE jobs
+        SET status = 'completed', locked_by = NULL, locked_until = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND locked_by = ?
+      `;
+      db.run(sql, [jobId, workerId], function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  },
+
+  // Mark a job as failed, or put it back in the queue if retryAt is given
+  failJob: (jobId, workerId, errorMessage, retryAt = null) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE jobs
+        SET status = ?, run_at = COALESCE(?, run_at), last_error = ?,
+            locked_by = NULL, locked_until = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND locked_by = ?
+      `;
+      const params = [
+        retryAt ? "pending" : "failed",
+        retryAt,
+        errorMessage,
+        jobId,
+        workerId,
+      ];
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  },
+
+  // Fail jobs whose lease expired on their last allowed attempt
+  failExhaustedJobs: () => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE jobs
+        SET status = 'failed', locked_by = NULL, locked_until = NULL,
+            last_error = 'Job lease expired after maximum attempts',
+            updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'processing' AND locked_until < ?
+          AND attempts >= max_attempts
+        RETURNING *
+      `;
+      db.all(sql, [Date.now()], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  },
 };
 
 // Close database connection
-function closeDatabase() {
-  if (db) {
-    db.close((err) => {
-      if (err) {
-        logger.error("Error closing database:", err);
-      } else {
-        logger.info("Database connection closed");
-      }
-    });
+async function closeDatabase() {
+  const connections = [db, transactionDb].filter(Boolean);
+  const closed = await Promise.all(
+    connections.map(
+      (connection) =>
+        new Promise((resolve) => {
+          connection.close((err) => {
+            if (err) {
+              logger.error("Error closing database:", err);
+            }
+            resolve(!err);
+          });
+        })
+    )
+  );
+  if (closed.length > 0 && closed.every(Boolean)) {
+    logger.info("Database connection closed");
   }
 }
 
@@ -177,6 +1173,10 @@ process.on("SIGTERM", closeDatabase);
 
 module.exports = {
   initializeDatabase,
+  migrateDatabase,
+  rollbackDatabase,
+  getMigrationStatus,
   dbOperations,
   closeDatabase,
+  dbPath,
 };
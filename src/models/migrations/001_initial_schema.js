@@ -0,0 +1,28 @@
+// analysis_results as first released. idx_status and idx_created_at used to
+// be created only by scripts/setup-db.js.
+module.exports = {
+  async up(schema) {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS analysis_results (
+        id TEXT PRIMARY KEY,
+        youtube_url TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        screenshot_path TEXT,
+        audio_path TEXT,
+        transcription TEXT,
+        ai_probabilities TEXT,
+        error_message TEXT,
+        processing_time INTEGER
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_status ON analysis_results(status);
+      CREATE INDEX IF NOT EXISTS idx_created_at ON analysis_results(created_at);
+    `);
+  },
+
+  async down(schema) {
+    await schema.exec("DROP TABLE IF EXISTS analysis_results");
+  },
+};
@@ -0,0 +1,18 @@
+// Output of each pipeline stage, so retries resume where they failed
+module.exports = {
+  async up(schema) {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS analysis_checkpoints (
+        analysis_id TEXT NOT NULL,
+        stage TEXT NOT NULL,
+        data TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (analysis_id, stage)
+      );
+    `);
+  },
+
+  async down(schema) {
+    await schema.exec("DROP TABLE IF EXISTS analysis_checkpoints");
+  },
+};
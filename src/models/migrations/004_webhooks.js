@@ -0,0 +1,28 @@
+// Webhook callback URLs and a log of every delivery attempt
+module.exports = {
+  async up(schema) {
+    await schema.addColumn("analysis_results", "callback_url", "TEXT");
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        analysis_id TEXT NOT NULL,
+        callback_url TEXT NOT NULL,
+        event TEXT NOT NULL,
+        attempt INTEGER NOT NULL,
+        status_code INTEGER,
+        success INTEGER DEFAULT 0,
+        error_message TEXT,
+        duration_ms INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_analysis_id
+        ON webhook_deliveries(analysis_id);
+    `);
+  },
+
+  async down(schema) {
+    await schema.exec("DROP TABLE IF EXISTS webhook_deliveries");
+    await schema.dropColumn("analysis_results", "callback_url");
+  },
+};
@@ -0,0 +1,18 @@
+// Uploaded audio/video files as an alternative to YouTube URLs
+module.exports = {
+  async up(schema) {
+    await schema.addColumn(
+      "analysis_results",
+      "source_type",
+      "TEXT DEFAULT 'youtube'"
+    );
+    await schema.addColumn("analysis_results", "source_path", "TEXT");
+    await schema.addColumn("analysis_results", "original_filename", "TEXT");
+  },
+
+  async down(schema) {
+    await schema.dropColumn("analysis_results", "original_filename");
+    await schema.dropColumn("analysis_results", "source_path");
+    await schema.dropColumn("analysis_results", "source_type");
+  },
+};
@@ -0,0 +1,26 @@
+// Batches of analyses submitted together
+module.exports = {
+  async up(schema) {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS batches (
+        id TEXT PRIMARY KEY,
+        source_type TEXT DEFAULT 'list',
+        source_url TEXT,
+        total INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await schema.addColumn("analysis_results", "batch_id", "TEXT");
+    await schema.exec(`
+      CREATE INDEX IF NOT EXISTS idx_analysis_results_batch_id
+        ON analysis_results(batch_id);
+    `);
+  },
+
+  async down(schema) {
+    await schema.exec("DROP INDEX IF EXISTS idx_analysis_results_batch_id");
+    await schema.dropColumn("analysis_results", "batch_id");
+    await schema.exec("DROP TABLE IF EXISTS batches");
+  },
+};
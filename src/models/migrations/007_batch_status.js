@@ -0,0 +1,12 @@
+// Status of playlist/channel batches, which are expanded in the background
+module.exports = {
+  async up(schema) {
+    await schema.addColumn("batches", "status", "TEXT");
+    await schema.addColumn("batches", "error_message", "TEXT");
+  },
+
+  async down(schema) {
+    await schema.dropColumn("batches", "error_message");
+    await schema.dropColumn("batches", "status");
+  },
+};
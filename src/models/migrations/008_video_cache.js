@@ -0,0 +1,48 @@
+// Canonical video IDs for reusing analyses, and batch membership that a
+// cached analysis can share between batches
+module.exports = {
+  async up(schema) {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS batch_analyses (
+        batch_id TEXT NOT NULL,
+        analysis_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (batch_id, analysis_id)
+      );
+
+      -- Batch membership used to be stored in analysis_results.batch_id
+      INSERT OR IGNORE INTO batch_analyses (batch_id, analysis_id, created_at)
+        SELECT batch_id, id, created_at FROM analysis_results
+        WHERE batch_id IS NOT NULL;
+
+      DROP INDEX IF EXISTS idx_analysis_results_batch_id;
+    `);
+    await schema.dropColumn("analysis_results", "batch_id");
+
+    await schema.addColumn("analysis_results", "video_id", "TEXT");
+    await schema.exec(`
+      CREATE INDEX IF NOT EXISTS idx_analysis_results_video_id
+        ON analysis_results(video_id, status);
+    `);
+  },
+
+  async down(schema) {
+    await schema.exec("DROP INDEX IF EXISTS idx_analysis_results_video_id");
+    await schema.dropColumn("analysis_results", "video_id");
+
+    // An analysis shared between batches goes back to the first of them
+    await schema.addColumn("analysis_results", "batch_id", "TEXT");
+    await schema.exec(`
+      UPDATE analysis_results
+        SET batch_id = (
+          SELECT MIN(batch_id) FROM batch_analyses
+          WHERE analysis_id = analysis_results.id
+        );
+
+      CREATE INDEX IF NOT EXISTS idx_analysis_results_batch_id
+        ON analysis_results(batch_id);
+
+      DROP TABLE IF EXISTS batch_analyses;
+    `);
+  },
+};
@@ -0,0 +1,13 @@
+// Per-analysis provider/detector choices and the pipeline metadata
+// (stage modes, audio info) of the finished run
+module.exports = {
+  async up(schema) {
+    await schema.addColumn("analysis_results", "pipeline_options", "TEXT");
+    await schema.addColumn("analysis_results", "metadata", "TEXT");
+  },
+
+  async down(schema) {
+    await schema.dropColumn("analysis_results", "metadata");
+    await schema.dropColumn("analysis_results", "pipeline_options");
+  },
+};
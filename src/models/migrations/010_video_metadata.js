@@ -0,0 +1,27 @@
+// YouTube metadata of analyzed videos
+module.exports = {
+  async up(schema) {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS video_metadata (
+        video_id TEXT PRIMARY KEY,
+        title TEXT,
+        channel TEXT,
+        channel_id TEXT,
+        duration_seconds INTEGER,
+        publish_date TEXT,
+        view_count INTEGER,
+        description TEXT,
+        tags TEXT,
+        thumbnails TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_video_metadata_channel_id
+        ON video_metadata(channel_id);
+    `);
+  },
+
+  async down(schema) {
+    await schema.exec("DROP TABLE IF EXISTS video_metadata");
+  },
+};
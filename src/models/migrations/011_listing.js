@@ -0,0 +1,39 @@
+// The overall score is copied out of ai_probabilities so listings can
+// filter and sort on it without loading the JSON
+module.exports = {
+  async up(schema) {
+    await schema.addColumn(
+      "analysis_results",
+      "overall_ai_probability",
+      "REAL"
+    );
+    await schema.exec(`
+      CREATE INDEX IF NOT EXISTS idx_analysis_results_overall_ai_probability
+        ON analysis_results(overall_ai_probability);
+
+      -- Duplicate of idx_created_at
+      DROP INDEX IF EXISTS idx_analysis_results_created_at;
+
+      -- Older rows stored the JSON encoded twice, hence the inner
+      -- json_extract
+      UPDATE analysis_results
+        SET overall_ai_probability = COALESCE(
+          json_extract(ai_probabilities, '$.overall_ai_probability'),
+          json_extract(json_extract(ai_probabilities, '$'),
+                       '$.overall_ai_probability')
+        )
+        WHERE overall_ai_probability IS NULL
+          AND ai_probabilities IS NOT NULL
+          AND json_valid(ai_probabilities)
+          AND (json_type(ai_probabilities) = 'object'
+               OR json_valid(json_extract(ai_probabilities, '$')));
+    `);
+  },
+
+  async down(schema) {
+    await schema.exec(
+      "DROP INDEX IF EXISTS idx_analysis_results_overall_ai_probability"
+    );
+    await schema.dropColumn("analysis_results", "overall_ai_probability");
+  },
+};
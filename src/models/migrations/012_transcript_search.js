@@ -0,0 +1,42 @@
+const logger = require("../../utils/logger");
+const { indexTranscript } = require("../transcriptSearch");
+
+// Full-text index of transcript segments, rebuilt for an analysis whenever
+// its transcription is written. Stored transcripts are indexed here once.
+module.exports = {
+  async up(schema) {
+    const [existing] = await schema.all(
+      "SELECT 1 FROM sqlite_master WHERE name = 'transcript_search'"
+    );
+    if (existing) {
+      return;
+    }
+
+    await schema.exec(`
+      CREATE VIRTUAL TABLE transcript_search USING fts5(
+        text,
+        analysis_id UNINDEXED,
+        segment_index UNINDEXED,
+        start_time UNINDEXED,
+        end_time UNINDEXED,
+        speaker UNINDEXED,
+        tokenize = 'porter unicode61'
+      );
+    `);
+
+    const rows = await schema.all(
+      "SELECT id, transcription FROM analysis_results WHERE transcription IS NOT NULL"
+    );
+    for (const row of rows) {
+      try {
+        await indexTranscript(schema.db, row.id, row.transcription);
+      } catch (error) {
+        logger.warn(`Could not index transcript of analysis ${row.id}:`, error);
+      }
+    }
+  },
+
+  async down(schema) {
+    await schema.exec("DROP TABLE IF EXISTS transcript_search");
+  },
+};
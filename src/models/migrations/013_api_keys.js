@@ -0,0 +1,45 @@
+// Client API keys (only an HMAC of each key is stored), their daily audio
+// usage, and the key each analysis and batch belongs to
+module.exports = {
+  async up(schema) {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        is_admin INTEGER DEFAULT 0,
+        rate_limit_max_requests INTEGER,
+        daily_audio_minutes REAL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        revoked_at DATETIME
+      );
+
+      -- Audio transcribed per API key per UTC day, for quotas
+      CREATE TABLE IF NOT EXISTS api_key_usage (
+        api_key_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        audio_seconds REAL DEFAULT 0,
+        analyses INTEGER DEFAULT 0,
+        PRIMARY KEY (api_key_id, day)
+      );
+    `);
+    await schema.addColumn("analysis_results", "api_key_id", "TEXT");
+    await schema.addColumn("batches", "api_key_id", "TEXT");
+    await schema.exec(`
+      CREATE INDEX IF NOT EXISTS idx_analysis_results_api_key_id
+        ON analysis_results(api_key_id, created_at);
+    `);
+  },
+
+  async down(schema) {
+    await schema.exec("DROP INDEX IF EXISTS idx_analysis_results_api_key_id");
+    await schema.dropColumn("batches", "api_key_id");
+    await schema.dropColumn("analysis_results", "api_key_id");
+    await schema.exec(`
+      DROP TABLE IF EXISTS api_key_usage;
+      DROP TABLE IF EXISTS api_keys;
+    `);
+  },
+};
@@ -0,0 +1,162 @@
+const logger = require("../../utils/logger");
+const {
+  transcriptSummary,
+  detectionSummary,
+  saveTranscript,
+  saveScoredSegments,
+  loadTranscript,
+  loadDetection,
+} = require("../transcriptStore");
+
+// Segments, words, speakers and per-segment detection results move out of
+// the transcription and ai_probabilities JSON into their own tables (see
+// transcriptStore.js), keeping whichever shape each analysis was saved in.
+// Stored JSON that was encoded twice is decoded once along the way, as
+// results were already returned decoded.
+
+function parseStoredJson(value) {
+  const parsed = JSON.parse(value);
+  return typeof parsed === "string" ? JSON.parse(parsed) : parsed;
+}
+
+// A stored JSON column with its rows saved by save(value), which returns
+// what stays in the column. Values that can't be parsed are left as they
+// are.
+async function normalize(row, column, save) {
+  if (row[column] === null) {
+    return null;
+  }
+  let value;
+  try {
+    value = parseStoredJson(row[column]);
+  } catch (error) {
+    logger.warn(`Could not parse ${column} of analysis ${row.id}:`, error);
+    return row[column];
+  }
+  return JSON.stringify(
+    value !== null && typeof value === "object" ? await save(value) : value
+  );
+}
+
+// The reverse of normalize: the column with its rows put back by load
+async function restore(row, column, load) {
+  if (row[column] === null) {
+    return null;
+  }
+  let summary;
+  try {
+    summary = JSON.parse(row[column]);
+  } catch (error) {
+    return row[column];
+  }
+  return JSON.stringify(await load(summary));
+}
+
+module.exports = {
+  async up(schema) {
+    await schema.exec(`
+      CREATE TABLE IF NOT EXISTS transcript_segments (
+        analysis_id TEXT NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'transcript',
+        segment_index INTEGER NOT NULL,
+        start_time REAL,
+        end_time REAL,
+        text TEXT,
+        speaker TEXT,
+        confidence REAL,
+        word_count INTEGER,
+        extra TEXT,
+        PRIMARY KEY (analysis_id, kind, segment_index)
+      );
+
+      CREATE TABLE IF NOT EXISTS segment_detections (
+        analysis_id TEXT NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'transcript',
+        segment_index INTEGER NOT NULL,
+        detector TEXT,
+        ai_probability REAL,
+        prediction TEXT,
+        confidence REAL,
+        error TEXT,
+        details TEXT,
+        metadata TEXT,
+        extra TEXT,
+        PRIMARY KEY (analysis_id, kind, segment_index)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_segment_detections_ai_probability
+        ON segment_detections(ai_probability);
+
+      CREATE TABLE IF NOT EXISTS transcript_words (
+        analysis_id TEXT NOT NULL,
+        word_index INTEGER NOT NULL,
+        word TEXT,
+        start_time REAL,
+        end_time REAL,
+        confidence REAL,
+        speaker TEXT,
+        extra TEXT,
+        PRIMARY KEY (analysis_id, word_index)
+      );
+
+      CREATE TABLE IF NOT EXISTS transcript_speakers (
+        analysis_id TEXT NOT NULL,
+        speaker_index INTEGER NOT NULL,
+        speaker_id TEXT,
+        name TEXT,
+        segments TEXT,
+        extra TEXT,
+        PRIMARY KEY (analysis_id, speaker_index)
+      );
+    `);
+
+    const rows = await schema.all(
+      `SELECT id, transcription, ai_probabilities FROM analysis_results
+       WHERE transcription IS NOT NULL OR ai_probabilities IS NOT NULL`
+    );
+    for (const row of rows) {
+      await schema.run(
+        "UPDATE analysis_results SET transcription = ?, ai_probabilities = ? WHERE id = ?",
+        [
+          await normalize(row, "transcription", async (transcription) => {
+            await saveTranscript(schema.db, row.id, transcription);
+            return transcriptSummary(transcription);
+          }),
+          await normalize(row, "ai_probabilities", async (aiProbabilities) => {
+            await saveScoredSegments(schema.db, row.id, aiProbabilities);
+            return detectionSummary(aiProbabilities);
+          }),
+          row.id,
+        ]
+      );
+    }
+  },
+
+  async down(schema) {
+    const rows = await schema.all(
+      `SELECT id, transcription, ai_probabilities FROM analysis_results
+       WHERE transcription IS NOT NULL OR ai_probabilities IS NOT NULL`
+    );
+    for (const row of rows) {
+      await schema.run(
+        "UPDATE analysis_results SET transcription = ?, ai_probabilities = ? WHERE id = ?",
+        [
+          await restore(row, "transcription", (summary) =>
+            loadTranscript(schema.db, row.id, summary)
+          ),
+          await restore(row, "ai_probabilities", (summary) =>
+            loadDetection(schema.db, row.id, summary)
+          ),
+          row.id,
+        ]
+      );
+    }
+
+    await schema.exec(`
+      DROP TABLE IF EXISTS transcript_speakers;
+      DROP TABLE IF EXISTS transcript_words;
+      DROP TABLE IF EXISTS segment_detections;
+      DROP TABLE IF EXISTS transcript_segments;
+    `);
+  },
+};
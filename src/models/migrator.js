@@ -0,0 +1,238 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+
+// Versioned schema migrations. Each file in models/migrations is named
+// <version>_<name>.js and exports async up(schema) and down(schema)
+// functions; schema wraps the connection (see migrationContext). Applied
+// versions are recorded in schema_migrations, and each migration runs in
+// its own transaction.
+//
+// Databases created before migrations existed already have some of the
+// tables and columns, so the early migrations only create what is missing.
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// Promise wrappers around the connection, handed to migrations
+function migrationContext(db) {
+  const exec = (sql) =>
+    new Promise((resolve, reject) => {
+      db.exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+  const run = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+
+  const all = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+  const columnExists = async (table, column) =>
+    (await all(`PRAGMA table_info(${table})`)).some(
+      (row) => row.name === column
+    );
+
+  return {
+    db,
+    exec,
+    run,
+    all,
+    columnExists,
+    async addColumn(table, column, definition) {
+      if (!(await columnExists(table, column))) {
+        await exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    },
+    async dropColumn(table, column) {
+      if (await columnExists(table, column)) {
+        await exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    },
+  };
+}
+
+class Migrator {
+  constructor(db, directory = MIGRATIONS_DIR) {
+    this.db = db;
+    this.directory = directory;
+    this.schema = migrationContext(db);
+  }
+
+  // Migrations on disk, in version order
+  loadMigrations() {
+    const migrations = fs
+      .readdirSync(this.directory)
+      .map((file) => file.match(/^(\d+)_(\w+)\.js$/))
+      .filter(Boolean)
+      .map(([file, version, name]) => ({
+        version: parseInt(version, 10),
+        name,
+        ...require(path.join(this.directory, file)),
+      }))
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
+      if (
+        typeof migration.up !== "function" ||
+        typeof migration.down !== "function"
+      ) {
+        throw new Error(
+          `Migration ${migration.version}_${migration.name} must export up and down`
+        );
+      }
+    });
+
+    return migrations;
+  }
+
+  async appliedMigrations() {
+    await this.schema.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    const rows = await this.schema.all(
+      "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+    );
+    return new Map(rows.map((row) => [row.version, row]));
+  }
+
+  // Every known migration with whether it is applied, plus versions
+  // recorded in the database that this code doesn't know about
+  async status() {
+    const migrations = this.loadMigrations();
+    const applied = await this.appliedMigrations();
+    const known = new Set(migrations.map((migration) => migration.version));
+
+    return {
+      current: Math.max(0, ...applied.keys()),
+      latest: Math.max(0, ...known),
+      migrations: migrations.map((migration) => ({
+        version: migration.version,
+        name: migration.name,
+        applied: applied.has(migration.version),
+        applied_at: applied.has(migration.version)
+          ? applied.get(migration.version).applied_at
+          : null,
+      })),
+      unknown: [...applied.values()].filter((row) => !known.has(row.version)),
+    };
+  }
+
+  // Apply pending migrations up to targetVersion (default: all of them).
+  // Returns the migrations that were applied.
+  async migrate(targetVersion = Infinity) {
+    const migrations = this.loadMigrations();
+    const applied = await this.appliedMigrations();
+    const done = [];
+
+    for (const migration of migrations) {
+      if (migration.version > targetVersion) {
+        break;
+      }
+      if (applied.has(migration.version)) {
+        continue;
+      }
+
+      // Another process (e.g. the worker) may have applied it meanwhile
+      const ran = await this.transaction(async () => {
+        const existing = await this.schema.all(
+          "SELECT 1 FROM schema_migrations WHERE version = ?",
+          [migration.version]
+        );
+        if (existing.length > 0) {
+          return false;
+        }
+        await migration.up(this.schema);
+        await this.schema.run(
+          "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+          [migration.version, migration.name]
+        );
+        return true;
+      });
+
+      if (ran) {
+        logger.info(`Applied migration ${migration.version}_${migration.name}`);
+        done.push(migration);
+      }
+    }
+
+    return done;
+  }
+
+  // Revert applied migrations newer than targetVersion, newest first.
+  // Returns the migrations that were reverted.
+  async rollback(targetVersion) {
+    const migrations = this.loadMigrations();
+    const applied = await this.appliedMigrations();
+    const unknown = [...applied.keys()].filter(
+      (version) =>
+        version > targetVersion &&
+        !migrations.some((migration) => migration.version === version)
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `Cannot roll back migrations missing from this version: ${unknown.join(
+          ", "
+        )}`
+      );
+    }
+
+    const done = [];
+    for (const migration of migrations.reverse()) {
+      if (migration.version <= targetVersion) {
+        break;
+      }
+      if (!applied.has(migration.version)) {
+        continue;
+      }
+
+      await this.transaction(async () => {
+        await migration.down(this.schema);
+        await this.schema.run(
+          "DELETE FROM schema_migrations WHERE version = ?",
+          [migration.version]
+        );
+      });
+      logger.info(
+        `Rolled back migration ${migration.version}_${migration.name}`
+      );
+      done.push(migration);
+    }
+
+    return done;
+  }
+
+  // IMMEDIATE takes the write lock up front, so concurrent migrators
+  // queue up instead of interleaving
+  async transaction(fn) {
+    await this.schema.exec("BEGIN IMMEDIATE");
+    try {
+      const result = await fn();
+      await this.schema.exec("COMMIT");
+      return result;
+    } catch (error) {
+      await this.schema.exec("ROLLBACK").catch(() => {});
+      throw error;
+    }
+  }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,80 @@
+// Maintains and queries the transcript_search full-text index. Shared by
+// the database operations, the search service and the migration that
+// creates the index.
+
+// Segments of a stored transcription, whatever shape it was saved in
+function transcriptSegments(transcription) {
+  let parsed =
+    typeof transcription === "string"
+      ? JSON.parse(transcription)
+      : transcription;
+  // Older rows stored the JSON encoded twice
+  if (typeof parsed === "string") {
+    parsed = JSON.parse(parsed);
+  }
+  if (Array.isArray(parsed)) {
+    return parsed;
+  }
+  return (parsed && parsed.segments) || [];
+}
+
+// Rows per INSERT when indexing, well under SQLite's bound parameter limit
+const SEARCH_INSERT_BATCH = 500;
+
+// Replace the search index entries of an analysis with its segments
+async function indexTranscript(db, analysisId, transcription) {
+  const rows = [];
+  transcriptSegments(transcription).forEach((segment, index) => {
+    if (segment.text && segment.text.trim()) {
+      rows.push([
+        segment.text.trim(),
+        analysisId,
+        index,
+        segment.start || 0,
+        segment.end || 0,
+        segment.speaker || null,
+      ]);
+    }
+  });
+
+  const run = (sql, params) =>
+    new Promise((resolve, reject) => {
+      db.run(sql, params, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+  await run("DELETE FROM transcript_search WHERE analysis_id = ?", [
+    analysisId,
+  ]);
+  for (let i = 0; i < rows.length; i += SEARCH_INSERT_BATCH) {
+    const batch = rows.slice(i, i + SEARCH_INSERT_BATCH);
+    await run(
+      `INSERT INTO transcript_search
+         (text, analysis_id, segment_index, start_time, end_time, speaker)
+       VALUES ${batch.map(() => "(?, ?, ?, ?, ?, ?)").join(", ")}`,
+      batch.flat()
+    );
+  }
+}
+
+// Turn a user's search text into an FTS5 query. Every word must match;
+// "quoted phrases" match as a phrase and a trailing * matches a prefix.
+// Terms are always quoted so FTS5 operators in the input are plain text.
+function toFtsQuery(text) {
+  const terms = (text.match(/"[^"]*"|[^\s"]+/g) || [])
+    .map((term) => {
+      const phrase = term.startsWith('"');
+      const prefix = !phrase && term.endsWith("*");
+      const words = term.replace(/["*]/g, " ").trim();
+      return words ? `"${words}"${prefix ? "*" : ""}` : null;
+    })
+    .filter(Boolean);
+  return terms.join(" ");
+}
+
+module.exports = {
+  indexTranscript,
+  toFtsQuery,
+};
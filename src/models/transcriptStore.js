@@ -0,0 +1,384 @@
+// Transcripts are stored relationally: each segment, word and speaker, and
+// the AI detection result of each segment, is a row keyed by analysis ID.
+// Segments are either the transcription's own or the chunks scored for AI
+// detection (see segmentationService.js). analysis_results.transcription
+// and .ai_probabilities keep the remaining fields.
+
+const TRANSCRIPT_TABLES = [
+  "transcript_segments",
+  "transcript_words",
+  "transcript_speakers",
+  "segment_detections",
+];
+
+// Rows per INSERT, well under SQLite's bound parameter limit
+const ROWS_PER_INSERT = 500;
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+async function insertRows(db, table, columns, rows) {
+  const placeholders = `(${columns.map(() => "?").join(", ")})`;
+  for (let i = 0; i < rows.length; i += ROWS_PER_INSERT) {
+    const batch = rows.slice(i, i + ROWS_PER_INSERT);
+    await run(
+      db,
+      `INSERT INTO ${table} (${columns.join(", ")})
+       VALUES ${batch.map(() => placeholders).join(", ")}`,
+      batch.flat().map((value) => (value === undefined ? null : value))
+    );
+  }
+}
+
+// Columns of each stored item as [column, field, type]. Fields without a
+// column, and values that don't fit their column's type (such as null or a
+// numeric speaker), are kept as JSON in the item's `extra` column so that
+// items load exactly as they were saved.
+const SEGMENT_COLUMNS = [
+  ["start_time", "start", "number"],
+  ["end_time", "end", "number"],
+  ["text", "text", "string"],
+  ["speaker", "speaker", "string"],
+  ["confidence", "confidence", "number"],
+  ["word_count", "word_count", "number"],
+];
+
+const DETECTION_COLUMNS = [
+  ["detector", "detector", "string"],
+  ["ai_probability", "ai_probability", "number"],
+  ["prediction", "prediction", "string"],
+  ["confidence", "confidence", "number"],
+  ["error", "error", "string"],
+  ["details", "details", "json"],
+  ["metadata", "metadata", "json"],
+];
+
+const WORD_COLUMNS = [
+  ["word", "word", "string"],
+  ["start_time", "start", "number"],
+  ["end_time", "end", "number"],
+  ["confidence", "confidence", "number"],
+  ["speaker", "speaker", "string"],
+];
+
+const SPEAKER_COLUMNS = [
+  ["speaker_id", "id", "string"],
+  ["name", "name", "string"],
+  ["segments", "segments", "json"],
+];
+
+// Transcription fields stored as rows, and left as [] in the summary
+const TRANSCRIPT_FIELDS = ["segments", "speakers", "wordTimestamps"];
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function fitsColumn(value, type) {
+  if (type === "json") {
+    return value !== null && value !== undefined;
+  }
+  return typeof value === type && (type !== "number" || Number.isFinite(value));
+}
+
+// Column values for an item, followed by its `extra` JSON
+function toColumns(item, columns, skip = []) {
+  const values = [];
+  const extra = {};
+  const mapped = new Set(skip);
+
+  for (const [, field, type] of columns) {
+    mapped.add(field);
+    const value = item[field];
+    if (fitsColumn(value, type)) {
+      values.push(type === "json" ? JSON.stringify(value) : value);
+    } else {
+      values.push(null);
+      if (value !== undefined) {
+        extra[field] = value;
+      }
+    }
+  }
+  for (const [field, value] of Object.entries(item)) {
+    if (!mapped.has(field) && value !== undefined) {
+      extra[field] = value;
+    }
+  }
+
+  values.push(Object.keys(extra).length > 0 ? JSON.stringify(extra) : null);
+  return values;
+}
+
+function fromColumns(row, columns) {
+  const item = {};
+  for (const [column, field, type] of columns) {
+    if (row[column] !== null) {
+      item[field] = type === "json" ? JSON.parse(row[column]) : row[column];
+    }
+  }
+  return row.extra ? Object.assign(item, JSON.parse(row.extra)) : item;
+}
+
+// A copy of object with the listed array fields emptied
+function withEmptyArrays(object, fields) {
+  return Object.fromEntries(
+    Object.entries(object).map(([field, value]) => [
+      field,
+      fields.includes(field) && Array.isArray(value) ? [] : value,
+    ])
+  );
+}
+
+// What stays in analysis_results.transcription: the other fields, with []
+// in place of the fields stored as rows. Transcriptions that are just the
+// list of segments (as older analyses stored them) are summarized as [].
+function transcriptSummary(transcription) {
+  if (Array.isArray(transcription)) {
+    return [];
+  }
+  if (!isObject(transcription)) {
+    return transcription;
+  }
+  return withEmptyArrays(transcription, TRANSCRIPT_FIELDS);
+}
+
+// What stays in analysis_results.ai_probabilities: everything but the
+// scored chunks
+function detectionSummary(aiProbabilities) {
+  if (!isObject(aiProbabilities)) {
+    return aiProbabilities;
+  }
+  return withEmptyArrays(aiProbabilities, ["segments"]);
+}
+
+async function deleteTranscript(db, analysisId) {
+  for (const table of TRANSCRIPT_TABLES) {
+    await run(db, `DELETE FROM ${table} WHERE analysis_id = ?`, [analysisId]);
+  }
+}
+
+// Replace the segments of one kind ("transcript" for the transcription's
+// own, "scored" for the chunks scored for AI detection) and their
+// detection results
+async function saveSegments(db, analysisId, kind, segments) {
+  for (const table of ["transcript_segments", "segment_detections"]) {
+    await run(db, `DELETE FROM ${table} WHERE analysis_id = ? AND kind = ?`, [
+      analysisId,
+      kind,
+    ]);
+  }
+
+  const hasDetection = (segment) => isObject(segment.ai_detection);
+  await insertRows(
+    db,
+    "transcript_segments",
+    [
+      "analysis_id",
+      "kind",
+      "segment_index",
+      ...SEGMENT_COLUMNS.map(([column]) => column),
+      "extra",
+    ],
+    segments.map((segment, index) => [
+      analysisId,
+      kind,
+      index,
+      ...toColumns(
+        segment,
+        SEGMENT_COLUMNS,
+        hasDetection(segment) ? ["ai_detection"] : []
+      ),
+    ])
+  );
+  await insertRows(
+    db,
+    "segment_detections",
+    [
+      "analysis_id",
+      "kind",
+      "segment_index",
+      ...DETECTION_COLUMNS.map(([column]) => column),
+      "extra",
+    ],
+    segments
+      .map((segment, index) => [segment, index])
+      .filter(([segment]) => hasDetection(segment))
+      .map(([segment, index]) => [
+        analysisId,
+        kind,
+        index,
+        ...toColumns(segment.ai_detection, DETECTION_COLUMNS),
+      ])
+  );
+}
+
+// Replace the stored segments, words, speakers and detections of an
+// analysis's transcription
+async function saveTranscript(db, analysisId, transcription) {
+  const fields = Array.isArray(transcription)
+    ? { segments: transcription }
+    : transcription;
+
+  await saveSegments(
+    db,
+    analysisId,
+    "transcript",
+    Array.isArray(fields.segments) ? fields.segments : []
+  );
+
+  await run(db, "DELETE FROM transcript_words WHERE analysis_id = ?", [
+    analysisId,
+  ]);
+  await insertRows(
+    db,
+    "transcript_words",
+    [
+      "analysis_id",
+      "word_index",
+      ...WORD_COLUMNS.map(([column]) => column),
+      "extra",
+    ],
+    (Array.isArray(fields.wordTimestamps) ? fields.wordTimestamps : []).map(
+      (word, index) => [analysisId, index, ...toColumns(word, WORD_COLUMNS)]
+    )
+  );
+
+  await run(db, "DELETE FROM transcript_speakers WHERE analysis_id = ?", [
+    analysisId,
+  ]);
+  await insertRows(
+    db,
+    "transcript_speakers",
+    [
+      "analysis_id",
+      "speaker_index",
+      ...SPEAKER_COLUMNS.map(([column]) => column),
+      "extra",
+    ],
+    (Array.isArray(fields.speakers) ? fields.speakers : []).map(
+      (speaker, index) => [
+        analysisId,
+        index,
+        ...toColumns(speaker, SPEAKER_COLUMNS),
+      ]
+    )
+  );
+}
+
+// Replace the stored chunks of an analysis's AI detection summary
+async function saveScoredSegments(db, analysisId, aiProbabilities) {
+  await saveSegments(
+    db,
+    analysisId,
+    "scored",
+    Array.isArray(aiProbabilities.segments) ? aiProbabilities.segments : []
+  );
+}
+
+async function loadSegments(db, analysisId, kind) {
+  const [segments, detections] = await Promise.all([
+    all(
+      db,
+      `SELECT * FROM transcript_segments
+       WHERE analysis_id = ? AND kind = ? ORDER BY segment_index`,
+      [analysisId, kind]
+    ),
+    all(
+      db,
+      "SELECT * FROM segment_detections WHERE analysis_id = ? AND kind = ?",
+      [analysisId, kind]
+    ),
+  ]);
+
+  const detectionsByIndex = new Map(
+    detections.map((row) => [row.segment_index, row])
+  );
+  return segments.map((row) => {
+    const segment = fromColumns(row, SEGMENT_COLUMNS);
+    const detection = detectionsByIndex.get(row.segment_index);
+    if (detection) {
+      segment.ai_detection = fromColumns(detection, DETECTION_COLUMNS);
+    }
+    return segment;
+  });
+}
+
+// Summary fields left as [] are loaded from the rows
+const storedAsRows = (value) => Array.isArray(value) && value.length === 0;
+
+// The transcription of an analysis as it was saved, from its summary in
+// analysis_results.transcription and the stored rows
+async function loadTranscript(db, analysisId, summary) {
+  if (Array.isArray(summary)) {
+    return storedAsRows(summary)
+      ? loadSegments(db, analysisId, "transcript")
+      : summary;
+  }
+  if (!isObject(summary)) {
+    return summary;
+  }
+
+  const loaders = {
+    segments: () => loadSegments(db, analysisId, "transcript"),
+    wordTimestamps: async () =>
+      (
+        await all(
+          db,
+          "SELECT * FROM transcript_words WHERE analysis_id = ? ORDER BY word_index",
+          [analysisId]
+        )
+      ).map((row) => fromColumns(row, WORD_COLUMNS)),
+    speakers: async () =>
+      (
+        await all(
+          db,
+          "SELECT * FROM transcript_speakers WHERE analysis_id = ? ORDER BY speaker_index",
+          [analysisId]
+        )
+      ).map((row) => fromColumns(row, SPEAKER_COLUMNS)),
+  };
+
+  const transcription = {};
+  for (const [field, value] of Object.entries(summary)) {
+    transcription[field] =
+      loaders[field] && storedAsRows(value) ? await loaders[field]() : value;
+  }
+  return transcription;
+}
+
+// The AI detection summary of an analysis with its scored chunks
+async function loadDetection(db, analysisId, summary) {
+  if (!isObject(summary) || !storedAsRows(summary.segments)) {
+    return summary;
+  }
+  return {
+    ...summary,
+    segments: await loadSegments(db, analysisId, "scored"),
+  };
+}
+
+module.exports = {
+  TRANSCRIPT_TABLES,
+  transcriptSummary,
+  detectionSummary,
+  saveTranscript,
+  saveScoredSegments,
+  loadTranscript,
+  loadDetection,
+  deleteTranscript,
+};
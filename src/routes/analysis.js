@@ -1,15 +1,242 @@
 const express = require("express");
+const multer = require("multer");
+const path = require("path");
+const fs = require("fs");
+const { v4: uuidv4 } = require("uuid");
 const router = express.Router();
 const logger = require("../utils/logger");
 const AnalysisService = require("../services/analysisService");
+const transcriptionProviders = require("../services/transcriptionProviders");
+const detectors = require("../services/detectors");
+const SegmentationService = require("../services/segmentationService");
+const aiAggregation = require("../utils/aiAggregation");
+const { parseListFilters } = require("../utils/listFilters");
+const { callbackUrlError } = require("../utils/callbackUrl");
+const {
+  enforceAudioQuota,
+  ownerScope,
+  ownerId,
+} = require("../middleware/auth");
 
 // Initialize analysis service
 const analysisService = new AnalysisService();
 
+// Media upload configuration
+const uploadDir = process.env.UPLOAD_DIR || "./uploads";
+if (!fs.existsSync(uploadDir)) {
+  fs.mkdirSync(uploadDir, { recursive: true });
+}
+
+const maxUploadSizeMb = parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 500;
+const allowedExtensions = [
+  ".mp3",
+  ".wav",
+  ".m4a",
+  ".aac",
+  ".ogg",
+  ".opus",
+  ".flac",
+  ".webm",
+  ".mp4",
+  ".mov",
+  ".mkv",
+  ".avi",
+];
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: uploadDir,
+    filename: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      cb(null, `${uuidv4()}${extension}`);
+    },
+  }),
+  limits: {
+    fileSize: maxUploadSizeMb * 1024 * 1024,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const isMediaType =
+      file.mimetype.startsWith("audio/") ||
+      file.mimetype.startsWith("video/") ||
+      file.mimetype === "application/octet-stream";
+
+    if (!allowedExtensions.includes(extension) || !isMediaType) {
+      const error = new Error(
+        `Unsupported file type, allowed: ${allowedExtensions.join(", ")}`
+      );
+      error.code = "UNSUPPORTED_FILE_TYPE";
+      cb(error, false);
+      return;
+    }
+    cb(null, true);
+  },
+});
+
+// Optional per-request pipeline overrides, as AnalysisService options
+function pipelineOptionsFrom(body) {
+  return {
+    transcriptionProvider: body.transcription_provider,
+    detector: body.detector,
+    segmentation: body.segmentation,
+    aggregation: body.aggregation,
+  };
+}
+
+function invalidPipelineOptionsResponse(res, body) {
+  const { transcription_provider, detector, segmentation, aggregation } = body;
+
+  if (transcription_provider !== undefined) {
+    if (!transcriptionProviders.isProvider(transcription_provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid transcription_provider, expected one of: ${transcriptionProviders
+          .getProviderNames()
+          .join(", ")}`,
+      });
+    }
+    // An explicitly requested provider must not silently fall back to the
+    // demo transcript
+    if (
+      !analysisService
+        .getTranscriptionProvider(transcription_provider)
+        .isConfigured()
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `Transcription provider ${transcription_provider} is not configured on this server`,
+      });
+    }
+  }
+
+  if (detector !== undefined) {
+    if (!detectors.isDetector(detector)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid detector, expected one of: ${detectors
+          .getDetectorNames()
+          .join(", ")}`,
+      });
+    }
+    if (!analysisService.getDetector(detector).isConfigured()) {
+      return res.status(400).json({
+        success: false,
+        error: `Detector ${detector} is not configured on this server`,
+      });
+    }
+  }
+
+  if (
+    segmentation !== undefined &&
+    !SegmentationService.STRATEGIES.includes(segmentation)
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid segmentation, expected one of: ${SegmentationService.STRATEGIES.join(
+        ", "
+      )}`,
+    });
+  }
+
+  if (
+    aggregation !== undefined &&
+    !aiAggregation.METHODS.includes(aggregation)
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid aggregation, expected one of: ${aiAggregation.METHODS.join(
+        ", "
+      )}`,
+    });
+  }
+
+  return null;
+}
+
+async function startCollection(req, res, collectionType, force) {
+  const {
+    youtube_url,
+    callback_url,
+    max_videos,
+    published_after,
+    published_before,
+  } = req.body;
+  const maxBatchSize = parseInt(process.env.BATCH_MAX_URLS) || 200;
+  const maxVideos =
+    max_videos !== undefined
+      ? parseInt(max_videos)
+      : parseInt(process.env.PLAYLIST_MAX_VIDEOS) || 50;
+
+  if (
+    !Number.isInteger(maxVideos) ||
+    maxVideos < 1 ||
+    maxVideos > maxBatchSize
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: `max_videos must be between 1 and ${maxBatchSize}`,
+    });
+  }
+
+  for (const [name, value] of [
+    ["published_after", published_after],
+    ["published_before", published_before],
+  ]) {
+    if (value && isNaN(Date.parse(value))) {
+      return res.status(400).json({
+        success: false,
+        error: `${name} must be a date (YYYY-MM-DD)`,
+      });
+    }
+  }
+
+  logger.info(
+    `Received ${collectionType} analysis request for: ${youtube_url}`
+  );
+
+  const result = await analysisService.startCollection(
+    youtube_url,
+    collectionType,
+    {
+      maxVideos,
+      publishedAfter: published_after,
+      publishedBefore: published_before,
+      callbackUrl: callback_url,
+      force,
+      apiKeyId: ownerId(req),
+      ...pipelineOptionsFrom(req.body),
+    }
+  );
+
+  if (result.success) {
+    res.status(202).json({
+      success: true,
+      message: `The ${collectionType} will be expanded into individual analyses`,
+      batch_id: result.batch_id,
+      source_type: collectionType,
+      status: result.status,
+      max_videos: maxVideos,
+      link: `/api/batch/${result.batch_id}`,
+    });
+  } else {
+    res.status(500).json({
+      success: false,
+      error: `Failed to start ${collectionType} analysis`,
+      details: result.error,
+    });
+  }
+}
+
+function isTrue(value) {
+  return value === true || value === "true" || value === "1";
+}
+
 // POST /api/analyze - Submit YouTube URL for analysis
-router.post("/", async (req, res) => {
+router.post("/", enforceAudioQuota, async (req, res) => {
   try {
-    const { youtube_url } = req.body;
+    const { youtube_url, callback_url } = req.body;
+    const force = isTrue(req.body.force) || isTrue(req.query.force);
 
     // Validate input
     if (!youtube_url) {
@@ -28,21 +255,71 @@ router.post("/", async (req, res) => {
       });
     }
 
+    // Optional webhook called when the analysis completes or fails
+    const callbackError =
+      callback_url && (await callbackUrlError(callback_url));
+    if (callbackError) {
+      return res.status(400).json({
+        success: false,
+        error: callbackError,
+      });
+    }
+
+    if (invalidPipelineOptionsResponse(res, req.body)) {
+      return;
+    }
+
+    // Playlist and channel URLs are expanded into one analysis per video
+    const urlType = analysisService.classifyUrl(youtube_url);
+    if (!urlType) {
+      return res.status(400).json({
+        success: false,
+        error: "URL does not point to a YouTube video, playlist or channel",
+      });
+    }
+
+    if (urlType === "playlist" || urlType === "channel") {
+      return startCollection(req, res, urlType, force);
+    }
+
     logger.info(`Received analysis request for: ${youtube_url}`);
 
-    // Start analysis asynchronously
-    const analysisResult = await analysisService.startAnalysis(youtube_url);
+    // Queue analysis for the background worker
+    const analysisResult = await analysisService.startAnalysis(youtube_url, {
+      callbackUrl: callback_url,
+      force,
+      apiKeyId: ownerId(req),
+      ...pipelineOptionsFrom(req.body),
+    });
+
+    if (analysisResult.success && analysisResult.cached) {
+      logger.info(`Returning cached analysis: ${analysisResult.analysis_id}`);
+
+      return res
+        .status(analysisResult.status === "completed" ? 200 : 202)
+        .json({
+          success: true,
+          message:
+            "An analysis of this video already exists, pass force=true to re-run it",
+          analysis_id: analysisResult.analysis_id,
+          video_id: analysisResult.video_id,
+          status: analysisResult.status,
+          cached: true,
+        });
+    }
 
     if (analysisResult.success) {
       logger.info(
-        `Analysis started successfully: ${analysisResult.analysis_id}`
+        `Analysis queued successfully: ${analysisResult.analysis_id}`
       );
 
       res.status(202).json({
         success: true,
-        message: "Analysis started successfully",
+        message: "Analysis queued successfully",
         analysis_id: analysisResult.analysis_id,
-        status: "processing",
+        video_id: analysisResult.video_id,
+        status: analysisResult.status,
+        cached: false,
         estimated_time: "2-5 minutes depending on video length",
       });
     } else {
@@ -68,16 +345,272 @@ router.post("/", async (req, res) => {
   }
 });
 
+// POST /api/analyze/batch - Submit a list of YouTube URLs as one batch
+router.post("/batch", enforceAudioQuota, async (req, res) => {
+  try {
+    const { youtube_urls, callback_url } = req.body;
+    const maxBatchSize = parseInt(process.env.BATCH_MAX_URLS) || 200;
+
+    // Validate input
+    if (!Array.isArray(youtube_urls) || youtube_urls.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "youtube_urls must be a non-empty array",
+      });
+    }
+
+    if (youtube_urls.length > maxBatchSize) {
+      return res.status(400).json({
+        success: false,
+        error: `A batch can contain at most ${maxBatchSize} URLs`,
+      });
+    }
+
+    const urlPattern = /^(https?:\/\/)?(www\.)?(youtube\.com|youtu\.be)\/.+/;
+    const invalidUrls = youtube_urls.filter(
+      (url) => typeof url !== "string" || !urlPattern.test(url)
+    );
+    if (invalidUrls.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid YouTube URL format",
+        invalid_urls: invalidUrls,
+      });
+    }
+
+    const callbackError =
+      callback_url && (await callbackUrlError(callback_url));
+    if (callbackError) {
+      return res.status(400).json({
+        success: false,
+        error: callbackError,
+      });
+    }
+
+    if (invalidPipelineOptionsResponse(res, req.body)) {
+      return;
+    }
+
+    logger.info(
+      `Received batch analysis request for ${youtube_urls.length} URLs`
+    );
+
+    const batchResult = await analysisService.startBatch(youtube_urls, {
+      callbackUrl: callback_url,
+      force: isTrue(req.body.force) || isTrue(req.query.force),
+      apiKeyId: ownerId(req),
+      ...pipelineOptionsFrom(req.body),
+    });
+
+    if (batchResult.success) {
+      res.status(202).json({
+        success: true,
+        message: "Batch queued successfully",
+        batch_id: batchResult.batch_id,
+        total: batchResult.total,
+        duplicates_removed: batchResult.duplicates_removed,
+        analyses: batchResult.analyses,
+        link: `/api/batch/${batchResult.batch_id}`,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: "Failed to start batch",
+        details: batchResult.error,
+      });
+    }
+  } catch (error) {
+    logger.error("Error in batch endpoint:", error);
+
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Something went wrong",
+    });
+  }
+});
+
+// POST /api/analyze/upload - Submit an audio/video file for analysis
+router.post("/upload", enforceAudioQuota, (req, res) => {
+  upload.single("file")(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        if (uploadError.code === "LIMIT_FILE_SIZE") {
+          return res.status(413).json({
+            success: false,
+            error: `File too large, maximum size is ${maxUploadSizeMb} MB`,
+          });
+        }
+
+        if (uploadError.code === "UNSUPPORTED_FILE_TYPE") {
+          return res.status(400).json({
+            success: false,
+            error: uploadError.message,
+          });
+        }
+
+        if (uploadError.code === "LIMIT_UNEXPECTED_FILE") {
+          return res.status(400).json({
+            success: false,
+            error: `Unexpected file field '${uploadError.field}', send the media file as multipart field 'file'`,
+          });
+        }
+
+        // Too many files or fields, field too long, malformed form...
+        if (uploadError instanceof multer.MulterError) {
+          return res.status(400).json({
+            success: false,
+            error: uploadError.message,
+          });
+        }
+
+        throw uploadError;
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: "Media file is required (multipart field 'file')",
+        });
+      }
+
+      const { callback_url } = req.body;
+      const callbackError =
+        callback_url && (await callbackUrlError(callback_url));
+      if (callbackError) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({
+          success: false,
+          error: callbackError,
+        });
+      }
+
+      if (invalidPipelineOptionsResponse(res, req.body)) {
+        fs.unlink(req.file.path, () => {});
+        return;
+      }
+
+      logger.info(`Received upload analysis request: ${req.file.originalname}`);
+
+      const analysisResult = await analysisService.startUploadAnalysis(
+        req.file,
+        {
+          callbackUrl: callback_url,
+          apiKeyId: ownerId(req),
+          ...pipelineOptionsFrom(req.body),
+        }
+      );
+
+      if (analysisResult.success) {
+        res.status(202).json({
+          success: true,
+          message: "Analysis queued successfully",
+          analysis_id: analysisResult.analysis_id,
+          status: analysisResult.status,
+          original_filename: req.file.originalname,
+          estimated_time: "2-5 minutes depending on media length",
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: "Failed to start analysis",
+          details: analysisResult.error,
+        });
+      }
+    } catch (error) {
+      logger.error("Error in upload endpoint:", error);
+
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Something went wrong",
+      });
+    }
+  });
+});
+
+// POST /api/analyze/:id/retry - Resume a failed analysis from its last checkpoint
+router.post("/:id/retry", enforceAudioQuota, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ID format (UUID)
+    const uuidPattern =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidPattern.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid analysis ID format",
+      });
+    }
+
+    const result = await analysisService.retryAnalysis(id, ownerScope(req));
+
+    if (result.success) {
+      logger.info(`Analysis queued for retry: ${id}`);
+
+      res.status(202).json({
+        success: true,
+        message: "Analysis queued for retry",
+        analysis_id: id,
+        status: result.status,
+        completed_stages: result.completed_stages,
+      });
+    } else if (result.error === "Analysis not found") {
+      res.status(404).json({
+        success: false,
+        error: "Analysis not found",
+        message: "The requested analysis ID does not exist",
+      });
+    } else {
+      res.status(409).json({
+        success: false,
+        error: result.error,
+      });
+    }
+  } catch (error) {
+    logger.error("Error in retry endpoint:", error);
+
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Something went wrong",
+    });
+  }
+});
+
 // GET /api/analyze - Get all analyses (for monitoring)
 router.get("/", async (req, res) => {
   try {
-    const result = await analysisService.getAllAnalyses();
+    const { filters, error } = parseListFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const result = await analysisService.getAllAnalyses({
+      ...filters,
+      apiKeyId: ownerScope(req),
+    });
 
     if (result.success) {
       res.json({
         success: true,
         analyses: result.analyses,
-        total: result.analyses.length,
+        total: result.total,
+        has_more: result.has_more,
+        next_cursor: result.next_cursor,
       });
     } else {
       res.status(500).json({
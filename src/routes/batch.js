@@ -0,0 +1,70 @@
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const AnalysisService = require("../services/analysisService");
+const { ownerScope } = require("../middleware/auth");
+
+// Initialize analysis service
+const analysisService = new AnalysisService();
+
+// GET /api/batch/:id - Get aggregate status of a batch
+router.get("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ID format (UUID)
+    const uuidPattern =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidPattern.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid batch ID format",
+      });
+    }
+
+    logger.info(`Fetching batch result for ID: ${id}`);
+
+    const result = await analysisService.getBatchResult(id, ownerScope(req));
+
+    if (result.success) {
+      const batch = result.result;
+      res.json({
+        success: true,
+        batch_id: batch.id,
+        source_type: batch.source_type,
+        source_url: batch.source_url,
+        status: batch.status,
+        error_message: batch.error_message,
+        total: batch.total,
+        status_counts: batch.status_counts,
+        overall_ai_probability: batch.overall_ai_probability,
+        analyses: batch.analyses,
+        created_at: batch.created_at,
+      });
+    } else if (result.error === "Batch not found") {
+      res.status(404).json({
+        success: false,
+        error: "Batch not found",
+        message: "The requested batch ID does not exist",
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error,
+      });
+    }
+  } catch (error) {
+    logger.error("Error in batch endpoint:", error);
+
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Something went wrong",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const { apiKeyService, requireAdmin } = require("../middleware/auth");
+
+// Optional non-negative number from a request body
+function optionalNumber(value) {
+  if (value === undefined || value === null) {
+    return { value: null };
+  }
+  const number = Number(value);
+  return isNaN(number) || number < 0 ? { invalid: true } : { value: number };
+}
+
+// GET /api/keys/me - The calling key with its rate limit and today's usage
+router.get("/me", async (req, res) => {
+  try {
+    if (!req.apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: "Authentication is disabled",
+      });
+    }
+
+    res.json({
+      success: true,
+      api_key: {
+        id: req.apiKey.id,
+        name: req.apiKey.name,
+        is_admin: Boolean(req.apiKey.is_admin),
+      },
+      rate_limit: {
+        max_requests:
+          req.apiKey.rate_limit_max_requests ||
+          apiKeyService.rateLimitMaxRequests,
+        window_ms: apiKeyService.rateLimitWindowMs,
+      },
+      quota: await apiKeyService.getQuota(req.apiKey),
+    });
+  } catch (error) {
+    logger.error("Error getting API key:", error);
+
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+// POST /api/keys - Create an API key (admin only)
+router.post("/", requireAdmin, async (req, res) => {
+  try {
+    const { name, is_admin } = req.body;
+
+    if (!name || typeof name !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "Key name is required",
+      });
+    }
+
+    const rateLimit = optionalNumber(req.body.rate_limit_max_requests);
+    const quota = optionalNumber(req.body.daily_audio_minutes);
+    if (rateLimit.invalid || quota.invalid) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "rate_limit_max_requests and daily_audio_minutes must be non-negative numbers",
+      });
+    }
+
+    const result = await apiKeyService.createKey({
+      name,
+      isAdmin: is_admin === true || is_admin === "true",
+      rateLimitMaxRequests: rateLimit.value,
+      dailyAudioMinutes: quota.value,
+    });
+
+    if (result.success) {
+      res.status(201).json({
+        success: true,
+        message: "Store this key now, it cannot be retrieved again",
+        key: result.key,
+        api_key: result.api_key,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error,
+      });
+    }
+  } catch (error) {
+    logger.error("Error in create key endpoint:", error);
+
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+// GET /api/keys - List API keys (admin only)
+router.get("/", requireAdmin, async (req, res) => {
+  try {
+    const result = await apiKeyService.listKeys();
+
+    if (result.success) {
+      res.json({
+        success: true,
+        api_keys: result.api_keys,
+        total: result.api_keys.length,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error,
+      });
+    }
+  } catch (error) {
+    logger.error("Error listing API keys:", error);
+
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+// DELETE /api/keys/:id - Revoke an API key (admin only)
+router.delete("/:id", requireAdmin, async (req, res) => {
+  try {
+    const result = await apiKeyService.revokeKey(req.params.id);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        message: "API key revoked",
+      });
+    } else if (result.error === "API key not found") {
+      res.status(404).json({
+        success: false,
+        error: result.error,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error,
+      });
+    }
+  } catch (error) {
+    logger.error("Error revoking API key:", error);
+
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
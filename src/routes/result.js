@@ -2,6 +2,11 @@ const express = require("express");
 const router = express.Router();
 const logger = require("../utils/logger");
 const AnalysisService = require("../services/analysisService");
+const progressTracker = require("../utils/progressTracker");
+const { VERSIONS, formatAnalysisResult } = require("../utils/resultFormatter");
+const transcriptFormatter = require("../utils/transcriptFormatter");
+const { parseListFilters } = require("../utils/listFilters");
+const { ownerScope } = require("../middleware/auth");
 
 // Initialize analysis service
 const analysisService = new AnalysisService();
@@ -21,53 +26,22 @@ router.get("/:id", async (req, res) => {
       });
     }
 
+    // ?version=2 opts into the full transcription and detection summary
+    const version =
+      req.query.version !== undefined ? Number(req.query.version) : undefined;
+    if (version !== undefined && !VERSIONS.includes(version)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid version, expected one of: ${VERSIONS.join(", ")}`,
+      });
+    }
+
     logger.info(`Fetching analysis result for ID: ${id}`);
 
-    const result = await analysisService.getAnalysisResult(id);
+    const result = await analysisService.getAnalysisResult(id, ownerScope(req));
 
     if (result.success) {
-      // Check if analysis is still processing
-      if (
-        result.result.status === "pending" ||
-        result.result.status === "processing"
-      ) {
-        return res.json({
-          success: true,
-          analysis_id: id,
-          status: result.result.status,
-          message: "Analysis is still in progress",
-          created_at: result.result.created_at,
-          updated_at: result.result.updated_at,
-        });
-      }
-
-      // Check if analysis failed
-      if (result.result.status === "failed") {
-        return res.json({
-          success: true,
-          analysis_id: id,
-          status: result.result.status,
-          error_message: result.result.error_message,
-          processing_time: result.result.processing_time,
-          created_at: result.result.created_at,
-          updated_at: result.result.updated_at,
-        });
-      }
-
-      // Analysis completed successfully
-      res.json({
-        success: true,
-        analysis_id: id,
-        status: result.result.status,
-        youtube_url: result.result.youtube_url,
-        screenshot_path: result.result.screenshot_path,
-        audio_path: result.result.audio_path,
-        transcription: result.result.transcription,
-        ai_probabilities: result.result.ai_probabilities,
-        processing_time: result.result.processing_time,
-        created_at: result.result.created_at,
-        updated_at: result.result.updated_at,
-      });
+      res.json(formatAnalysisResult(result.result, { version }));
     } else {
       if (result.error === "Analysis not found") {
         res.status(404).json({
@@ -96,16 +70,331 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+// DELETE /api/result/:id - Delete an analysis and all of its files
+router.delete("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ID format (UUID)
+    const uuidPattern =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidPattern.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid analysis ID format",
+      });
+    }
+
+    const result = await analysisService.deleteAnalysis(id, ownerScope(req));
+
+    if (!result.success) {
+      let status = 500;
+      if (result.error === "Analysis not found") {
+        status = 404;
+      } else if (result.status) {
+        status = 409;
+      }
+      return res.status(status).json({
+        success: false,
+        error: result.error,
+        status: result.status,
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error("Error in delete endpoint:", error);
+
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+// GET /api/result/:id/events - Stream analysis progress as Server-Sent Events
+router.get("/:id/events", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ID format (UUID)
+    const uuidPattern =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidPattern.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid analysis ID format",
+      });
+    }
+
+    const status = await analysisService.getAnalysisStatus(id, ownerScope(req));
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: "Analysis not found",
+      });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    let lastStatus = status;
+    const send = (event) => {
+      res.write(`event: ${event.type}\n`);
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Send the current state first so the client doesn't miss anything
+    send({
+      type: "status",
+      analysis_id: id,
+      status: lastStatus,
+      timestamp: new Date().toISOString(),
+    });
+    const latest = progressTracker.getLatest(id);
+    if (latest && latest.type !== "status") {
+      send(latest);
+    }
+
+    if (progressTracker.isTerminal(lastStatus)) {
+      return res.end();
+    }
+
+    let closed = false;
+    const close = () => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearInterval(statusPoll);
+      res.end();
+    };
+
+    const unsubscribe = progressTracker.subscribe(id, (event) => {
+      if (event.type === "status") {
+        lastStatus = event.status;
+      }
+      send(event);
+      if (event.type === "status" && progressTracker.isTerminal(event.status)) {
+        close();
+      }
+    });
+
+    // Keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15000);
+
+    // Status changes made by a worker in another process don't reach the
+    // in-process tracker, so also watch the database
+    const statusPoll = setInterval(async () => {
+      try {
+        const status = await analysisService.getAnalysisStatus(
+          id,
+          ownerScope(req)
+        );
+        // The client may have gone away while the query ran
+        if (closed) {
+          return;
+        }
+        if (!status) {
+          // Deleted while being watched
+          close();
+        } else if (status !== lastStatus) {
+          lastStatus = status;
+          send({
+            type: "status",
+            analysis_id: id,
+            status,
+            timestamp: new Date().toISOString(),
+          });
+          if (progressTracker.isTerminal(status)) {
+            close();
+          }
+        }
+      } catch (error) {
+        logger.warn(`Error polling status of analysis ${id}:`, error);
+      }
+    }, 5000);
+
+    req.on("close", () => {
+      closed = true;
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearInterval(statusPoll);
+    });
+  } catch (error) {
+    logger.error("Error in events endpoint:", error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+// GET /api/result/:id/transcript - Export the transcript as SRT, WebVTT,
+// plain text or JSON cues
+router.get("/:id/transcript", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = (req.query.format || "srt").toLowerCase();
+    const annotate = ["true", "1"].includes(String(req.query.annotate));
+
+    // Validate ID format (UUID)
+    const uuidPattern =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidPattern.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid analysis ID format",
+      });
+    }
+
+    if (!transcriptFormatter.FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown transcript format: ${format}`,
+        supported_formats: Object.keys(transcriptFormatter.FORMATS),
+      });
+    }
+
+    const result = await analysisService.getAnalysisResult(id, ownerScope(req));
+
+    if (!result.success) {
+      const notFound = result.error === "Analysis not found";
+      return res.status(notFound ? 404 : 500).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    if (result.result.status !== "completed") {
+      return res.status(409).json({
+        success: false,
+        error: "Analysis is not completed",
+        status: result.result.status,
+      });
+    }
+
+    if (!result.result.transcription) {
+      return res.status(404).json({
+        success: false,
+        error: "Analysis has no transcription",
+      });
+    }
+
+    res.set({
+      "Content-Type": transcriptFormatter.FORMATS[format],
+      "Content-Disposition": `attachment; filename="${id}.${format}"`,
+    });
+    res.send(
+      transcriptFormatter.renderTranscript(result.result, format, { annotate })
+    );
+  } catch (error) {
+    logger.error("Error in transcript endpoint:", error);
+
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+// GET /api/result/:id/report - Shareable HTML or PDF report
+router.get("/:id/report", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = (req.query.format || "html").toLowerCase();
+
+    // Validate ID format (UUID)
+    const uuidPattern =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidPattern.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid analysis ID format",
+      });
+    }
+
+    if (!["html", "pdf"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown report format: ${format}`,
+        supported_formats: ["html", "pdf"],
+      });
+    }
+
+    const report = await analysisService.generateReport(
+      id,
+      format,
+      ownerScope(req)
+    );
+
+    if (!report.success) {
+      let status = 500;
+      if (report.error === "Analysis not found") {
+        status = 404;
+      } else if (report.status) {
+        status = 409;
+      }
+      return res.status(status).json({
+        success: false,
+        error: report.error,
+        status: report.status,
+      });
+    }
+
+    res.set({
+      "Content-Type": report.contentType,
+      "Content-Disposition": `${
+        format === "pdf" ? "attachment" : "inline"
+      }; filename="analysis-${id}.${format}"`,
+    });
+    res.send(report.content);
+  } catch (error) {
+    logger.error("Error in report endpoint:", error);
+
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
 // GET /api/result - Get all results (alternative to /api/analyze)
 router.get("/", async (req, res) => {
   try {
-    const result = await analysisService.getAllAnalyses();
+    const { filters, error } = parseListFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const result = await analysisService.getAllAnalyses({
+      ...filters,
+      apiKeyId: ownerScope(req),
+    });
 
     if (result.success) {
       res.json({
         success: true,
         analyses: result.analyses,
-        total: result.analyses.length,
+        total: result.total,
+        has_more: result.has_more,
+        next_cursor: result.next_cursor,
       });
     } else {
       res.status(500).json({
@@ -0,0 +1,66 @@
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const AnalysisService = require("../services/analysisService");
+const { ownerScope } = require("../middleware/auth");
+
+// Initialize analysis service
+const analysisService = new AnalysisService();
+
+// GET /api/search?q= - Find analyses whose transcripts mention the query
+router.get("/", async (req, res) => {
+  try {
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: "Search query (q) is required",
+      });
+    }
+
+    let limit = 20;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid limit, expected an integer from 1 to 100",
+        });
+      }
+    }
+
+    const result = await analysisService.searchTranscripts(query, {
+      limit,
+      ownerId: ownerScope(req),
+    });
+
+    if (result.success) {
+      res.json({
+        success: true,
+        query,
+        results: result.results,
+        total: result.results.length,
+      });
+    } else if (result.error === "Search query has no searchable terms") {
+      res.status(400).json({
+        success: false,
+        error: result.error,
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error,
+      });
+    }
+  } catch (error) {
+    logger.error("Error in search endpoint:", error);
+
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
+module.exports = router;
@@ -6,12 +6,22 @@ require("dotenv").config();
 
 const logger = require("./utils/logger");
 const { initializeDatabase } = require("./models/database");
+const { startWorker } = require("./worker");
 const analysisRoutes = require("./routes/analysis");
 const resultRoutes = require("./routes/result");
+const batchRoutes = require("./routes/batch");
+const searchRoutes = require("./routes/search");
+const keyRoutes = require("./routes/keys");
+const { apiKeyService, requireApiKey } = require("./middleware/auth");
+const { getDefaultDetectorName } = require("./services/detectors");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Number of reverse proxies in front of the server, so req.ip (used for
+// rate limiting without authentication) is the client's address
+app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || 0);
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
@@ -24,9 +34,15 @@ app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 app.use("/", express.static(path.join(__dirname, "../public")));
 app.use("/screenshots", express.static(path.join(__dirname, "../screenshots")));
 
+// Every API route needs an API key when AUTH_ENABLED=true
+app.use("/api", requireApiKey);
+
 // Routes
 app.use("/api/analyze", analysisRoutes);
 app.use("/api/result", resultRoutes);
+app.use("/api/batch", batchRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/keys", keyRoutes);
 
 // Web form route (after static files to avoid conflicts)
 app.get("/", (req, res) => {
@@ -62,9 +78,31 @@ app.use("*", (req, res) => {
 // Initialize database and start server
 async function startServer() {
   try {
+    const authError = apiKeyService.configurationError();
+    if (authError) {
+      throw new Error(authError);
+    }
+
+    if (getDefaultDetectorName() === "heuristic") {
+      logger.warn(
+        "AI_DETECTOR=heuristic: segments are scored by the offline heuristic detector, which is much less accurate than GPTZero"
+      );
+    }
+
+    if (!process.env.WEBHOOK_SECRET) {
+      logger.warn(
+        "WEBHOOK_SECRET not set - requests with a callback_url will be rejected"
+      );
+    }
+
     await initializeDatabase();
     logger.info("Database initialized successfully");
 
+    // Run the background job worker in-process unless it runs separately
+    if (process.env.WORKER_ENABLED !== "false") {
+      await startWorker();
+    }
+
     app.listen(PORT, "0.0.0.0", () => {
       logger.info(`Server running on port ${PORT}`);
       logger.info(`Web interface available at http://localhost:${PORT}`);
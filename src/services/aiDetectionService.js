@@ -0,0 +1,176 @@
+const logger = require("../utils/logger");
+const { sleep } = require("../utils/rateLimiter");
+
+// Runs an AI-text detector (see detectors.js) over each transcription
+// segment; aiAggregation.js turns the results into the overall score.
+// Segments are scored by a bounded pool of workers, throttled by the
+// detector's rate limiter, and transient failures are retried with
+// exponential backoff.
+class AIDetectionService {
+  constructor(detector) {
+    this.detector = detector;
+    this.maxRetries =
+      process.env.AI_DETECTION_MAX_RETRIES !== undefined
+        ? parseInt(process.env.AI_DETECTION_MAX_RETRIES)
+        : 3;
+    this.retryDelayMs =
+      parseInt(process.env.AI_DETECTION_RETRY_DELAY_MS) || 1000;
+  }
+
+  // Score a single segment, retrying rate limits and transient errors
+  async scoreSegment(segment) {
+    if (!segment.text || segment.text.trim().length === 0) {
+      // Empty segment, add without AI detection
+      return {
+        ...segment,
+        ai_detection: {
+          ai_probability: 0,
+          prediction: "empty",
+          confidence: 0,
+        },
+      };
+    }
+
+    const limiter = this.detector.limiter;
+
+    for (let attempt = 0; ; attempt++) {
+      if (limiter) {
+        await limiter.take();
+      }
+
+      const aiResult = await this.detector.detectAIProbability(
+        segment.text.trim()
+      );
+
+      if (aiResult.success) {
+        return {
+          ...segment,
+          ai_detection: {
+            detector: this.detector.name,
+            ai_probability: aiResult.aiProbability,
+            prediction: aiResult.prediction,
+            confidence: aiResult.confidence,
+            metadata: aiResult.metadata,
+          },
+        };
+      }
+
+      if (!aiResult.retryable || attempt >= this.maxRetries) {
+        return {
+          ...segment,
+          ai_detection: {
+            detector: this.detector.name,
+            error: aiResult.error,
+            details: aiResult.details,
+          },
+        };
+      }
+
+      let delay = this.retryDelayMs * 2 ** attempt;
+      if (
+        aiResult.retryAfterMs !== null &&
+        aiResult.retryAfterMs !== undefined
+      ) {
+        delay = aiResult.retryAfterMs;
+        // Retry-After applies to the whole API key, so hold back every worker
+        if (limiter) {
+          limiter.pauseUntil(Date.now() + delay);
+        }
+      }
+
+      logger.warn(
+        `AI detection failed (${
+          aiResult.error
+        }), retrying in ${delay}ms (attempt ${attempt + 1}/${this.maxRetries})`
+      );
+      await sleep(delay);
+    }
+  }
+
+  async processTranscriptionSegments(transcription, onProgress = null) {
+    try {
+      logger.info(
+        `Processing transcription segments for AI detection with ${this.detector.name}`
+      );
+
+      if (
+        !transcription ||
+        !transcription.segments ||
+        !Array.isArray(transcription.segments)
+      ) {
+        throw new Error("Invalid transcription format");
+      }
+
+      const segments = transcription.segments;
+      const totalSegments = segments.length;
+      // Results are stored by index so they keep the transcript's order
+      const results = new Array(totalSegments);
+      let nextIndex = 0;
+      let processedCount = 0;
+
+      const worker = async () => {
+        while (nextIndex < totalSegments) {
+          const index = nextIndex++;
+
+          try {
+            results[index] = await this.scoreSegment(segments[index]);
+          } catch (segmentError) {
+            logger.error(
+              `Error processing segment ${index + 1}:`,
+              segmentError
+            );
+
+            // Add error information to the segment
+            results[index] = {
+              ...segments[index],
+              ai_detection: {
+                error: segmentError.message,
+                ai_probability: 0,
+                prediction: "error",
+                confidence: 0,
+              },
+            };
+          }
+
+          processedCount++;
+          logger.info(`Processed segment ${processedCount}/${totalSegments}`);
+          if (onProgress) {
+            onProgress({
+              current: processedCount,
+              total: totalSegments,
+              percent: (processedCount / totalSegments) * 100,
+            });
+          }
+        }
+      };
+
+      const workerCount = Math.max(
+        1,
+        Math.min(this.detector.concurrency || 1, totalSegments)
+      );
+      await Promise.all(Array.from({ length: workerCount }, worker));
+
+      logger.info(
+        `AI detection completed for ${processedCount}/${totalSegments} segments`
+      );
+
+      return {
+        success: true,
+        detector: this.detector.name,
+        segments: results,
+        processed_segments: processedCount,
+        total_segments: totalSegments,
+      };
+    } catch (error) {
+      logger.error("Error processing transcription segments:", error);
+      return {
+        success: false,
+        detector: this.detector.name,
+        error: error.message,
+        segments: transcription.segments || [],
+      };
+    }
+  }
+}
+
+module.exports = AIDetectionService;
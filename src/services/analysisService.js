@@ -1,177 +1,856 @@
+const fs = require("fs");
+const path = require("path");
 const { v4: uuidv4 } = require("uuid");
 const logger = require("../utils/logger");
 const YouTubeService = require("./youtubeService");
 const AudioService = require("./audioService");
-const ElevenLabsService = require("./elevenLabsService");
-const GPTZeroService = require("./gptZeroService");
+const transcriptionProviders = require("./transcriptionProviders");
+const AIDetectionService = require("./aiDetectionService");
+const detectors = require("./detectors");
 const DemoService = require("./demoService");
+const stageModes = require("./stageModes");
+const SegmentationService = require("./segmentationService");
+const ApiKeyService = require("./apiKeyService");
+const StorageService = require("./storageService");
 const { dbOperations } = require("../models/database");
+const { toFtsQuery } = require("../models/transcriptSearch");
+const progressTracker = require("../utils/progressTracker");
+const { renderReport } = require("../utils/reportRenderer");
+const { encodeCursor } = require("../utils/listFilters");
+const { isRetryableError } = require("../utils/retryableErrors");
+const {
+  getDefaultMethod,
+  summarizeDetection,
+} = require("../utils/aiAggregation");
+
+// video_metadata row as returned by the API
+function formatVideoMetadata(row) {
+  return {
+    title: row.title,
+    channel: row.channel,
+    channel_id: row.channel_id,
+    duration_seconds: row.duration_seconds,
+    publish_date: row.publish_date,
+    view_count: row.view_count,
+    description: row.description,
+    tags: row.tags ? JSON.parse(row.tags) : [],
+    thumbnails: row.thumbnails ? JSON.parse(row.thumbnails) : [],
+    updated_at: row.updated_at,
+  };
+}
+
+// Completed and failed analyses have no job that could still write to them
+function isFinished(status) {
+  return status === "completed" || status === "failed";
+}
+
+// Every file an analysis produced, from its row and its checkpoints
+function analysisFiles(analysis, checkpoints) {
+  return [
+    analysis.screenshot_path,
+    analysis.audio_path,
+    analysis.source_path,
+    ...Object.values(checkpoints).flatMap((data) => [
+      data.screenshotPath,
+      data.audioPath,
+      data.wavPath,
+    ]),
+  ].filter(Boolean);
+}
 
 class AnalysisService {
   constructor() {
     this.youtubeService = new YouTubeService();
     this.audioService = new AudioService();
-    this.elevenLabsService = new ElevenLabsService();
-    this.gptZeroService = new GPTZeroService();
+    this.providerInstances = {};
+    this.detectorInstances = {};
     this.demoService = new DemoService();
+    this.segmentationService = new SegmentationService();
+    this.apiKeyService = new ApiKeyService();
+    this.storageService = new StorageService();
+
+    // Days a completed analysis is reused for repeat submissions (0 = never)
+    this.cacheMaxAgeDays =
+      process.env.CACHE_MAX_AGE_DAYS !== undefined
+        ? parseFloat(process.env.CACHE_MAX_AGE_DAYS)
+        : 7;
+
+    this.defaultTranscriptionProvider =
+      transcriptionProviders.getDefaultProviderName();
+    this.defaultDetector = detectors.getDefaultDetectorName();
+    this.defaultAggregation = getDefaultMethod();
+
+    // Provider prices, only used to estimate costs in usage stats
+    this.costRates = {
+      transcriptionPerMinute:
+        parseFloat(process.env.TRANSCRIPTION_COST_PER_MINUTE) || 0,
+      detectionPerRequest:
+        parseFloat(process.env.DETECTION_COST_PER_REQUEST) || 0,
+    };
+
+    // Fail fast on invalid *_MODE settings. Each analysis resolves the
+    // modes again for its own provider and detector.
+    const modes = this.resolveStageModes();
+    logger.info(`Pipeline stage modes: ${JSON.stringify(modes)}`);
+  }
+
+  // Provider instances are created on first use and then reused
+  getTranscriptionProvider(name = this.defaultTranscriptionProvider) {
+    if (!this.providerInstances[name]) {
+      this.providerInstances[name] =
+        transcriptionProviders.createProvider(name);
+    }
+    return this.providerInstances[name];
+  }
 
-    // Check if we're in demo mode (no API keys)
-    this.isDemoMode =
-      !process.env.ELEVENLABS_API_KEY || !process.env.GPTZERO_API_KEY;
-    if (this.isDemoMode) {
-      logger.info("🚀 Running in DEMO MODE - using simulated data");
+  getDetector(name = this.defaultDetector) {
+    if (!this.detectorInstances[name]) {
+      this.detectorInstances[name] = detectors.createDetector(name);
     }
+    return this.detectorInstances[name];
   }
 
-  async startAnalysis(youtubeUrl) {
+  // Decide which stages run for real, stubbed or not at all
+  resolveStageModes(pipelineOptions = {}) {
+    return stageModes.resolveStageModes({
+      transcription: this.getTranscriptionProvider(
+        pipelineOptions.transcription_provider
+      ).isConfigured(),
+      ai_detection: this.getDetector(pipelineOptions.detector).isConfigured(),
+    });
+  }
+
+  // Per-request pipeline options (e.g. transcription_provider) are stored
+  // with the analysis so the worker applies them
+  buildPipelineOptions(options) {
+    const pipelineOptions = {};
+    if (options.transcriptionProvider) {
+      pipelineOptions.transcription_provider = options.transcriptionProvider;
+    }
+    if (options.detector) {
+      pipelineOptions.detector = options.detector;
+    }
+    if (options.segmentation) {
+      pipelineOptions.segmentation = options.segmentation;
+    }
+    if (options.aggregation) {
+      pipelineOptions.aggregation = options.aggregation;
+    }
+    return Object.keys(pipelineOptions).length > 0 ? pipelineOptions : null;
+  }
+
+  // Classify a YouTube URL as "video", "playlist" or "channel" (null if it
+  // is none of them)
+  classifyUrl(youtubeUrl) {
+    const collectionType = this.youtubeService.getCollectionType(youtubeUrl);
+    if (collectionType) {
+      return collectionType;
+    }
+    return this.youtubeService.getVideoId(youtubeUrl) ? "video" : null;
+  }
+
+  // Create the analysis record and queue it for the background worker.
+  // A recent or in-progress analysis of the same video is reused instead
+  // unless options.force is set.
+  async startAnalysis(youtubeUrl, options = {}) {
     const analysisId = uuidv4();
-    const startTime = Date.now();
 
     try {
-      logger.info(`Starting analysis for YouTube URL: ${youtubeUrl}`);
+      const videoId = this.youtubeService.getVideoId(youtubeUrl);
+
+      if (videoId && !options.force) {
+        const cached = await this.findCachedAnalysis(videoId, options);
+        if (cached) {
+          if (options.batchId) {
+            await dbOperations.addAnalysisToBatch(options.batchId, cached.id);
+          }
+
+          logger.info(`Reusing analysis ${cached.id} for video ${videoId}`);
+
+          return {
+            success: true,
+            analysis_id: cached.id,
+            status: cached.status,
+            video_id: videoId,
+            cached: true,
+          };
+        }
+      }
+
+      logger.info(`Queueing analysis for YouTube URL: ${youtubeUrl}`);
       logger.info(`Analysis ID: ${analysisId}`);
 
-      // Insert analysis job into database
-      await dbOperations.insertAnalysis(analysisId, youtubeUrl);
-      await dbOperations.updateStatus(analysisId, "processing");
+      await dbOperations.insertAnalysis(analysisId, youtubeUrl, {
+        callbackUrl: options.callbackUrl,
+        videoId,
+        pipelineOptions: this.buildPipelineOptions(options),
+        apiKeyId: options.apiKeyId,
+      });
+      if (options.batchId) {
+        await dbOperations.addAnalysisToBatch(options.batchId, analysisId);
+      }
+      await dbOperations.enqueueJob("analysis", { analysisId });
 
-      // Check if we're in demo mode
-      if (this.isDemoMode) {
-        logger.info(
-          "🚀 Running in DEMO MODE - simulating full analysis pipeline"
-        );
+      return {
+        success: true,
+        analysis_id: analysisId,
+        status: "pending",
+        video_id: videoId,
+        cached: false,
+      };
+    } catch (error) {
+      logger.error(`Failed to queue analysis ${analysisId}:`, error);
+      return {
+        success: false,
+        analysis_id: analysisId,
+        error: error.message,
+      };
+    }
+  }
 
-        // Simulate the entire analysis process
-        const demoResult = await this.demoService.simulateAnalysis(
-          youtubeUrl,
-          analysisId
-        );
+  // Look up a reusable analysis of a video according to the cache policy
+  async findCachedAnalysis(videoId, options = {}) {
+    if (this.cacheMaxAgeDays <= 0) {
+      return null;
+    }
+
+    const cached = await dbOperations.findReusableAnalysis(
+      videoId,
+      this.cacheMaxAgeDays,
+      options.apiKeyId || null
+    );
+    if (!cached) {
+      return null;
+    }
+
+    if (options.callbackUrl) {
+      // A completed analysis can be delivered right away. An in-progress one
+      // already has its own callback, so run a fresh analysis instead.
+      if (cached.status !== "completed") {
+        return null;
+      }
+      await this.queueWebhook(cached.id, "completed", options.callbackUrl);
+    }
+
+    return cached;
+  }
+
+  // Queue one analysis per unique URL, grouped under a batch record
+  async startBatch(youtubeUrls, options = {}) {
+    const batchId = uuidv4();
 
-        if (!demoResult.success) {
-          throw new Error(`Demo analysis failed: ${demoResult.error}`);
+    try {
+      // Deduplicate by video ID so different URL forms of the same video
+      // are only analyzed once
+      const seen = new Set();
+      const uniqueUrls = youtubeUrls.filter((url) => {
+        const key = this.youtubeService.getVideoId(url) || url.trim();
+        if (seen.has(key)) {
+          return false;
         }
+        seen.add(key);
+        return true;
+      });
+
+      logger.info(
+        `Creating batch ${batchId} with ${uniqueUrls.length} analyses (${
+          youtubeUrls.length - uniqueUrls.length
+        } duplicates removed)`
+      );
+
+      await dbOperations.insertBatch(batchId, {
+        sourceType: options.sourceType || "list",
+        sourceUrl: options.sourceUrl,
+        total: uniqueUrls.length,
+        apiKeyId: options.apiKeyId,
+      });
 
-        // Update database with demo result
-        const processingTime = Date.now() - startTime;
-        await dbOperations.updateStatus(analysisId, "completed", {
-          screenshotPath: demoResult.screenshot_path,
-          audioPath: demoResult.audio_path,
-          transcription: JSON.stringify(demoResult.transcription),
-          aiProbabilities: JSON.stringify(demoResult.ai_probabilities),
-          processingTime: processingTime,
+      const analyses = [];
+      for (const url of uniqueUrls) {
+        const result = await this.startAnalysis(url, {
+          callbackUrl: options.callbackUrl,
+          force: options.force,
+          transcriptionProvider: options.transcriptionProvider,
+          detector: options.detector,
+          segmentation: options.segmentation,
+          aggregation: options.aggregation,
+          apiKeyId: options.apiKeyId,
+          batchId,
         });
+        if (!result.success) {
+          throw new Error(`Failed to queue ${url}: ${result.error}`);
+        }
+        analyses.push({
+          analysis_id: result.analysis_id,
+          youtube_url: url,
+          cached: result.cached,
+        });
+      }
+
+      return {
+        success: true,
+        batch_id: batchId,
+        total: uniqueUrls.length,
+        duplicates_removed: youtubeUrls.length - uniqueUrls.length,
+        analyses,
+      };
+    } catch (error) {
+      logger.error(`Failed to create batch ${batchId}:`, error);
+      return {
+        success: false,
+        batch_id: batchId,
+        error: error.message,
+      };
+    }
+  }
+
+  // Create a batch for a playlist or channel and queue its expansion
+  async startCollection(collectionUrl, collectionType, options = {}) {
+    const batchId = uuidv4();
+
+    try {
+      logger.info(`Queueing ${collectionType} expansion for: ${collectionUrl}`);
+
+      await dbOperations.insertBatch(batchId, {
+        sourceType: collectionType,
+        sourceUrl: collectionUrl,
+        status: "expanding",
+        apiKeyId: options.apiKeyId,
+      });
+      await dbOperations.enqueueJob("expand_collection", {
+        payload: {
+          batchId,
+          maxVideos: options.maxVideos,
+          publishedAfter: options.publishedAfter,
+          publishedBefore: options.publishedBefore,
+          callbackUrl: options.callbackUrl,
+          force: options.force,
+          transcriptionProvider: options.transcriptionProvider,
+          detector: options.detector,
+          segmentation: options.segmentation,
+          aggregation: options.aggregation,
+        },
+      });
+
+      return {
+        success: true,
+        batch_id: batchId,
+        status: "expanding",
+      };
+    } catch (error) {
+      logger.error(`Failed to queue ${collectionType} expansion:`, error);
+      return {
+        success: false,
+        batch_id: batchId,
+        error: error.message,
+      };
+    }
+  }
+
+  // Expand a playlist/channel batch into one analysis per video (called by
+  // the worker). Safe to re-run: videos already in the batch are skipped.
+  async expandCollection(batchId, options = {}) {
+    const batch = await dbOperations.getBatchById(batchId);
+    if (!batch) {
+      throw new Error(`Batch not found: ${batchId}`);
+    }
+
+    const expansion = await this.youtubeService.expandCollection(
+      batch.source_url,
+      options
+    );
+    if (!expansion.success) {
+      throw new Error(`Expansion failed: ${expansion.error}`);
+    }
+
+    const existing = await dbOperations.getBatchAnalyses(batchId);
+    const queued = new Set(existing.map((analysis) => analysis.video_id));
+
+    for (const video of expansion.videos) {
+      if (queued.has(video.video_id)) {
+        continue;
+      }
+      queued.add(video.video_id);
+
+      const result = await this.startAnalysis(video.youtube_url, {
+        callbackUrl: options.callbackUrl,
+        force: options.force,
+        transcriptionProvider: options.transcriptionProvider,
+        detector: options.detector,
+        segmentation: options.segmentation,
+        aggregation: options.aggregation,
+        apiKeyId: batch.api_key_id,
+        batchId,
+      });
+      if (!result.success) {
+        throw new Error(
+          `Failed to queue ${video.youtube_url}: ${result.error}`
+        );
+      }
+    }
+
+    await dbOperations.updateBatch(batchId, {
+      status: "expanded",
+      total: queued.size,
+    });
+
+    logger.info(`Batch ${batchId} expanded into ${queued.size} analyses`);
+  }
 
-        logger.info("🎉 DEMO analysis completed successfully!");
+  async markBatchFailed(batchId, reason) {
+    await dbOperations.updateBatch(batchId, {
+      status: "failed",
+      errorMessage: reason,
+    });
+  }
+
+  // Aggregate status and AI probability across a batch's analyses. With
+  // ownerId, batches created by other API keys are reported as not found.
+  async getBatchResult(batchId, ownerId = null) {
+    try {
+      const batch = await dbOperations.getBatchById(batchId);
 
+      if (!batch || (ownerId && batch.api_key_id !== ownerId)) {
         return {
-          success: true,
-          analysis_id: analysisId,
-          result: {
-            id: analysisId,
-            youtube_url: youtubeUrl,
-            status: "completed",
-            screenshot_path: demoResult.screenshot_path,
-            audio_path: demoResult.audio_path,
-            transcription: demoResult.transcription,
-            ai_probabilities: demoResult.ai_probabilities,
-            processing_time: processingTime,
-            created_at: new Date().toISOString(),
-            metadata: {
-              demo_mode: true,
-              note: "This is a demo result with simulated data",
-            },
-          },
+          success: false,
+          error: "Batch not found",
         };
       }
 
-      // REAL MODE - Use actual services
-      logger.info("🔧 Running in REAL MODE - using actual API services");
+      const analyses = await dbOperations.getBatchAnalyses(batchId);
 
-      // Step 1: Process YouTube video (screenshot + audio download)
-      logger.info("Step 1: Processing YouTube video...");
-      const videoResult = await this.youtubeService.processVideo(
-        youtubeUrl,
-        analysisId
-      );
+      const statusCounts = {};
+      const probabilities = [];
+      const children = analyses.map((analysis) => {
+        statusCounts[analysis.status] =
+          (statusCounts[analysis.status] || 0) + 1;
 
-      if (!videoResult.success) {
-        throw new Error(`Video processing failed: ${videoResult.error}`);
-      }
+        let overallAIProbability = null;
+        try {
+          if (analysis.ai_probabilities) {
+            overallAIProbability = JSON.parse(
+              analysis.ai_probabilities
+            ).overall_ai_probability;
+          }
+        } catch (parseError) {
+          logger.warn("Error parsing JSON fields:", parseError);
+        }
 
-      await dbOperations.updateStatus(analysisId, "video_processed", {
-        screenshotPath: videoResult.screenshotPath,
+        if (analysis.status === "completed" && overallAIProbability !== null) {
+          probabilities.push(overallAIProbability);
+        }
+
+        return {
+          analysis_id: analysis.id,
+          youtube_url: analysis.youtube_url,
+          video_id: analysis.video_id,
+          status: analysis.status,
+          overall_ai_probability: overallAIProbability,
+          error_message: analysis.error_message,
+          link: `/api/result/${analysis.id}`,
+        };
       });
 
-      // Step 2: Convert audio to WAV format
-      logger.info("Step 2: Converting audio to WAV format...");
-      const audioResult = await this.audioService.processAudio(
-        videoResult.audioPath,
-        analysisId
-      );
+      const finished =
+        (statusCounts.completed || 0) + (statusCounts.failed || 0);
 
-      if (!audioResult.success) {
-        throw new Error(`Audio conversion failed: ${audioResult.error}`);
+      // Playlist/channel batches report their expansion state until the
+      // child analyses exist
+      let status = finished === analyses.length ? "completed" : "processing";
+      if (batch.status === "expanding" || batch.status === "failed") {
+        status = batch.status;
       }
 
-      await dbOperations.updateStatus(analysisId, "audio_converted", {
-        audioPath: audioResult.wavPath,
+      return {
+        success: true,
+        result: {
+          id: batch.id,
+          source_type: batch.source_type,
+          source_url: batch.source_url,
+          status,
+          error_message: batch.error_message,
+          total: analyses.length,
+          status_counts: statusCounts,
+          overall_ai_probability: {
+            mean:
+              probabilities.length > 0
+                ? probabilities.reduce((sum, p) => sum + p, 0) /
+                  probabilities.length
+                : null,
+            min: probabilities.length > 0 ? Math.min(...probabilities) : null,
+            max: probabilities.length > 0 ? Math.max(...probabilities) : null,
+            scored_analyses: probabilities.length,
+          },
+          analyses: children,
+          created_at: batch.created_at,
+        },
+      };
+    } catch (error) {
+      logger.error("Error getting batch result:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Create an analysis for an uploaded media file and queue it
+  async startUploadAnalysis(file, options = {}) {
+    const analysisId = uuidv4();
+
+    try {
+      logger.info(`Queueing analysis for uploaded file: ${file.originalname}`);
+      logger.info(`Analysis ID: ${analysisId}`);
+
+      await dbOperations.insertAnalysis(analysisId, "", {
+        callbackUrl: options.callbackUrl,
+        sourceType: "upload",
+        sourcePath: file.path,
+        originalFilename: file.originalname,
+        pipelineOptions: this.buildPipelineOptions(options),
+        apiKeyId: options.apiKeyId,
       });
+      await dbOperations.enqueueJob("analysis", { analysisId });
+
+      return {
+        success: true,
+        analysis_id: analysisId,
+        status: "pending",
+      };
+    } catch (error) {
+      logger.error(`Failed to queue upload analysis ${analysisId}:`, error);
+      await this.audioService.cleanupTempFiles([file.path]);
+      return {
+        success: false,
+        analysis_id: analysisId,
+        error: error.message,
+      };
+    }
+  }
+
+  // Run the full analysis pipeline for a queued analysis (called by the worker)
+  async runAnalysis(analysisId) {
+    const analysis = await dbOperations.getAnalysisById(analysisId);
+    if (!analysis) {
+      throw new Error(`Analysis not found: ${analysisId}`);
+    }
+
+    // Process the canonical watch URL, whatever form was submitted
+    const youtubeUrl = analysis.video_id
+      ? this.youtubeService.getCanonicalUrl(analysis.video_id)
+      : analysis.youtube_url;
+    const isUpload = analysis.source_type === "upload";
+    const pipelineOptions = analysis.pipeline_options
+      ? JSON.parse(analysis.pipeline_options)
+      : {};
+    const startTime = Date.now();
 
-      // Step 3: Transcribe audio with ElevenLabs Scribe
-      logger.info("Step 3: Transcribing audio with ElevenLabs Scribe...");
-      const transcriptionResult = await this.elevenLabsService.transcribeAudio(
-        audioResult.wavPath,
-        analysisId
+    try {
+      logger.info(
+        isUpload
+          ? `Starting analysis for uploaded file: ${analysis.original_filename}`
+          : `Starting analysis for YouTube URL: ${youtubeUrl}`
       );
+      logger.info(`Analysis ID: ${analysisId}`);
+
+      await this.updateStatus(analysisId, "processing");
+
+      const modes = this.resolveStageModes(pipelineOptions);
+      logger.info(`Stage modes: ${JSON.stringify(modes)}`);
 
-      if (!transcriptionResult.success) {
-        throw new Error(`Transcription failed: ${transcriptionResult.error}`);
+      // Each stage's output is checkpointed, so a retry resumes from the
+      // last successful stage instead of downloading the video again
+      const checkpoints = await dbOperations.getCheckpoints(analysisId);
+      const completedStages = Object.keys(checkpoints);
+      if (completedStages.length > 0) {
+        logger.info(`Resuming analysis from checkpoints: ${completedStages}`);
       }
 
-      await dbOperations.updateStatus(analysisId, "transcribed");
+      const stages = {};
+      const checkpointed = (stage, fn, getFiles = () => []) => {
+        if (!stages[stage]) {
+          stages[stage] = this.runStage(
+            analysisId,
+            checkpoints,
+            stage,
+            modes[stage],
+            fn,
+            getFiles
+          );
+        }
+        return stages[stage];
+      };
+
+      // Step 1: Capture screenshot of the YouTube page
+      const screenshot = () =>
+        checkpointed(
+          "screenshot",
+          async () => {
+            if (modes.screenshot === "stub") {
+              const screenshotPath =
+                await this.demoService.createDemoScreenshot(analysisId);
+              return { screenshotPath };
+            }
+
+            if (isUpload) {
+              logger.info("Step 1: Extracting thumbnail from upload...");
+              const screenshotPath = await this.audioService.extractThumbnail(
+                analysis.source_path,
+                analysisId
+              );
+              return { screenshotPath };
+            }
 
-      // Step 4: Process each sentence through GPTZero for AI detection
-      logger.info("Step 4: Processing AI detection with GPTZero...");
-      const aiDetectionResult =
-        await this.gptZeroService.processTranscriptionSegments(
-          transcriptionResult.transcription
+            logger.info("Step 1: Capturing YouTube screenshot...");
+            const screenshotPath = await this.youtubeService.captureScreenshot(
+              youtubeUrl,
+              analysisId
+            );
+            return { screenshotPath };
+          },
+          (data) => (data.screenshotPath ? [data.screenshotPath] : [])
         );
 
-      if (!aiDetectionResult.success) {
-        logger.warn(`AI detection had some issues: ${aiDetectionResult.error}`);
-      }
+      // Step 2: Download audio track
+      const download = () =>
+        checkpointed(
+          "audio_download",
+          async () => {
+            if (modes.audio_download === "stub") {
+              const audioPath = await this.demoService.createDemoAudio(
+                analysisId
+              );
+              await this.updateStatus(analysisId, "video_processed");
+              return { audioPath };
+            }
+
+            // Uploaded files go straight to conversion
+            if (isUpload) {
+              await this.updateStatus(analysisId, "video_processed");
+              return { audioPath: analysis.source_path };
+            }
+
+            logger.info("Step 2: Downloading YouTube audio...");
+            const info = await this.youtubeService.getVideoInfo(youtubeUrl);
+            await this.saveVideoMetadata(info);
+            const audioPath = await this.youtubeService.downloadAudio(
+              youtubeUrl,
+              analysisId,
+              this.progressReporter(analysisId, "audio_download"),
+              info
+            );
+            await this.updateStatus(analysisId, "video_processed");
+            return { audioPath };
+          },
+          (data) => [data.audioPath]
+        );
+
+      // Step 3: Convert audio to WAV format
+      const conversion = () =>
+        checkpointed(
+          "audio_conversion",
+          async () => {
+            if (modes.audio_conversion === "stub") {
+              const wavPath = await this.demoService.createDemoAudio(
+                analysisId
+              );
+              await this.updateStatus(analysisId, "audio_converted", {
+                audioPath: wavPath,
+              });
+              return { wavPath };
+            }
+
+            const { audioPath } = await download();
+            logger.info("Step 3: Converting audio to WAV format...");
+            const audioResult = await this.audioService.processAudio(
+              audioPath,
+              analysisId,
+              this.progressReporter(analysisId, "audio_conversion")
+            );
+
+            if (!audioResult.success) {
+              throw new Error(`Audio conversion failed: ${audioResult.error}`);
+            }
+
+            await this.updateStatus(analysisId, "audio_converted", {
+              audioPath: audioResult.wavPath,
+            });
+
+            return {
+              wavPath: audioResult.wavPath,
+              originalInfo: audioResult.originalInfo,
+              wavInfo: audioResult.wavInfo,
+            };
+          },
+          (data) => [data.wavPath]
+        );
+
+      // Step 4: Transcribe audio with the selected provider
+      const transcription = () =>
+        checkpointed("transcription", async () => {
+          if (modes.transcription === "stub") {
+            await this.updateStatus(analysisId, "transcribed");
+            return {
+              provider: "demo",
+              transcription: this.demoService.getDemoData().transcription,
+            };
+          }
+
+          const { wavPath, wavInfo } = await conversion();
+
+          // Analyses queued before the key ran out of quota would
+          // otherwise still be transcribed
+          if (await this.apiKeyService.isQuotaExceeded(analysis.api_key_id)) {
+            throw new Error("Daily audio quota exceeded");
+          }
 
-      // Step 5: Prepare final result
+          const provider = this.getTranscriptionProvider(
+            pipelineOptions.transcription_provider
+          );
+          logger.info(`Step 4: Transcribing audio with ${provider.name}...`);
+          const transcriptionResult = await provider.transcribeAudio(
+            wavPath,
+            analysisId
+          );
+
+          if (!transcriptionResult.success) {
+            const error = new Error(
+              `Transcription failed: ${transcriptionResult.error}`
+            );
+            error.retryable = Boolean(transcriptionResult.retryable);
+            throw error;
+          }
+
+          const transcriptionMetadata =
+            transcriptionResult.transcription.metadata || {};
+          await this.apiKeyService.recordAudioUsage(
+            analysis.api_key_id,
+            parseFloat(
+              transcriptionMetadata.duration || (wavInfo && wavInfo.duration)
+            )
+          );
+
+          await this.updateStatus(analysisId, "transcribed");
+
+          return {
+            provider: provider.name,
+            transcription: transcriptionResult.transcription,
+            rawResponse: transcriptionResult.rawResponse,
+          };
+        });
+
+      // Step 5: Regroup the transcript into chunks and run each through
+      // the selected AI detector
+      const segmentation =
+        pipelineOptions.segmentation ||
+        this.segmentationService.defaultStrategy;
+      const aiDetection = () =>
+        checkpointed("ai_detection", async () => {
+          const transcriptionResult = await transcription();
+          const chunks = {
+            ...transcriptionResult.transcription,
+            segments: this.segmentationService.segment(
+              transcriptionResult.transcription,
+              segmentation
+            ),
+          };
+
+          if (modes.ai_detection === "stub") {
+            return this.demoService.simulateDetection(chunks);
+          }
+
+          const detector = this.getDetector(pipelineOptions.detector);
+          logger.info(
+            `Step 5: Processing AI detection with ${detector.name}...`
+          );
+          const aiDetectionResult = await new AIDetectionService(
+            detector
+          ).processTranscriptionSegments(
+            chunks,
+            this.progressReporter(analysisId, "ai_detection")
+          );
+
+          if (!aiDetectionResult.success) {
+            // Don't checkpoint a partial result; a retry should redo it
+            logger.warn(
+              `AI detection had some issues: ${aiDetectionResult.error}`
+            );
+          }
+
+          return aiDetectionResult;
+        });
+
+      // Stages only run when a later stage needs their output, so e.g. a
+      // valid transcription checkpoint skips download and conversion
+      const screenshotResult = await screenshot();
+      await this.updateStatus(analysisId, "processing", {
+        screenshotPath: screenshotResult.screenshotPath,
+      });
+
+      const aiDetectionResult = await aiDetection();
+      const transcriptionResult = await transcription();
+      // A stubbed or disabled transcription doesn't need the audio, so
+      // don't download and convert it just for its metadata. A stubbed
+      // conversion is cheap and still gives demo runs an audio file.
+      const needsAudio =
+        modes.transcription === "real" || modes.audio_conversion === "stub";
+      const audioResult = stages.audio_conversion
+        ? await stages.audio_conversion
+        : checkpoints.audio_conversion ||
+          (needsAudio ? await conversion() : {});
+
+      // Step 6: Prepare final result. The scored chunks are kept in
+      // ai_probabilities, next to the transcription's own segments.
       const processingTime = Date.now() - startTime;
+      const transcriptionData = transcriptionResult.transcription || null;
       const finalResult = {
         id: analysisId,
-        youtube_url: youtubeUrl,
+        youtube_url: analysis.youtube_url,
+        video_id: analysis.video_id,
         status: "completed",
-        screenshot_path: videoResult.screenshotPath,
+        screenshot_path: screenshotResult.screenshotPath,
         audio_path: audioResult.wavPath,
-        transcription:
-          aiDetectionResult.segments || transcriptionResult.transcription,
-        ai_probabilities: {
-          overall_ai_probability: aiDetectionResult.overall_ai_probability || 0,
-          processed_segments: aiDetectionResult.processed_segments || 0,
-          total_segments: aiDetectionResult.total_segments || 0,
-        },
+        transcription: transcriptionData,
+        ai_probabilities:
+          modes.ai_detection === "disabled"
+            ? null
+            : summarizeDetection(
+                aiDetectionResult,
+                pipelineOptions.aggregation || this.defaultAggregation
+              ),
         processing_time: processingTime,
         created_at: new Date().toISOString(),
         metadata: {
+          stage_modes: modes,
+          segmentation: modes.ai_detection === "disabled" ? null : segmentation,
           original_audio_info: audioResult.originalInfo,
           wav_audio_info: audioResult.wavInfo,
-          transcription_metadata: transcriptionResult.transcription.metadata,
+          transcription_provider: transcriptionResult.provider,
+          transcription_metadata:
+            transcriptionData && transcriptionData.metadata,
+          resumed_from_checkpoints: completedStages,
         },
       };
 
       // Update database with final result
-      await dbOperations.updateStatus(analysisId, "completed", {
-        transcription: JSON.stringify(finalResult.transcription),
-        aiProbabilities: JSON.stringify(finalResult.ai_probabilities),
+      await this.updateStatus(analysisId, "completed", {
+        transcription: finalResult.transcription,
+        aiProbabilities: finalResult.ai_probabilities,
+        metadata: finalResult.metadata,
         processingTime: processingTime,
       });
 
+      // The raw download (or upload) is only needed to resume conversion
+      const savedCheckpoints = await dbOperations.getCheckpoints(analysisId);
+      if (
+        savedCheckpoints.audio_download &&
+        savedCheckpoints.audio_download.mode === "real"
+      ) {
+        await this.audioService.cleanupTempFiles([
+          savedCheckpoints.audio_download.audioPath,
+        ]);
+      }
+
       logger.info(`Analysis completed successfully in ${processingTime}ms`);
 
       return {
@@ -180,42 +859,244 @@ class AnalysisService {
         result: finalResult,
       };
     } catch (error) {
-      const processingTime = Date.now() - startTime;
-      logger.error(`Analysis failed for ${analysisId}:`, error);
+      // The job queue retries transient failures (rate limits, network
+      // errors) from the last checkpoint; anything else fails the job right
+      // away. The analysis is marked failed once no attempts are left (see
+      // the worker's onExhausted handler).
+      error.retryable = isRetryableError(error);
+      logger.error(
+        `Analysis failed for ${analysisId}${
+          error.retryable ? " (will be retried)" : ""
+        }:`,
+        error
+      );
+      throw error;
+    }
+  }
 
-      // Update database with error status
-      await dbOperations.updateStatus(analysisId, "failed", {
-        errorMessage: error.message,
-        processingTime: processingTime,
+  // Run a pipeline stage, or reuse its checkpoint if the stage already
+  // succeeded in the same mode and the files it produced are still on disk
+  async runStage(analysisId, checkpoints, stage, mode, fn, getFiles) {
+    if (mode === "disabled") {
+      progressTracker.report(analysisId, {
+        type: "stage",
+        stage,
+        state: "disabled",
       });
+      return { mode };
+    }
+
+    // Checkpoints from before stage modes existed are from real runs
+    const checkpoint = checkpoints[stage];
+    if (checkpoint && (checkpoint.mode || "real") === mode) {
+      const missingFiles = getFiles(checkpoint).filter(
+        (filePath) => !filePath || !fs.existsSync(filePath)
+      );
+      if (missingFiles.length === 0) {
+        logger.info(`Reusing checkpoint for stage: ${stage}`);
+        progressTracker.report(analysisId, {
+          type: "stage",
+          stage,
+          state: "skipped",
+        });
+        return checkpoint;
+      }
+      logger.info(`Checkpoint for stage ${stage} is stale, re-running`);
+    }
+
+    progressTracker.report(analysisId, {
+      type: "stage",
+      stage,
+      state: "started",
+    });
+    const data = { ...(await fn()), mode };
+    if (data.success !== false) {
+      await dbOperations.saveCheckpoint(analysisId, stage, data);
+    }
+    progressTracker.report(analysisId, {
+      type: "stage",
+      stage,
+      state: "completed",
+    });
+    return data;
+  }
+
+  // Persist a status change and broadcast it to progress subscribers
+  async updateStatus(analysisId, status, additionalData = {}) {
+    await dbOperations.updateStatus(analysisId, status, additionalData);
+    progressTracker.report(analysisId, {
+      type: "status",
+      status,
+      error_message: additionalData.errorMessage,
+    });
+
+    if (progressTracker.isTerminal(status)) {
+      await this.queueWebhook(analysisId, status);
+    }
+  }
+
+  // Queue a webhook callback to the given URL, or to the one the analysis
+  // was submitted with
+  async queueWebhook(analysisId, status, callbackUrl = null) {
+    try {
+      if (!callbackUrl) {
+        const analysis = await dbOperations.getAnalysisById(analysisId);
+        callbackUrl = analysis && analysis.callback_url;
+      }
+      if (!callbackUrl) {
+        return;
+      }
+
+      await dbOperations.enqueueJob("webhook", {
+        analysisId,
+        payload: {
+          callbackUrl,
+          event: `analysis.${status}`,
+        },
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+      });
+    } catch (error) {
+      logger.error(`Failed to queue webhook for ${analysisId}:`, error);
+    }
+  }
+
+  // Build an onProgress callback that relays a stage's progress events
+  progressReporter(analysisId, stage) {
+    return (progress) => {
+      progressTracker.report(analysisId, {
+        type: "progress",
+        stage,
+        ...progress,
+      });
+    };
+  }
+
+  // Re-queue a failed analysis; it resumes from its last checkpoint
+  async retryAnalysis(analysisId, ownerId = null) {
+    try {
+      const analysis = await dbOperations.getAnalysisById(analysisId);
+
+      if (!analysis || (ownerId && analysis.api_key_id !== ownerId)) {
+        return {
+          success: false,
+          error: "Analysis not found",
+        };
+      }
+
+      if (analysis.status !== "failed") {
+        return {
+          success: false,
+          error: `Only failed analyses can be retried (status: ${analysis.status})`,
+        };
+      }
+
+      const checkpoints = await dbOperations.getCheckpoints(analysisId);
+
+      await dbOperations.resetAnalysis(analysisId);
+      progressTracker.report(analysisId, { type: "status", status: "pending" });
+      await dbOperations.enqueueJob("analysis", { analysisId });
+
+      logger.info(`Analysis ${analysisId} queued for retry`);
 
       return {
-        success: false,
+        success: true,
         analysis_id: analysisId,
+        status: "pending",
+        completed_stages: Object.keys(checkpoints),
+      };
+    } catch (error) {
+      logger.error("Error retrying analysis:", error);
+      return {
+        success: false,
         error: error.message,
-        processing_time: processingTime,
       };
-    } finally {
-      // Cleanup temporary files
-      try {
-        if (this.isDemoMode) {
-          // Demo mode - no cleanup needed
-          return;
-        }
-        if (videoResult && videoResult.audioPath) {
-          await this.audioService.cleanupTempFiles([videoResult.audioPath]);
-        }
-      } catch (cleanupError) {
-        logger.warn("Error during cleanup:", cleanupError);
+    }
+  }
+
+  // Run an analysis again from scratch, discarding its checkpoints and
+  // results. Unlike retryAnalysis this works for completed analyses too.
+  async rerunAnalysis(analysisId, ownerId = null) {
+    try {
+      const analysis = await dbOperations.getAnalysisById(analysisId);
+
+      if (!analysis || (ownerId && analysis.api_key_id !== ownerId)) {
+        return {
+          success: false,
+          error: "Analysis not found",
+        };
+      }
+
+      if (!isFinished(analysis.status)) {
+        return {
+          success: false,
+          error: `Analysis is still in progress (status: ${analysis.status})`,
+          status: analysis.status,
+        };
       }
+
+      if (
+        analysis.source_type === "upload" &&
+        !(analysis.source_path && fs.existsSync(analysis.source_path))
+      ) {
+        return {
+          success: false,
+          error: "The uploaded file is no longer available",
+        };
+      }
+
+      // Files of the previous run, except the upload being re-analyzed
+      const checkpoints = await dbOperations.getCheckpoints(analysisId);
+      const files = analysisFiles(analysis, checkpoints).filter(
+        (file) => file !== analysis.source_path
+      );
+
+      await dbOperations.clearCheckpoints(analysisId);
+      await dbOperations.resetAnalysis(analysisId, { clearResults: true });
+      this.storageService.removeFiles(files);
+      progressTracker.report(analysisId, { type: "status", status: "pending" });
+      await dbOperations.enqueueJob("analysis", { analysisId });
+
+      logger.info(`Analysis ${analysisId} queued to run again`);
+
+      return {
+        success: true,
+        analysis_id: analysisId,
+        status: "pending",
+      };
+    } catch (error) {
+      logger.error("Error re-running analysis:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
     }
   }
 
-  async getAnalysisResult(analysisId) {
+  // Mark an analysis as failed when its job gave up: a permanent error, the
+  // last retry failing, or repeated crashes
+  async markAbandoned(analysisId, reason) {
+    await this.updateStatus(analysisId, "failed", {
+      errorMessage: reason,
+    });
+  }
+
+  // Current status of an analysis, or null if it doesn't exist (or belongs
+  // to another key). Cheap enough to poll.
+  async getAnalysisStatus(analysisId, ownerId = null) {
+    const row = await dbOperations.getAnalysisStatus(analysisId);
+    if (!row || (ownerId && row.api_key_id !== ownerId)) {
+      return null;
+    }
+    return row.status;
+  }
+
+  // With ownerId, analyses created by other API keys are reported as not
+  // found
+  async getAnalysisResult(analysisId, ownerId = null) {
     try {
       const result = await dbOperations.getAnalysisById(analysisId);
 
-      if (!result) {
+      if (!result || (ownerId && result.api_key_id !== ownerId)) {
         return {
           success: false,
           error: "Analysis not found",
@@ -225,28 +1106,47 @@ class AnalysisService {
       // Parse JSON fields
       let transcription = null;
       let aiProbabilities = null;
+      let metadata = null;
 
       try {
         if (result.transcription) {
-          transcription = JSON.parse(result.transcription);
+          transcription = await dbOperations.getTranscription(
+            result.id,
+            JSON.parse(result.transcription)
+          );
         }
         if (result.ai_probabilities) {
-          aiProbabilities = JSON.parse(result.ai_probabilities);
+          aiProbabilities = await dbOperations.getDetection(
+            result.id,
+            JSON.parse(result.ai_probabilities)
+          );
+        }
+        if (result.metadata) {
+          metadata = JSON.parse(result.metadata);
         }
       } catch (parseError) {
         logger.warn("Error parsing JSON fields:", parseError);
       }
 
+      const video = result.video_id
+        ? await dbOperations.getVideoMetadata(result.video_id)
+        : null;
+
       return {
         success: true,
         result: {
           id: result.id,
           youtube_url: result.youtube_url,
+          video_id: result.video_id,
+          video: video && formatVideoMetadata(video),
+          source_type: result.source_type,
+          original_filename: result.original_filename,
           status: result.status,
           screenshot_path: result.screenshot_path,
           audio_path: result.audio_path,
           transcription: transcription,
           ai_probabilities: aiProbabilities,
+          metadata: metadata,
           error_message: result.error_message,
           processing_time: result.processing_time,
           created_at: result.created_at,
@@ -262,20 +1162,133 @@ class AnalysisService {
     }
   }
 
-  async getAllAnalyses() {
+  // Store the video's YouTube metadata. It's informational, so failing to
+  // save it doesn't fail the analysis.
+  async saveVideoMetadata(info) {
+    try {
+      await dbOperations.upsertVideoMetadata(
+        this.youtubeService.extractVideoMetadata(info)
+      );
+    } catch (error) {
+      logger.warn("Failed to save video metadata:", error);
+    }
+  }
+
+  // Screenshot as a data URI so the report doesn't depend on this server
+  readScreenshotDataUri(screenshotPath) {
+    if (!screenshotPath) {
+      return null;
+    }
+
+    const candidates = [
+      screenshotPath,
+      path.join(__dirname, "../..", screenshotPath),
+    ];
+    const file = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!file) {
+      logger.warn(`Screenshot not found for report: ${screenshotPath}`);
+      return null;
+    }
+
+    const mimeType = /\.jpe?g$/i.test(file) ? "image/jpeg" : "image/png";
+    return `data:${mimeType};base64,${fs
+      .readFileSync(file)
+      .toString("base64")}`;
+  }
+
+  // Build the shareable report for a completed analysis as "html" or "pdf"
+  async generateReport(analysisId, format = "html", ownerId = null) {
     try {
-      const analyses = await dbOperations.getAllAnalyses();
+      const result = await this.getAnalysisResult(analysisId, ownerId);
+      if (!result.success) {
+        return result;
+      }
+
+      if (result.result.status !== "completed") {
+        return {
+          success: false,
+          error: "Analysis is not completed",
+          status: result.result.status,
+        };
+      }
+
+      const html = renderReport(result.result, {
+        screenshotDataUri: this.readScreenshotDataUri(
+          result.result.screenshot_path
+        ),
+      });
+
+      if (format === "pdf") {
+        return {
+          success: true,
+          contentType: "application/pdf",
+          content: await this.youtubeService.renderPdf(html),
+        };
+      }
+
+      return {
+        success: true,
+        contentType: "text/html; charset=utf-8",
+        content: html,
+      };
+    } catch (error) {
+      logger.error("Error generating report:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // One page of the analyses listing. filters come from
+  // utils/listFilters.js; the response carries a cursor for the next page.
+  async getAllAnalyses(filters = {}) {
+    try {
+      const limit = filters.limit || 50;
+      // One extra row tells us whether there is a next page
+      const [rows, total] = await Promise.all([
+        dbOperations.getAllAnalyses({ ...filters, limit: limit + 1 }),
+        dbOperations.countAnalyses(filters),
+      ]);
+      const hasMore = rows.length > limit;
+      const analyses = rows.slice(0, limit);
+      const last = analyses[analyses.length - 1];
 
       return {
         success: true,
         analyses: analyses.map((analysis) => ({
           id: analysis.id,
           youtube_url: analysis.youtube_url,
+          video_id: analysis.video_id,
+          source_type: analysis.source_type,
+          original_filename: analysis.original_filename,
           status: analysis.status,
+          overall_ai_probability: analysis.overall_ai_probability,
+          error_message: analysis.error_message,
+          video: analysis.video_title
+            ? {
+                title: analysis.video_title,
+                channel: analysis.video_channel,
+                channel_id: analysis.video_channel_id,
+                duration_seconds: analysis.video_duration_seconds,
+                publish_date: analysis.video_publish_date,
+              }
+            : null,
           created_at: analysis.created_at,
           updated_at: analysis.updated_at,
           processing_time: analysis.processing_time,
         })),
+        total,
+        has_more: hasMore,
+        next_cursor:
+          hasMore && last
+            ? encodeCursor({
+                sort: filters.sort || "created_at",
+                order: filters.order || "desc",
+                value: last.sort_value,
+                id: last.id,
+              })
+            : null,
       };
     } catch (error) {
       logger.error("Error getting all analyses:", error);
@@ -286,6 +1299,247 @@ class AnalysisService {
     }
   }
 
+  // Analyses whose transcripts match a search, best match first, with up
+  // to matchesPerAnalysis matching segments each
+  async searchTranscripts(query, options = {}) {
+    try {
+      const limit = options.limit || 20;
+      const matchesPerAnalysis = options.matchesPerAnalysis || 3;
+      const ftsQuery = toFtsQuery(query);
+      if (!ftsQuery) {
+        return {
+          success: false,
+          error: "Search query has no searchable terms",
+        };
+      }
+
+      // Scan enough segments to fill the page even when the best matches
+      // are concentrated in a few analyses
+      const rows = await dbOperations.searchTranscripts(
+        ftsQuery,
+        Math.max(500, limit * matchesPerAnalysis * 10),
+        options.ownerId
+      );
+
+      const results = [];
+      const byAnalysis = {};
+      for (const row of rows) {
+        let result = byAnalysis[row.analysis_id];
+        if (!result) {
+          if (results.length >= limit) {
+            continue;
+          }
+          result = byAnalysis[row.analysis_id] = {
+            analysis_id: row.analysis_id,
+            youtube_url: row.youtube_url,
+            video_id: row.video_id,
+            source_type: row.source_type,
+            original_filename: row.original_filename,
+            title: row.video_title,
+            channel: row.video_channel,
+            status: row.status,
+            overall_ai_probability: row.overall_ai_probability,
+            created_at: row.created_at,
+            matches: [],
+          };
+          results.push(result);
+        }
+
+        if (result.matches.length < matchesPerAnalysis) {
+          const start = Math.floor(row.start_time);
+          result.matches.push({
+            segment_index: row.segment_index,
+            start: row.start_time,
+            end: row.end_time,
+            speaker: row.speaker,
+            text: row.text,
+            // Deep link to the moment in the video
+            url: row.video_id
+              ? `${this.youtubeService.getCanonicalUrl(
+                  row.video_id
+                )}&t=${start}s`
+              : null,
+          });
+        }
+      }
+
+      return {
+        success: true,
+        results,
+      };
+    } catch (error) {
+      logger.error("Error searching transcripts:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Delete an analysis and every file it produced. Queued and running
+  // analyses can't be deleted, since their job would write new files.
+  async deleteAnalysis(analysisId, ownerId = null) {
+    try {
+      const analysis = await dbOperations.getAnalysisById(analysisId);
+
+      if (!analysis || (ownerId && analysis.api_key_id !== ownerId)) {
+        return {
+          success: false,
+          error: "Analysis not found",
+        };
+      }
+
+      if (!isFinished(analysis.status)) {
+        return {
+          success: false,
+          error: `Analysis is still in progress (status: ${analysis.status})`,
+          status: analysis.status,
+        };
+      }
+
+      const checkpoints = await dbOperations.getCheckpoints(analysisId);
+      await dbOperations.deleteAnalysis(analysisId);
+      const removed = this.storageService.removeFiles(
+        analysisFiles(analysis, checkpoints)
+      );
+
+      logger.info(
+        `Deleted analysis ${analysisId} and ${removed.files} files (${removed.bytes} bytes)`
+      );
+
+      return {
+        success: true,
+        analysis_id: analysisId,
+        deleted_files: removed.files,
+        freed_bytes: removed.bytes,
+      };
+    } catch (error) {
+      logger.error("Error deleting analysis:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Analyses per status, and the audio transcribed and segments scored by
+  // each provider and detector, with costs estimated from
+  // TRANSCRIPTION_COST_PER_MINUTE and DETECTION_COST_PER_REQUEST. Only
+  // stages that really called a paid API are billable; stub runs, local
+  // whisper and the heuristic detector cost nothing.
+  async getUsageStats() {
+    try {
+      const [byStatus, rows] = await Promise.all([
+        dbOperations.getStatusCounts(),
+        dbOperations.getCompletedAnalysesUsage(),
+      ]);
+
+      const byProvider = {};
+      const byDetector = {};
+      let processingTime = 0;
+
+      for (const row of rows) {
+        let metadata = {};
+        let aiProbabilities = null;
+        try {
+          metadata = row.metadata ? JSON.parse(row.metadata) : {};
+          aiProbabilities = row.ai_probabilities
+            ? JSON.parse(row.ai_probabilities)
+            : null;
+        } catch (parseError) {
+          logger.warn(`Error parsing usage of analysis ${row.id}`);
+        }
+        const modes = metadata.stage_modes || {};
+        processingTime += row.processing_time || 0;
+
+        const provider = metadata.transcription_provider || "unknown";
+        const transcriptionMetadata = metadata.transcription_metadata || {};
+        const wavInfo = metadata.wav_audio_info || {};
+        const audioMinutes =
+          (parseFloat(transcriptionMetadata.duration || wavInfo.duration) ||
+            0) / 60;
+        byProvider[provider] = byProvider[provider] || {
+          analyses: 0,
+          audio_minutes: 0,
+          billable_minutes: 0,
+        };
+        byProvider[provider].analyses++;
+        byProvider[provider].audio_minutes += audioMinutes;
+        if (
+          modes.transcription === "real" &&
+          transcriptionProviders.isPaidProvider(provider)
+        ) {
+          byProvider[provider].billable_minutes += audioMinutes;
+        }
+
+        if (aiProbabilities) {
+          const detector = aiProbabilities.detector || "unknown";
+          const requests =
+            aiProbabilities.processed_segments ||
+            aiProbabilities.scored_segments ||
+            0;
+          byDetector[detector] = byDetector[detector] || {
+            analyses: 0,
+            requests: 0,
+            billable_requests: 0,
+          };
+          byDetector[detector].analyses++;
+          byDetector[detector].requests += requests;
+          if (
+            modes.ai_detection === "real" &&
+            detectors.isPaidDetector(detector)
+          ) {
+            byDetector[detector].billable_requests += requests;
+          }
+        }
+      }
+
+      const round = (value) => Math.round(value * 100) / 100;
+      const sum = (groups, field) =>
+        Object.values(groups).reduce((total, group) => total + group[field], 0);
+      Object.values(byProvider).forEach((group) => {
+        group.audio_minutes = round(group.audio_minutes);
+        group.billable_minutes = round(group.billable_minutes);
+      });
+
+      const transcriptionCost =
+        sum(byProvider, "billable_minutes") *
+        this.costRates.transcriptionPerMinute;
+      const detectionCost =
+        sum(byDetector, "billable_requests") *
+        this.costRates.detectionPerRequest;
+
+      return {
+        success: true,
+        analyses: {
+          total: Object.values(byStatus).reduce((a, b) => a + b, 0),
+          by_status: byStatus,
+          average_processing_time_ms:
+            rows.length > 0 ? Math.round(processingTime / rows.length) : null,
+        },
+        transcription: {
+          audio_minutes: round(sum(byProvider, "audio_minutes")),
+          by_provider: byProvider,
+        },
+        detection: {
+          requests: sum(byDetector, "requests"),
+          by_detector: byDetector,
+        },
+        estimated_cost: {
+          transcription: round(transcriptionCost),
+          detection: round(detectionCost),
+          total: round(transcriptionCost + detectionCost),
+        },
+      };
+    } catch (error) {
+      logger.error("Error getting usage stats:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   async cleanup() {
     try {
       await this.youtubeService.close();
@@ -0,0 +1,292 @@
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const logger = require("../utils/logger");
+const { dbOperations } = require("../models/database");
+
+const KEY_PREFIX = "sfk_";
+
+// Example values that must never be used as real secrets
+const PLACEHOLDER_SECRETS = ["changeme", "change_me", "secret", "admin"];
+
+function isPlaceholder(value) {
+  const normalized = value.trim().toLowerCase();
+  return (
+    PLACEHOLDER_SECRETS.includes(normalized) ||
+    /^your_.*_here$/.test(normalized)
+  );
+}
+
+// Client API keys, per-key request rate limits and daily audio quotas.
+//
+// Keys are random tokens shown once when created; the database only keeps
+// an HMAC-SHA256 of each key under SESSION_SECRET, so a leaked database
+// can't be used to call the API. ADMIN_API_KEY, when set, is an extra key
+// from the environment that can manage keys and see every analysis.
+// Authentication is off unless AUTH_ENABLED=true; requests are then rate
+// limited per IP address instead of per key.
+class ApiKeyService {
+  constructor() {
+    this.secret = process.env.SESSION_SECRET;
+    this.adminKey = process.env.ADMIN_API_KEY || null;
+    this.enabled = process.env.AUTH_ENABLED === "true";
+
+    this.rateLimitWindowMs =
+      parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000;
+    this.rateLimitMaxRequests =
+      parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
+    // 0 = unlimited
+    this.dailyAudioMinutes =
+      process.env.DAILY_AUDIO_MINUTES_QUOTA !== undefined
+        ? parseFloat(process.env.DAILY_AUDIO_MINUTES_QUOTA)
+        : 120;
+
+    // Fixed-window request counters per key, or per client IP address
+    // while authentication is off, kept in memory
+    this.windows = new Map();
+    this.nextPruneAt = 0;
+  }
+
+  // Why the server can't start with the current settings, or null
+  configurationError() {
+    if (this.adminKey && isPlaceholder(this.adminKey)) {
+      return "ADMIN_API_KEY is set to a placeholder value, choose a random key";
+    }
+    if (!this.enabled) {
+      return null;
+    }
+    if (!this.secret) {
+      return "SESSION_SECRET must be set to authenticate API keys (or set AUTH_ENABLED=false)";
+    }
+    if (isPlaceholder(this.secret)) {
+      return "SESSION_SECRET is set to a placeholder value, choose a random secret";
+    }
+    return null;
+  }
+
+  hashKey(key) {
+    if (!this.secret) {
+      throw new Error("SESSION_SECRET must be set to use API keys");
+    }
+    return crypto.createHmac("sha256", this.secret).update(key).digest("hex");
+  }
+
+  // API key record without its hash, as returned by the API
+  formatKey(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      key_prefix: row.key_prefix,
+      is_admin: Boolean(row.is_admin),
+      rate_limit_max_requests: row.rate_limit_max_requests,
+      daily_audio_minutes: row.daily_audio_minutes,
+      created_at: row.created_at,
+      last_used_at: row.last_used_at,
+      revoked_at: row.revoked_at,
+    };
+  }
+
+  // Create a key. The plaintext key is only ever returned here.
+  async createKey(options = {}) {
+    try {
+      if (!options.name) {
+        throw new Error("API key name is required");
+      }
+
+      const id = uuidv4();
+      const key = `${KEY_PREFIX}${crypto
+        .randomBytes(24)
+        .toString("base64url")}`;
+
+      await dbOperations.insertApiKey({
+        id,
+        name: options.name,
+        keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+        keyHash: this.hashKey(key),
+        isAdmin: options.isAdmin,
+        rateLimitMaxRequests: options.rateLimitMaxRequests,
+        dailyAudioMinutes: options.dailyAudioMinutes,
+      });
+      logger.info(`Created API key ${id} (${options.name})`);
+
+      return {
+        success: true,
+        key,
+        api_key: this.formatKey(await dbOperations.getApiKeyById(id)),
+      };
+    } catch (error) {
+      logger.error("Error creating API key:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async listKeys() {
+    try {
+      const rows = await dbOperations.getAllApiKeys();
+      return {
+        success: true,
+        api_keys: rows.map((row) => this.formatKey(row)),
+      };
+    } catch (error) {
+      logger.error("Error listing API keys:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async revokeKey(id) {
+    try {
+      const changes = await dbOperations.revokeApiKey(id);
+      if (changes === 0) {
+        return {
+          success: false,
+          error: "API key not found",
+        };
+      }
+      logger.info(`Revoked API key ${id}`);
+      return { success: true };
+    } catch (error) {
+      logger.error("Error revoking API key:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Resolve a presented key to its record, or null if it isn't valid
+  async authenticate(key) {
+    if (!key) {
+      return null;
+    }
+
+    if (this.adminKey && safeEqual(key, this.adminKey)) {
+      return {
+        id: "admin",
+        name: "ADMIN_API_KEY",
+        is_admin: 1,
+        rate_limit_max_requests: null,
+        daily_audio_minutes: 0,
+      };
+    }
+
+    if (!key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const row = await dbOperations.getApiKeyByHash(this.hashKey(key));
+    if (row) {
+      dbOperations
+        .touchApiKey(row.id)
+        .catch((error) => logger.warn("Failed to update key usage:", error));
+    }
+    return row;
+  }
+
+  // Count a request against the key's rate limit window
+  checkRateLimit(apiKey) {
+    return this.countRequest(
+      `key:${apiKey.id}`,
+      apiKey.rate_limit_max_requests || this.rateLimitMaxRequests
+    );
+  }
+
+  // Without authentication there are no keys, so clients are limited by IP
+  checkIpRateLimit(ip) {
+    return this.countRequest(`ip:${ip}`, this.rateLimitMaxRequests);
+  }
+
+  countRequest(id, limit) {
+    const now = Date.now();
+    this.pruneWindows(now);
+
+    let window = this.windows.get(id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.rateLimitWindowMs };
+      this.windows.set(id, window);
+    }
+    window.count++;
+
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetAt: window.resetAt,
+    };
+  }
+
+  // Drop expired windows, at most once per window length, so clients that
+  // stop calling don't keep a counter forever
+  pruneWindows(now) {
+    if (now < this.nextPruneAt) {
+      return;
+    }
+    for (const [id, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(id);
+      }
+    }
+    this.nextPruneAt = now + this.rateLimitWindowMs;
+  }
+
+  quotaMinutes(apiKey) {
+    return apiKey.daily_audio_minutes !== null &&
+      apiKey.daily_audio_minutes !== undefined
+      ? apiKey.daily_audio_minutes
+      : this.dailyAudioMinutes;
+  }
+
+  // Today's usage of a key against its daily audio quota
+  async getQuota(apiKey) {
+    const usage = await dbOperations.getApiKeyUsage(apiKey.id, today());
+    const quotaMinutes = this.quotaMinutes(apiKey);
+    const usedMinutes = usage.audio_seconds / 60;
+
+    return {
+      day: today(),
+      used_minutes: Math.round(usedMinutes * 100) / 100,
+      quota_minutes: quotaMinutes || null,
+      analyses: usage.analyses,
+      exceeded: quotaMinutes > 0 && usedMinutes >= quotaMinutes,
+    };
+  }
+
+  // Quota check by key ID, for work queued by a key (no key = no quota)
+  async isQuotaExceeded(apiKeyId) {
+    if (!apiKeyId) {
+      return false;
+    }
+    const apiKey = await dbOperations.getApiKeyById(apiKeyId);
+    if (!apiKey) {
+      return false;
+    }
+    return (await this.getQuota(apiKey)).exceeded;
+  }
+
+  async recordAudioUsage(apiKeyId, audioSeconds) {
+    if (!apiKeyId || !(audioSeconds > 0)) {
+      return;
+    }
+    await dbOperations.addApiKeyUsage(apiKeyId, today(), audioSeconds);
+  }
+}
+
+// Quota days are UTC dates
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+}
+
+module.exports = ApiKeyService;
@@ -14,7 +14,7 @@ class AudioService {
     }
   }
 
-  async convertToWav(inputPath, analysisId) {
+  async convertToWav(inputPath, analysisId, onProgress = null) {
     return new Promise((resolve, reject) => {
       const outputPath = path.join(this.outputDir, `${analysisId}_audio.wav`);
 
@@ -43,6 +43,12 @@ class AudioService {
         })
         .on("progress", (progress) => {
           logger.info(`FFmpeg progress: ${progress.percent}% done`);
+          if (onProgress) {
+            onProgress({
+              percent: progress.percent,
+              timemark: progress.timemark,
+            });
+          }
         })
         .on("stderr", (stderrLine) => {
           logger.debug(`FFmpeg stderr: ${stderrLine}`);
@@ -97,6 +103,52 @@ class AudioService {
     });
   }
 
+  async hasVideoStream(filePath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (err, metadata) => {
+        if (err) {
+          reject(new Error(`Failed to probe media file: ${err.message}`));
+          return;
+        }
+
+        resolve(
+          metadata.streams.some((stream) => stream.codec_type === "video")
+        );
+      });
+    });
+  }
+
+  // Grab a single frame from an uploaded video to stand in for the
+  // YouTube page screenshot. Audio-only files have no thumbnail.
+  async extractThumbnail(inputPath, analysisId) {
+    if (!(await this.hasVideoStream(inputPath))) {
+      logger.info(`No video stream in ${inputPath}, skipping thumbnail`);
+      return null;
+    }
+
+    const screenshotDir = process.env.SCREENSHOT_DIR || "./screenshots";
+    const filename = `${analysisId}_screenshot.png`;
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .on("error", (err) => {
+          logger.error("FFmpeg thumbnail error:", err);
+          reject(new Error(`Thumbnail extraction failed: ${err.message}`));
+        })
+        .on("end", () => {
+          const thumbnailPath = path.join(screenshotDir, filename);
+          logger.info(`Thumbnail extracted: ${thumbnailPath}`);
+          resolve(thumbnailPath);
+        })
+        .screenshots({
+          timestamps: ["10%"],
+          filename,
+          folder: screenshotDir,
+          size: "1280x?",
+        });
+    });
+  }
+
   async cleanupTempFiles(filePaths) {
     try {
       for (const filePath of filePaths) {
@@ -110,7 +162,7 @@ class AudioService {
     }
   }
 
-  async processAudio(audioPath, analysisId) {
+  async processAudio(audioPath, analysisId, onProgress = null) {
     try {
       logger.info(`Processing audio file: ${audioPath}`);
 
@@ -119,7 +171,11 @@ class AudioService {
       logger.info("Original audio info:", originalInfo);
 
       // Convert to WAV format
-      const wavPath = await this.convertToWav(audioPath, analysisId);
+      const wavPath = await this.convertToWav(
+        audioPath,
+        analysisId,
+        onProgress
+      );
 
       // Get converted audio info
       const wavInfo = await this.getAudioInfo(wavPath);
@@ -0,0 +1,68 @@
+const GPTZeroService = require("./gptZeroService");
+const HeuristicDetectorService = require("./heuristicDetectorService");
+
+// AI-text detector contract. A detector is a class exposing:
+//
+//   name                      key used in requests and env config
+//   concurrency               segments scored in parallel
+//   limiter                   TokenBucket shared by all requests (or null)
+//   isConfigured()            whether it can run in this environment
+//   detectAIProbability(text) resolves to
+//                               { success: true, aiProbability, prediction,
+//                                 confidence, metadata }
+//                             or { success: false, error, retryable,
+//                                  retryAfterMs }
+//
+// aiProbability and confidence are between 0 and 1.
+const DETECTORS = {
+  gptzero: GPTZeroService,
+  heuristic: HeuristicDetectorService,
+};
+
+// Detectors that charge per request. The heuristic detector runs locally.
+const PAID_DETECTORS = ["gptzero"];
+
+function getDetectorNames() {
+  return Object.keys(DETECTORS);
+}
+
+function isDetector(name) {
+  return Object.prototype.hasOwnProperty.call(DETECTORS, name);
+}
+
+function isPaidDetector(name) {
+  return PAID_DETECTORS.includes(name);
+}
+
+// Detector used when a request doesn't choose one: AI_DETECTOR, otherwise
+// GPTZero (stubbed while it has no API key). The offline detector is never
+// picked automatically.
+function getDefaultDetectorName() {
+  const name = process.env.AI_DETECTOR;
+  if (!name) {
+    return "gptzero";
+  }
+  if (!isDetector(name)) {
+    throw new Error(
+      `Unknown AI_DETECTOR "${name}" (expected one of: ${getDetectorNames().join(
+        ", "
+      )})`
+    );
+  }
+  return name;
+}
+
+function createDetector(name) {
+  if (!isDetector(name)) {
+    throw new Error(`Unknown AI detector: ${name}`);
+  }
+  return new DETECTORS[name]();
+}
+
+module.exports = {
+  getDetectorNames,
+  isDetector,
+  isPaidDetector,
+  getDefaultDetectorName,
+  createDetector,
+};
@@ -2,12 +2,16 @@ const axios = require("axios");
 const FormData = require("form-data");
 const fs = require("fs");
 const logger = require("../utils/logger");
+const { isRetryableError } = require("../utils/retryableErrors");
 
 class ElevenLabsService {
   constructor() {
+    this.name = "elevenlabs";
     this.apiKey = process.env.ELEVENLABS_API_KEY;
     this.baseUrl =
       process.env.ELEVENLABS_BASE_URL || "https://api.elevenlabs.io";
+    // Transcribing long audio can take a while (default 5 minutes)
+    this.timeout = parseInt(process.env.ELEVENLABS_TIMEOUT_MS) || 300000;
 
     // Don't throw error immediately, check when actually using the service
     if (!this.apiKey) {
@@ -25,6 +29,10 @@ class ElevenLabsService {
     });
   }
 
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
   async transcribeAudio(audioFilePath, analysisId) {
     try {
       logger.info(`Starting transcription for: ${audioFilePath}`);
@@ -49,7 +57,7 @@ class ElevenLabsService {
           ...formData.getHeaders(),
           "xi-api-key": this.apiKey,
         },
-        timeout: 300000, // 5 minutes timeout
+        timeout: this.timeout,
       });
 
       if (response.data && response.data.text) {
@@ -80,6 +88,7 @@ class ElevenLabsService {
         success: false,
         error: error.message,
         details: error.response?.data || null,
+        retryable: isRetryableError(error),
       };
     }
   }
@@ -95,6 +104,7 @@ class ElevenLabsService {
           language: rawData.language || "en",
           duration: rawData.duration || 0,
           confidence: rawData.confidence || 0,
+          provider: this.name,
         },
       };
 
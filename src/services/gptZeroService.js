@@ -1,10 +1,23 @@
 const axios = require("axios");
 const logger = require("../utils/logger");
+const { TokenBucket, parseRetryAfter } = require("../utils/rateLimiter");
+const {
+  isNetworkError,
+  isRetryableStatus,
+} = require("../utils/retryableErrors");
 
 class GPTZeroService {
   constructor() {
+    this.name = "gptzero";
+    // Segments are scored in parallel, throttled to the API's rate limit.
+    // The limiter is shared by every analysis in this process.
+    this.concurrency = parseInt(process.env.GPTZERO_CONCURRENCY) || 4;
+    this.limiter = new TokenBucket({
+      ratePerSecond: parseFloat(process.env.GPTZERO_REQUESTS_PER_SECOND) || 5,
+    });
     this.apiKey = process.env.GPTZERO_API_KEY;
     this.baseUrl = process.env.GPTZERO_BASE_URL || "https://api.gptzero.me";
+    this.timeout = parseInt(process.env.GPTZERO_TIMEOUT_MS) || 60000;
 
     // Don't throw error immediately, check when actually using the service
     if (!this.apiKey) {
@@ -22,6 +35,10 @@ class GPTZeroService {
     });
   }
 
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
   async detectAIProbability(text) {
     try {
       logger.info(
@@ -37,7 +54,7 @@ class GPTZeroService {
 
       // Make API request to GPTZero
       const response = await this.client.post("/v2/predict", payload, {
-        timeout: 60000, // 1 minute timeout
+        timeout: this.timeout,
       });
 
       if (
@@ -70,128 +87,15 @@ class GPTZeroService {
         });
       }
 
+      // Rate limits, server errors, network failures and timeouts are worth
+      // retrying; a missing key or an unexpected response is not
+      const status = error.response?.status;
       return {
         success: false,
         error: error.message,
         details: error.response?.data || null,
-      };
-    }
-  }
-
-  async processTranscriptionSegments(transcription) {
-    try {
-      logger.info("Processing transcription segments for AI detection");
-
-      if (
-        !transcription ||
-        !transcription.segments ||
-        !Array.isArray(transcription.segments)
-      ) {
-        throw new Error("Invalid transcription format");
-      }
-
-      const results = [];
-      let processedCount = 0;
-      const totalSegments = transcription.segments.length;
-
-      // Process each segment individually
-      for (const segment of transcription.segments) {
-        try {
-          logger.info(
-            `Processing segment ${processedCount + 1}/${totalSegments}`
-          );
-
-          if (segment.text && segment.text.trim().length > 0) {
-            // Detect AI probability for this segment
-            const aiResult = await this.detectAIProbability(
-              segment.text.trim()
-            );
-
-            // Add AI detection results to the segment
-            const enhancedSegment = {
-              ...segment,
-              ai_detection: aiResult.success
-                ? {
-                    ai_probability: aiResult.aiProbability,
-                    prediction: aiResult.prediction,
-                    confidence: aiResult.confidence,
-                    metadata: aiResult.metadata,
-                  }
-                : {
-                    error: aiResult.error,
-                    details: aiResult.details,
-                  },
-            };
-
-            results.push(enhancedSegment);
-          } else {
-            // Empty segment, add without AI detection
-            results.push({
-              ...segment,
-              ai_detection: {
-                ai_probability: 0,
-                prediction: "empty",
-                confidence: 0,
-              },
-            });
-          }
-
-          processedCount++;
-
-          // Add small delay to avoid rate limiting
-          if (processedCount < totalSegments) {
-            await new Promise((resolve) => setTimeout(resolve, 100));
-          }
-        } catch (segmentError) {
-          logger.error(
-            `Error processing segment ${processedCount + 1}:`,
-            segmentError
-          );
-
-          // Add error information to the segment
-          results.push({
-            ...segment,
-            ai_detection: {
-              error: segmentError.message,
-              ai_probability: 0,
-              prediction: "error",
-              confidence: 0,
-            },
-          });
-
-          processedCount++;
-        }
-      }
-
-      // Calculate overall AI probability
-      const validResults = results.filter(
-        (r) => r.ai_detection && !r.ai_detection.error
-      );
-      const overallAIProbability =
-        validResults.length > 0
-          ? validResults.reduce(
-              (sum, r) => sum + (r.ai_detection.ai_probability || 0),
-              0
-            ) / validResults.length
-          : 0;
-
-      logger.info(
-        `AI detection completed for ${processedCount}/${totalSegments} segments`
-      );
-
-      return {
-        success: true,
-        segments: results,
-        overall_ai_probability: overallAIProbability,
-        processed_segments: processedCount,
-        total_segments: totalSegments,
-      };
-    } catch (error) {
-      logger.error("Error processing transcription segments:", error);
-      return {
-        success: false,
-        error: error.message,
-        segments: transcription.segments || [],
+        retryable: status ? isRetryableStatus(status) : isNetworkError(error),
+        retryAfterMs: parseRetryAfter(error.response?.headers?.["retry-after"]),
       };
     }
   }
@@ -0,0 +1,163 @@
+const logger = require("../utils/logger");
+const markerWords = require("../resources/markerWords.json");
+
+// Hand-tuned weights of the scoring features. Perplexity here is under a
+// unigram model of spoken English, so it measures how unusual the
+// vocabulary is for speech: conversation is dense with common words,
+// scripted AI narration is not. Higher perplexity, lower burstiness
+// (uniform sentences) and vocabulary that language models overuse push the
+// score towards AI-generated.
+const REFERENCE_SURPRISAL = 8.5;
+const SURPRISAL_SCALE = 1.0;
+const SURPRISAL_WEIGHT = 0.6;
+const REFERENCE_BURSTINESS = 0.25;
+const BURSTINESS_SCALE = 0.15;
+const BURSTINESS_WEIGHT = 1.0;
+const MARKER_WEIGHT = 0.8;
+
+// Texts shorter than this get proportionally lower confidence
+const FULL_CONFIDENCE_WORDS = 60;
+
+// Word counts from SUBTLEX-US (51 million words of American film and TV
+// subtitles), merged case-insensitively. Loaded on first use and shared.
+let unigramModel = null;
+
+function loadUnigramModel() {
+  if (!unigramModel) {
+    const counts = new Map();
+    let total = 0;
+    for (const { word, count } of require("subtlex-word-frequencies")) {
+      const key = word.toLowerCase();
+      counts.set(key, (counts.get(key) || 0) + count);
+      total += count;
+    }
+    unigramModel = { counts, total };
+  }
+  return unigramModel;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Coefficient of variation (standard deviation relative to the mean)
+function variation(values) {
+  const average = mean(values);
+  if (average === 0) {
+    return 0;
+  }
+  const variance = mean(values.map((value) => (value - average) ** 2));
+  return Math.sqrt(variance) / average;
+}
+
+// Offline detector, so the pipeline can score text without an API key. It
+// scores perplexity and burstiness under a unigram model of spoken English
+// (subtlex-word-frequencies) plus the rate of marker words. The weights are
+// hand-tuned rather than trained on labelled text, so its scores are a
+// rough signal, well below GPTZero's accuracy. It only runs when chosen
+// explicitly (AI_DETECTOR=heuristic or "detector": "heuristic").
+class HeuristicDetectorService {
+  constructor() {
+    this.name = "heuristic";
+    // Scoring is synchronous CPU work, so there is nothing to parallelize
+    this.concurrency = 1;
+    this.limiter = null;
+
+    this.model = loadUnigramModel();
+    this.markerWords = new Set(markerWords.words);
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // Contractions are split at the apostrophe ("don't" is "don" and "t"),
+  // the way SUBTLEX counts them
+  tokenize(text) {
+    return text.toLowerCase().match(/[a-z]+/g) || [];
+  }
+
+  // Negative log probability of a word under the unigram model, with add-one
+  // smoothing so words missing from the corpus get a small probability
+  surprisal(word) {
+    const { counts, total } = this.model;
+    return -Math.log(((counts.get(word) || 0) + 1) / (total + counts.size + 1));
+  }
+
+  async detectAIProbability(text) {
+    try {
+      const words = this.tokenize(text);
+      if (words.length === 0) {
+        throw new Error("Text contains no words");
+      }
+
+      const meanSurprisal = mean(words.map((word) => this.surprisal(word)));
+
+      // Burstiness: how much sentences vary in length and predictability.
+      // Needs at least two sentences.
+      const sentences = text
+        .split(/(?<=[.!?])\s+/)
+        .map((sentence) => this.tokenize(sentence))
+        .filter((sentenceWords) => sentenceWords.length > 0);
+      let burstiness = null;
+      if (sentences.length > 1) {
+        burstiness =
+          (variation(sentences.map((sentenceWords) => sentenceWords.length)) +
+            variation(
+              sentences.map((sentenceWords) =>
+                mean(sentenceWords.map((word) => this.surprisal(word)))
+              )
+            )) /
+          2;
+      }
+
+      const markerRate =
+        words.filter((word) => this.markerWords.has(word)).length /
+        words.length;
+
+      let score =
+        (SURPRISAL_WEIGHT * (meanSurprisal - REFERENCE_SURPRISAL)) /
+          SURPRISAL_SCALE +
+        MARKER_WEIGHT * markerRate * 100;
+      if (burstiness !== null) {
+        score +=
+          (BURSTINESS_WEIGHT * (REFERENCE_BURSTINESS - burstiness)) /
+          BURSTINESS_SCALE;
+      }
+
+      const aiProbability = 1 / (1 + Math.exp(-score));
+      let prediction = "mixed";
+      if (aiProbability >= 0.65) {
+        prediction = "ai";
+      } else if (aiProbability <= 0.35) {
+        prediction = "human";
+      }
+
+      return {
+        success: true,
+        aiProbability,
+        prediction,
+        confidence:
+          Math.abs(aiProbability - 0.5) *
+          2 *
+          Math.min(1, words.length / FULL_CONFIDENCE_WORDS),
+        metadata: {
+          model: "subtlex-us-unigram",
+          perplexity: Math.exp(meanSurprisal),
+          burstiness,
+          marker_rate: markerRate,
+          word_count: words.length,
+          sentence_count: sentences.length,
+        },
+      };
+    } catch (error) {
+      logger.error("Error in heuristic AI detection:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+module.exports = HeuristicDetectorService;
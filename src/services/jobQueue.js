@@ -0,0 +1,198 @@
+const os = require("os");
+const { v4: uuidv4 } = require("uuid");
+const logger = require("../utils/logger");
+const { dbOperations } = require("../models/database");
+
+class JobQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+    this.concurrency = parseInt(process.env.WORKER_CONCURRENCY) || 1;
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+    this.leaseMs = parseInt(process.env.JOB_LEASE_MS) || 60000;
+    this.retryDelay = parseInt(process.env.JOB_RETRY_DELAY_MS) || 5000;
+
+    this.handlers = {};
+    this.activeJobs = new Map();
+    this.running = false;
+    this.polling = false;
+    this.timer = null;
+  }
+
+  // Register the function that processes jobs of a given type. A handler
+  // that throws is retried with exponential backoff, unless the error has
+  // `retryable: false`. options.onExhausted(job, error) is called when a job
+  // is abandoned (error is missing if its worker died on the last attempt);
+  // options.retryDelay overrides the base retry backoff.
+  registerHandler(type, handler, options = {}) {
+    this.handlers[type] = {
+      handler,
+      onExhausted: options.onExhausted || null,
+      retryDelay: options.retryDelay || this.retryDelay,
+    };
+  }
+
+  async enqueue(type, options = {}) {
+    const jobId = await dbOperations.enqueueJob(type, options);
+    logger.info(`Enqueued ${type} job ${jobId}`);
+    return jobId;
+  }
+
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info(
+      `Job worker ${this.workerId} started (concurrency: ${this.concurrency})`
+    );
+
+    await this.recover();
+    this.schedulePoll(0);
+  }
+
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    // Let in-flight jobs finish; anything cut short is picked up again
+    // once its lease expires
+    await Promise.allSettled(this.activeJobs.values());
+    logger.info(`Job worker ${this.workerId} stopped`);
+  }
+
+  // Queue analyses that were left unfinished without an active job
+  async recover() {
+    try {
+      const orphaned = await dbOperations.getOrphanedAnalyses();
+      for (const analysis of orphaned) {
+        await this.enqueue("analysis", { analysisId: analysis.id });
+      }
+
+      if (orphaned.length > 0) {
+        logger.info(`Re-queued ${orphaned.length} unfinished analyses`);
+      }
+    } catch (error) {
+      logger.error("Error recovering unfinished analyses:", error);
+    }
+  }
+
+  schedulePoll(delay = this.pollInterval) {
+    if (!this.running) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.poll(), delay);
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      await this.failExhaustedJobs();
+
+      while (this.running && this.activeJobs.size < this.concurrency) {
+        const job = await dbOperations.claimNextJob(
+          this.workerId,
+          this.leaseMs
+        );
+        if (!job) {
+          break;
+        }
+
+        const promise = this.runJob(job).finally(() => {
+          this.activeJobs.delete(job.id);
+          this.schedulePoll(0);
+        });
+        this.activeJobs.set(job.id, promise);
+      }
+    } catch (error) {
+      logger.error("Error polling job queue:", error);
+    } finally {
+      this.polling = false;
+      this.schedulePoll();
+    }
+  }
+
+  async failExhaustedJobs() {
+    const jobs = await dbOperations.failExhaustedJobs();
+
+    for (const job of jobs) {
+      logger.warn(`Job ${job.id} abandoned after ${job.attempts} attempts`);
+
+      const registration = this.handlers[job.type];
+      if (registration && registration.onExhausted) {
+        try {
+          await registration.onExhausted(job);
+        } catch (error) {
+          logger.error(`Error handling exhausted job ${job.id}:`, error);
+        }
+      }
+    }
+  }
+
+  async runJob(job) {
+    const registration = this.handlers[job.type];
+    if (!registration) {
+      logger.error(`No handler registered for job type: ${job.type}`);
+      await dbOperations.failJob(
+        job.id,
+        this.workerId,
+        `Unknown job type: ${job.type}`
+      );
+      return;
+    }
+
+    logger.info(
+      `Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`
+    );
+
+    // Keep the lease alive while the job is running
+    const heartbeat = setInterval(() => {
+      dbOperations
+        .renewJobLease(job.id, this.workerId, this.leaseMs)
+        .catch((error) =>
+          logger.warn(`Failed to renew lease for job ${job.id}:`, error)
+        );
+    }, Math.floor(this.leaseMs / 3));
+
+    try {
+      const payload = job.payload ? JSON.parse(job.payload) : {};
+      await registration.handler(job, payload);
+      await dbOperations.completeJob(job.id, this.workerId);
+      logger.info(`Job ${job.id} completed`);
+    } catch (error) {
+      logger.error(`Job ${job.id} failed:`, error);
+
+      const canRetry =
+        error.retryable !== false && job.attempts < job.max_attempts;
+      const retryAt = canRetry
+        ? Date.now() + registration.retryDelay * Math.pow(2, job.attempts - 1)
+        : null;
+
+      await dbOperations.failJob(job.id, this.workerId, error.message, retryAt);
+
+      if (!canRetry && registration.onExhausted) {
+        await registration
+          .onExhausted(job, error)
+          .catch((handlerError) =>
+            logger.error(
+              `Error handling exhausted job ${job.id}:`,
+              handlerError
+            )
+          );
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,105 @@
+const logger = require("../utils/logger");
+const { dbOperations } = require("../models/database");
+const StorageService = require("./storageService");
+
+// Analyses handled per artifact in one run; the rest wait for the next run
+const RUN_LIMIT = 500;
+
+// Files holding each artifact, from an analysis row and its checkpoints.
+// Transcripts only live in the database.
+const artifactFiles = {
+  audio: (analysis, checkpoints) => [
+    analysis.audio_path,
+    checkpoints.audio_download && checkpoints.audio_download.audioPath,
+    checkpoints.audio_conversion && checkpoints.audio_conversion.wavPath,
+  ],
+  screenshot: (analysis, checkpoints) => [
+    analysis.screenshot_path,
+    checkpoints.screenshot && checkpoints.screenshot.screenshotPath,
+  ],
+  transcript: () => [],
+};
+
+// Expires the artifacts of finished analyses once they are older than
+// their retention period (RETENTION_<ARTIFACT>_DAYS, 0 = keep forever).
+// The analysis itself and its scores are kept. Runs as a recurring
+// "retention" job on the worker.
+class RetentionService {
+  constructor() {
+    this.retentionDays = {
+      audio: retentionSetting("RETENTION_AUDIO_DAYS", 1),
+      screenshot: retentionSetting("RETENTION_SCREENSHOT_DAYS", 30),
+      transcript: retentionSetting("RETENTION_TRANSCRIPT_DAYS", 90),
+    };
+    this.intervalMs = parseInt(process.env.RETENTION_INTERVAL_MS) || 3600000;
+    this.storageService = new StorageService();
+  }
+
+  get enabled() {
+    return Object.values(this.retentionDays).some((days) => days > 0);
+  }
+
+  // Expire everything that is past its retention period. Returns the
+  // number of analyses, files and bytes cleared per artifact.
+  async run() {
+    const summary = {};
+
+    for (const [artifact, days] of Object.entries(this.retentionDays)) {
+      if (!(days > 0)) {
+        continue;
+      }
+
+      const expired = await dbOperations.getExpiredArtifacts(
+        artifact,
+        days,
+        RUN_LIMIT
+      );
+      const cleared = { analyses: 0, files: 0, bytes: 0 };
+
+      for (const analysis of expired) {
+        const checkpoints = await dbOperations.getCheckpoints(analysis.id);
+        await dbOperations.clearArtifact(analysis.id, artifact);
+        const removed = this.storageService.removeFiles(
+          artifactFiles[artifact](analysis, checkpoints)
+        );
+        cleared.analyses++;
+        cleared.files += removed.files;
+        cleared.bytes += removed.bytes;
+      }
+
+      if (cleared.analyses > 0) {
+        logger.info(
+          `Retention: cleared ${artifact} of ${cleared.analyses} analyses (${cleared.files} files, ${cleared.bytes} bytes)`
+        );
+      }
+      summary[artifact] = cleared;
+    }
+
+    return summary;
+  }
+
+  async scheduleNext() {
+    await dbOperations.enqueueJob("retention", {
+      runAt: Date.now() + this.intervalMs,
+    });
+  }
+
+  // Queue the first run unless a worker already has one queued
+  async ensureScheduled() {
+    if (!this.enabled) {
+      return;
+    }
+    if ((await dbOperations.countActiveJobs("retention")) === 0) {
+      await dbOperations.enqueueJob("retention");
+      logger.info("Scheduled retention job");
+    }
+  }
+}
+
+function retentionSetting(name, defaultDays) {
+  return process.env[name] !== undefined
+    ? parseFloat(process.env[name])
+    : defaultDays;
+}
+
+module.exports = RetentionService;
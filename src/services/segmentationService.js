@@ -0,0 +1,156 @@
+const logger = require("../utils/logger");
+
+const STRATEGIES = ["segment", "sentence", "window", "speaker"];
+
+// Regroups a transcription into the chunks that get scored for AI
+// detection. Every chunk keeps the start/end time of the words in it.
+//
+//   segment   the transcription provider's segments, unchanged
+//   sentence  whole sentences, short ones merged up to minWords
+//   window    fixed-size windows of windowWords words
+//   speaker   one chunk per uninterrupted speaker turn
+class SegmentationService {
+  constructor() {
+    this.defaultStrategy = process.env.SEGMENTATION_STRATEGY || "segment";
+    this.windowWords = parseInt(process.env.SEGMENTATION_WINDOW_WORDS) || 100;
+    this.minWords = parseInt(process.env.SEGMENTATION_MIN_WORDS) || 8;
+
+    if (!STRATEGIES.includes(this.defaultStrategy)) {
+      throw new Error(
+        `Unknown SEGMENTATION_STRATEGY "${
+          this.defaultStrategy
+        }" (expected one of: ${STRATEGIES.join(", ")})`
+      );
+    }
+  }
+
+  segment(transcription, strategy = this.defaultStrategy) {
+    if (strategy === "segment") {
+      return transcription.segments;
+    }
+
+    const words = this.getWords(transcription);
+    let chunks;
+    if (strategy === "sentence") {
+      chunks = this.groupSentences(words);
+    } else if (strategy === "window") {
+      chunks = this.groupWindows(words);
+    } else if (strategy === "speaker") {
+      chunks = this.groupSpeakerTurns(words);
+    } else {
+      throw new Error(`Unknown segmentation strategy: ${strategy}`);
+    }
+
+    logger.info(
+      `Regrouped ${transcription.segments.length} segments into ${chunks.length} ${strategy} chunks`
+    );
+    return chunks;
+  }
+
+  // Word-level timestamps, or words spread evenly over each segment when
+  // the provider didn't return timestamps for the whole transcript
+  getWords(transcription) {
+    const segmentWords = transcription.segments.map((segment) =>
+      (segment.text || "").split(/\s+/).filter(Boolean)
+    );
+    const totalWords = segmentWords.reduce(
+      (sum, words) => sum + words.length,
+      0
+    );
+    const timedWords = (transcription.wordTimestamps || []).filter(
+      (word) => word.word && word.word.trim()
+    );
+
+    if (timedWords.length > 0 && timedWords.length >= totalWords) {
+      return timedWords.map((word) => ({
+        word: word.word.trim(),
+        start: word.start,
+        end: word.end,
+        confidence: word.confidence || 0,
+        speaker: word.speaker || "unknown",
+      }));
+    }
+
+    const words = [];
+    transcription.segments.forEach((segment, segmentIndex) => {
+      const textWords = segmentWords[segmentIndex];
+      const step = (segment.end - segment.start) / (textWords.length || 1);
+      textWords.forEach((word, index) => {
+        words.push({
+          word,
+          start: segment.start + index * step,
+          end: segment.start + (index + 1) * step,
+          confidence: segment.confidence || 0,
+          speaker: segment.speaker || "unknown",
+        });
+      });
+    });
+    return words;
+  }
+
+  toChunk(words) {
+    return {
+      start: words[0].start,
+      end: words[words.length - 1].end,
+      text: words.map((word) => word.word).join(" "),
+      speaker: words[0].speaker,
+      confidence:
+        words.reduce((sum, word) => sum + word.confidence, 0) / words.length,
+      word_count: words.length,
+    };
+  }
+
+  groupSentences(words) {
+    const chunks = [];
+    let current = [];
+
+    words.forEach((word, index) => {
+      current.push(word);
+
+      const next = words[index + 1];
+      const endsSentence = /[.!?]["')\]]*$/.test(word.word);
+      const speakerChanges = next && next.speaker !== word.speaker;
+
+      // Fragments are merged with the following sentence until they are
+      // long enough to judge, but never across speakers
+      if (
+        !next ||
+        speakerChanges ||
+        (endsSentence && current.length >= this.minWords)
+      ) {
+        chunks.push(this.toChunk(current));
+        current = [];
+      }
+    });
+
+    return chunks;
+  }
+
+  groupWindows(words) {
+    const chunks = [];
+    for (let i = 0; i < words.length; i += this.windowWords) {
+      chunks.push(this.toChunk(words.slice(i, i + this.windowWords)));
+    }
+    return chunks;
+  }
+
+  groupSpeakerTurns(words) {
+    const chunks = [];
+    let current = [];
+
+    words.forEach((word, index) => {
+      current.push(word);
+      const next = words[index + 1];
+      if (!next || next.speaker !== word.speaker) {
+        chunks.push(this.toChunk(current));
+        current = [];
+      }
+    });
+
+    return chunks;
+  }
+}
+
+SegmentationService.STRATEGIES = STRATEGIES;
+
+module.exports = SegmentationService;
@@ -0,0 +1,86 @@
+// Each pipeline stage runs in one of three modes:
+//
+//   real      use the actual service
+//   stub      produce simulated output (DemoService)
+//   disabled  skip the stage and leave its output empty
+//
+// Modes come from <STAGE>_MODE env variables (e.g. TRANSCRIPTION_MODE=stub).
+// "auto" (the default) runs a stage for real when the service it needs is
+// configured and stubs it otherwise. DEMO_MODE=true makes stub the default
+// for every stage.
+const STAGES = [
+  "screenshot",
+  "audio_download",
+  "audio_conversion",
+  "transcription",
+  "ai_detection",
+];
+
+const MODES = ["real", "stub", "disabled"];
+
+// The stage whose output each stage consumes
+const INPUT_STAGE = {
+  audio_conversion: "audio_download",
+  transcription: "audio_conversion",
+  ai_detection: "transcription",
+};
+
+function getConfiguredMode(stage) {
+  const value = process.env[`${stage.toUpperCase()}_MODE`];
+  if (value && value !== "auto") {
+    if (!MODES.includes(value)) {
+      throw new Error(
+        `Invalid ${stage.toUpperCase()}_MODE "${value}" (expected auto, ${MODES.join(
+          ", "
+        )})`
+      );
+    }
+    return value;
+  }
+  return process.env.DEMO_MODE === "true" ? "stub" : "auto";
+}
+
+// Resolve the mode of every stage. `available` maps a stage to whether its
+// service can run for real (stages missing from it need no configuration).
+function resolveStageModes(available = {}) {
+  const modes = {};
+
+  for (const stage of STAGES) {
+    let mode = getConfiguredMode(stage);
+    const inputMode = modes[INPUT_STAGE[stage]];
+
+    if (mode === "auto") {
+      if (inputMode === "disabled") {
+        mode = "disabled";
+      } else {
+        mode = available[stage] === false ? "stub" : "real";
+      }
+    }
+
+    // Real audio processing needs an actual file from the previous stage.
+    // Detection only needs text, so it can score a stubbed transcription.
+    if (mode === "real" && inputMode === "disabled") {
+      throw new Error(
+        `Stage ${stage} cannot run in real mode while ${INPUT_STAGE[stage]} is disabled`
+      );
+    }
+    if (
+      mode === "stub" &&
+      stage === "ai_detection" &&
+      inputMode === "disabled"
+    ) {
+      throw new Error(
+        "Stage ai_detection cannot run while transcription is disabled"
+      );
+    }
+
+    modes[stage] = mode;
+  }
+
+  return modes;
+}
+
+module.exports = {
+  STAGES,
+  resolveStageModes,
+};
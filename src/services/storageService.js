@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const { dbOperations, dbPath } = require("../models/database");
+
+// Files the pipeline keeps on disk: screenshots, downloaded and converted
+// audio, and uploads. Analyses record the paths they produce (in their row
+// or their checkpoints), so a file in these directories that no analysis
+// refers to is an orphan, e.g. left behind by a crash or a deleted row.
+class StorageService {
+  constructor() {
+    this.directories = {
+      screenshots: process.env.SCREENSHOT_DIR || "./screenshots",
+      audio: process.env.AUDIO_DIR || "./audio",
+      uploads: process.env.UPLOAD_DIR || "./uploads",
+    };
+  }
+
+  // Files under a directory, recursively. Hidden files (.gitkeep) are
+  // ignored and a missing directory has no files.
+  listFiles(directory) {
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+
+    return fs
+      .readdirSync(directory, { withFileTypes: true })
+      .flatMap((entry) => {
+        if (entry.name.startsWith(".")) {
+          return [];
+        }
+        const filePath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          return this.listFiles(filePath);
+        }
+        if (!entry.isFile()) {
+          return [];
+        }
+        const stats = fs.statSync(filePath);
+        return [
+          { path: filePath, size: stats.size, modifiedAt: stats.mtimeMs },
+        ];
+      });
+  }
+
+  // Number and size of the files in each directory, and the database size
+  getUsage() {
+    const usage = {};
+    for (const [name, directory] of Object.entries(this.directories)) {
+      const files = this.listFiles(directory);
+      usage[name] = {
+        directory,
+        files: files.length,
+        bytes: files.reduce((total, file) => total + file.size, 0),
+      };
+    }
+    usage.database = {
+      path: dbPath,
+      bytes: fs.existsSync(dbPath) ? fs.statSync(dbPath).size : 0,
+    };
+    return usage;
+  }
+
+  // Files no analysis refers to. Recently modified files are skipped, as a
+  // running analysis (or an upload being received) may not have recorded
+  // them yet.
+  async findOrphanedFiles(options = {}) {
+    const minAgeMs =
+      options.minAgeMs !== undefined ? options.minAgeMs : 3600000;
+    const referenced = new Set(
+      (await dbOperations.getReferencedFilePaths()).map((filePath) =>
+        path.resolve(filePath)
+      )
+    );
+    const cutoff = Date.now() - minAgeMs;
+
+    const files = new Map();
+    for (const directory of Object.values(this.directories)) {
+      for (const file of this.listFiles(directory)) {
+        files.set(path.resolve(file.path), file);
+      }
+    }
+
+    return [...files.entries()]
+      .filter(
+        ([resolved, file]) =>
+          !referenced.has(resolved) && file.modifiedAt <= cutoff
+      )
+      .map(([, file]) => file);
+  }
+
+  // Delete orphaned files, or with dryRun only list them
+  async purgeOrphanedFiles(options = {}) {
+    try {
+      const orphans = await this.findOrphanedFiles(options);
+      const removed = options.dryRun
+        ? {
+            files: orphans.length,
+            bytes: orphans.reduce((total, file) => total + file.size, 0),
+          }
+        : this.removeFiles(orphans.map((file) => file.path));
+
+      if (!options.dryRun && removed.files > 0) {
+        logger.info(
+          `Purged ${removed.files} orphaned files (${removed.bytes} bytes)`
+        );
+      }
+
+      return {
+        success: true,
+        dry_run: Boolean(options.dryRun),
+        paths: orphans.map((file) => file.path),
+        files: removed.files,
+        bytes: removed.bytes,
+      };
+    } catch (error) {
+      logger.error("Error purging orphaned files:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Delete files, skipping ones that are already gone. Returns how many
+  // were deleted and the bytes freed.
+  removeFiles(filePaths) {
+    const removed = { files: 0, bytes: 0 };
+
+    for (const filePath of new Set(filePaths.filter(Boolean))) {
+      try {
+        const { size } = fs.statSync(filePath);
+        fs.unlinkSync(filePath);
+        removed.files++;
+        removed.bytes += size;
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          logger.warn(`Could not delete ${filePath}:`, error);
+        }
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = StorageService;
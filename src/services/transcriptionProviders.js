@@ -0,0 +1,72 @@
+const ElevenLabsService = require("./elevenLabsService");
+const WhisperService = require("./whisperService");
+
+// Transcription provider contract. A provider is a class exposing:
+//
+//   name                                 key used in requests and env config
+//   isConfigured()                       whether it can run in this environment
+//   transcribeAudio(wavPath, analysisId) resolves to
+//                                          { success: true, transcription, rawResponse }
+//                                        or { success: false, error, retryable }
+//                                        (retryable: a rate limit or network
+//                                        failure that may pass on retry)
+//
+// The transcription is normalized so the rest of the pipeline does not
+// care which provider produced it:
+//
+//   {
+//     text,
+//     segments: [{ start, end, text, speaker, confidence }],
+//     speakers: [{ id, name, segments }],
+//     wordTimestamps: [{ word, start, end, confidence, speaker }],
+//     metadata: { language, duration, confidence, provider }
+//   }
+const PROVIDERS = {
+  elevenlabs: ElevenLabsService,
+  whisper: WhisperService,
+};
+
+const DEFAULT_PROVIDER = "elevenlabs";
+
+// Providers that charge per minute of audio. Whisper runs locally for free.
+const PAID_PROVIDERS = ["elevenlabs"];
+
+function getProviderNames() {
+  return Object.keys(PROVIDERS);
+}
+
+function isProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+function isPaidProvider(name) {
+  return PAID_PROVIDERS.includes(name);
+}
+
+// Provider used when a request doesn't choose one
+function getDefaultProviderName() {
+  const name = process.env.TRANSCRIPTION_PROVIDER || DEFAULT_PROVIDER;
+  if (!isProvider(name)) {
+    throw new Error(
+      `Unknown TRANSCRIPTION_PROVIDER "${name}" (expected one of: ${getProviderNames().join(
+        ", "
+      )})`
+    );
+  }
+  return name;
+}
+
+function createProvider(name) {
+  if (!isProvider(name)) {
+    throw new Error(`Unknown transcription provider: ${name}`);
+  }
+  return new PROVIDERS[name]();
+}
+
+module.exports = {
+  getProviderNames,
+  isProvider,
+  isPaidProvider,
+  getDefaultProviderName,
+  createProvider,
+};
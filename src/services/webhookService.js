@@ -0,0 +1,93 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+const { dbOperations } = require("../models/database");
+const { resolveCallbackUrl } = require("../utils/callbackUrl");
+
+class WebhookService {
+  constructor() {
+    this.secret = process.env.WEBHOOK_SECRET;
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+  }
+
+  // HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replays
+  sign(timestamp, body) {
+    return crypto
+      .createHmac("sha256", this.secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  }
+
+  // Deliver a payload once. Throws on failure so the job queue retries it;
+  // callback URLs pointing at private addresses fail with retryable: false.
+  async deliver(analysisId, callbackUrl, event, payload, attempt) {
+    const body = JSON.stringify({ event, ...payload });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": "youtube-analysis-service-webhook",
+      "X-Webhook-Event": event,
+      "X-Webhook-Timestamp": timestamp,
+    };
+
+    if (this.secret) {
+      headers["X-Webhook-Signature"] = `sha256=${this.sign(timestamp, body)}`;
+    }
+
+    const startTime = Date.now();
+    let statusCode = null;
+
+    try {
+      logger.info(`Delivering ${event} webhook to ${callbackUrl}`);
+
+      // Checked again at delivery, as DNS may have changed since the
+      // analysis was submitted; the request connects to the checked address
+      const addresses = await resolveCallbackUrl(callbackUrl);
+
+      const response = await axios.post(callbackUrl, body, {
+        headers,
+        timeout: this.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        lookup: (hostname, options, callback) => callback(null, addresses),
+      });
+      statusCode = response.status;
+
+      if (statusCode < 200 || statusCode >= 300) {
+        throw new Error(`Webhook endpoint responded with ${statusCode}`);
+      }
+
+      await dbOperations.logWebhookDelivery({
+        analysisId,
+        callbackUrl,
+        event,
+        attempt,
+        statusCode,
+        success: true,
+        durationMs: Date.now() - startTime,
+      });
+
+      logger.info(`Webhook delivered for analysis ${analysisId}`);
+    } catch (error) {
+      logger.warn(
+        `Webhook delivery failed for analysis ${analysisId} (attempt ${attempt}): ${error.message}`
+      );
+
+      await dbOperations.logWebhookDelivery({
+        analysisId,
+        callbackUrl,
+        event,
+        attempt,
+        statusCode,
+        success: false,
+        errorMessage: error.message,
+        durationMs: Date.now() - startTime,
+      });
+
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookService;
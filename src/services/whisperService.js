@@ -0,0 +1,181 @@
+const { execFile } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const logger = require("../utils/logger");
+
+// Offline transcription through a locally installed whisper.cpp binary.
+// Audio never leaves the machine.
+class WhisperService {
+  constructor() {
+    this.name = "whisper";
+    this.binaryPath = process.env.WHISPER_CPP_BIN || "whisper-cli";
+    this.modelPath = process.env.WHISPER_MODEL_PATH;
+    this.language = process.env.WHISPER_LANGUAGE || "auto";
+    this.threads = parseInt(process.env.WHISPER_THREADS) || os.cpus().length;
+    this.timeout = parseInt(process.env.WHISPER_TIMEOUT_MS) || 1800000;
+  }
+
+  isConfigured() {
+    return Boolean(this.modelPath && fs.existsSync(this.modelPath));
+  }
+
+  async transcribeAudio(audioFilePath, analysisId) {
+    const outputBase = path.join(os.tmpdir(), `${analysisId}_whisper`);
+    const outputPath = `${outputBase}.json`;
+
+    try {
+      logger.info(`Starting whisper.cpp transcription for: ${audioFilePath}`);
+
+      if (!fs.existsSync(audioFilePath)) {
+        throw new Error(`Audio file not found: ${audioFilePath}`);
+      }
+
+      if (!this.isConfigured()) {
+        throw new Error(
+          "WHISPER_MODEL_PATH is not set or the model file does not exist"
+        );
+      }
+
+      // whisper.cpp expects 16 kHz mono WAV, which AudioService produces
+      const args = [
+        "-m",
+        this.modelPath,
+        "-f",
+        audioFilePath,
+        "-l",
+        this.language,
+        "-t",
+        String(this.threads),
+        "-ojf",
+        "-of",
+        outputBase,
+        "-np",
+      ];
+
+      await new Promise((resolve, reject) => {
+        execFile(
+          this.binaryPath,
+          args,
+          { timeout: this.timeout, maxBuffer: 10 * 1024 * 1024 },
+          (error, stdout, stderr) => {
+            if (error) {
+              logger.error("whisper.cpp stderr:", stderr);
+              reject(new Error(`whisper.cpp failed: ${error.message}`));
+              return;
+            }
+            resolve();
+          }
+        );
+      });
+
+      const rawResponse = JSON.parse(fs.readFileSync(outputPath, "utf8"));
+      const transcription = this.processTranscription(rawResponse);
+
+      logger.info("Transcription completed successfully");
+
+      return {
+        success: true,
+        transcription: transcription,
+        rawResponse: rawResponse,
+      };
+    } catch (error) {
+      logger.error("Error in whisper.cpp transcription:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    } finally {
+      if (fs.existsSync(outputPath)) {
+        fs.unlinkSync(outputPath);
+      }
+    }
+  }
+
+  // Convert whisper.cpp's JSON output into the normalized transcription shape
+  processTranscription(rawData) {
+    const entries = rawData.transcription || [];
+    const transcription = {
+      text: "",
+      segments: [],
+      speakers: [],
+      wordTimestamps: [],
+      metadata: {
+        language: (rawData.result && rawData.result.language) || "en",
+        duration: 0,
+        confidence: 0,
+        provider: this.name,
+        model: rawData.model ? rawData.model.type : null,
+      },
+    };
+
+    const confidences = [];
+
+    entries.forEach((entry) => {
+      const start = entry.offsets.from / 1000;
+      const end = entry.offsets.to / 1000;
+      const text = entry.text.trim();
+      if (!text) {
+        return;
+      }
+
+      // Tokens are sub-word pieces; a leading space starts a new word.
+      // Special tokens such as [_BEG_] carry no text.
+      const words = [];
+      (entry.tokens || [])
+        .filter((token) => !/^\[_.*\]$/.test(token.text.trim()))
+        .forEach((token) => {
+          const isNewWord = token.text.startsWith(" ") || words.length === 0;
+          if (isNewWord) {
+            words.push({
+              word: token.text.trim(),
+              start: token.offsets.from / 1000,
+              end: token.offsets.to / 1000,
+              confidence: token.p || 0,
+              speaker: "unknown",
+            });
+          } else {
+            const word = words[words.length - 1];
+            word.word += token.text;
+            word.end = token.offsets.to / 1000;
+            word.confidence = Math.min(word.confidence, token.p || 0);
+          }
+        });
+
+      // Segments without token data don't count towards overall confidence
+      let segmentConfidence = 0;
+      if (words.length > 0) {
+        segmentConfidence =
+          words.reduce((sum, word) => sum + word.confidence, 0) / words.length;
+        confidences.push(segmentConfidence);
+      }
+
+      transcription.segments.push({
+        start,
+        end,
+        text,
+        speaker: "unknown",
+        confidence: segmentConfidence,
+      });
+      transcription.wordTimestamps.push(
+        ...words.filter((word) => word.word.length > 0)
+      );
+    });
+
+    transcription.text = transcription.segments
+      .map((segment) => segment.text)
+      .join(" ");
+    transcription.metadata.duration =
+      transcription.segments.length > 0
+        ? transcription.segments[transcription.segments.length - 1].end
+        : 0;
+    transcription.metadata.confidence =
+      confidences.length > 0
+        ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+        : 0;
+
+    return transcription;
+  }
+}
+
+module.exports = WhisperService;
@@ -1,5 +1,7 @@
 const puppeteer = require("puppeteer");
 const ytdl = require("ytdl-core");
+const ytpl = require("ytpl");
+const axios = require("axios");
 const fs = require("fs");
 const path = require("path");
 const { v4: uuidv4 } = require("uuid");
@@ -10,6 +12,9 @@ class YouTubeService {
     this.browser = null;
     this.screenshotDir = process.env.SCREENSHOT_DIR || "./screenshots";
     this.audioDir = process.env.AUDIO_DIR || "./audio";
+    // Parallel video lookups when filtering a collection by publish date
+    this.lookupConcurrency =
+      parseInt(process.env.PLAYLIST_LOOKUP_CONCURRENCY) || 4;
 
     // Ensure directories exist
     [this.screenshotDir, this.audioDir].forEach((dir) => {
@@ -47,6 +52,198 @@ class YouTubeService {
     }
   }
 
+  // Normalize any YouTube video URL form (watch, youtu.be, shorts, embed,
+  // live, mobile/music hosts) to its canonical video ID, or null if none
+  getVideoId(youtubeUrl) {
+    const idPattern = /^[\w-]{11}$/;
+
+    let url;
+    try {
+      url = new URL(
+        /^https?:\/\//.test(youtubeUrl) ? youtubeUrl : `https://${youtubeUrl}`
+      );
+    } catch (error) {
+      return null;
+    }
+
+    const host = url.hostname.replace(/^(www|m|music)\./, "");
+    const pathParts = url.pathname.split("/").filter(Boolean);
+    let videoId = null;
+
+    if (host === "youtu.be") {
+      videoId = pathParts[0];
+    } else if (host === "youtube.com" || host === "youtube-nocookie.com") {
+      if (pathParts[0] === "watch") {
+        videoId = url.searchParams.get("v");
+      } else if (["shorts", "embed", "live", "v", "e"].includes(pathParts[0])) {
+        videoId = pathParts[1];
+      }
+    }
+
+    return videoId && idPattern.test(videoId) ? videoId : null;
+  }
+
+  getCanonicalUrl(videoId) {
+    return `https://www.youtube.com/watch?v=${videoId}`;
+  }
+
+  // Classify URLs that point at a collection of videos rather than one video.
+  // A watch URL with a list= parameter is still treated as a single video.
+  getCollectionType(youtubeUrl) {
+    let url;
+    try {
+      url = new URL(
+        /^https?:\/\//.test(youtubeUrl) ? youtubeUrl : `https://${youtubeUrl}`
+      );
+    } catch (error) {
+      return null;
+    }
+
+    if (url.pathname === "/playlist" && url.searchParams.has("list")) {
+      return "playlist";
+    }
+    if (url.searchParams.has("list") && !url.searchParams.has("v")) {
+      return "playlist";
+    }
+    if (/^\/(channel\/|c\/|user\/|@)/.test(url.pathname)) {
+      return "channel";
+    }
+    return null;
+  }
+
+  // Resolve a playlist or channel URL to a playlist ID (channels resolve to
+  // their uploads playlist)
+  async resolvePlaylistId(collectionUrl) {
+    try {
+      return await ytpl.getPlaylistID(collectionUrl);
+    } catch (error) {
+      // ytpl doesn't understand @handle URLs, so read the channel ID from
+      // the channel page instead
+      const response = await axios.get(collectionUrl, { timeout: 30000 });
+      const match = response.data.match(/"externalId":"(UC[\w-]{22})"/);
+      if (!match) {
+        throw new Error(`Could not resolve channel: ${collectionUrl}`);
+      }
+      return `UU${match[1].slice(2)}`;
+    }
+  }
+
+  // Expand a playlist or channel into its individual videos
+  async expandCollection(collectionUrl, options = {}) {
+    try {
+      const maxVideos = options.maxVideos || 50;
+      const publishedAfter = options.publishedAfter
+        ? new Date(options.publishedAfter)
+        : null;
+      const publishedBefore = options.publishedBefore
+        ? new Date(options.publishedBefore)
+        : null;
+      const hasDateFilter = Boolean(publishedAfter || publishedBefore);
+
+      logger.info(`Expanding YouTube collection: ${collectionUrl}`);
+
+      const playlistId = await this.resolvePlaylistId(collectionUrl);
+
+      // Date filters need publish dates, which the playlist listing doesn't
+      // include, so scan further and look each video up
+      const scanLimit = hasDateFilter
+        ? parseInt(process.env.PLAYLIST_MAX_SCAN) || 500
+        : maxVideos;
+      const playlist = await ytpl(playlistId, { limit: scanLimit });
+
+      // Channel uploads are listed newest first, so we can stop scanning
+      // once we're past the publishedAfter date
+      const newestFirst = playlistId.startsWith("UU");
+
+      const videos = [];
+      let failedLookups = 0;
+      let scanned = 0;
+      const step = hasDateFilter ? this.lookupConcurrency : 1;
+
+      // Videos are looked up a few at a time, but filtered in playlist
+      // order so the early stop below still works
+      scan: for (let i = 0; i < playlist.items.length; i += step) {
+        if (videos.length >= maxVideos) {
+          break;
+        }
+
+        const items = playlist.items.slice(i, i + step);
+        const publishDates = hasDateFilter
+          ? await Promise.all(items.map((item) => this.getPublishDate(item.id)))
+          : [];
+
+        for (const [index, item] of items.entries()) {
+          if (videos.length >= maxVideos) {
+            break scan;
+          }
+          scanned++;
+
+          const video = {
+            video_id: item.id,
+            youtube_url: `https://www.youtube.com/watch?v=${item.id}`,
+            title: item.title,
+            publish_date: null,
+          };
+
+          if (hasDateFilter) {
+            // Unavailable videos (private, removed, region-locked) are
+            // skipped rather than failing the whole collection
+            if (publishDates[index] === undefined) {
+              failedLookups++;
+              continue;
+            }
+
+            video.publish_date = publishDates[index];
+            const published = new Date(video.publish_date);
+
+            if (publishedAfter && published < publishedAfter) {
+              if (newestFirst) {
+                break scan;
+              }
+              continue;
+            }
+            if (publishedBefore && published > publishedBefore) {
+              continue;
+            }
+          }
+
+          videos.push(video);
+        }
+      }
+
+      logger.info(
+        `Expanded ${collectionUrl} into ${videos.length} videos (${scanned} scanned, ${failedLookups} unavailable)`
+      );
+
+      return {
+        success: true,
+        playlist_id: playlistId,
+        title: playlist.title,
+        videos,
+      };
+    } catch (error) {
+      logger.error("Error expanding YouTube collection:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Publish date of a video (null if unknown), or undefined if the video
+  // couldn't be looked up
+  async getPublishDate(videoId) {
+    try {
+      const info = await ytdl.getBasicInfo(
+        `https://www.youtube.com/watch?v=${videoId}`
+      );
+      return info.videoDetails.publishDate || null;
+    } catch (error) {
+      logger.warn(`Skipping video ${videoId}: ${error.message}`);
+      return undefined;
+    }
+  }
+
   async captureScreenshot(youtubeUrl, analysisId) {
     if (!this.browser) {
       await this.initialize();
@@ -96,19 +293,75 @@ class YouTubeService {
     }
   }
 
-  async downloadAudio(youtubeUrl, analysisId) {
+  // Print an HTML document to PDF with the shared browser
+  async renderPdf(html) {
+    if (!this.browser) {
+      await this.initialize();
+    }
+
+    const page = await this.browser.newPage();
+
+    try {
+      await page.setContent(html, { waitUntil: "load", timeout: 30000 });
+      return await page.pdf({
+        format: "A4",
+        printBackground: true,
+        margin: { top: "15mm", right: "12mm", bottom: "15mm", left: "12mm" },
+      });
+    } catch (error) {
+      logger.error("Error rendering PDF:", error);
+      throw new Error(`Failed to render PDF: ${error.message}`);
+    } finally {
+      await page.close();
+    }
+  }
+
+  async getVideoInfo(youtubeUrl) {
+    // Validate YouTube URL
+    if (!ytdl.validateURL(youtubeUrl)) {
+      throw new Error("Invalid YouTube URL");
+    }
+    return ytdl.getInfo(youtubeUrl);
+  }
+
+  // The parts of ytdl's video info we keep in video_metadata
+  extractVideoMetadata(info) {
+    const details = info.videoDetails;
+    // Only plain digit strings; parseInt would read "1,234" as 1
+    const toInt = (value) =>
+      /^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : null;
+
+    return {
+      video_id: details.videoId,
+      title: details.title || null,
+      channel:
+        (details.author && details.author.name) ||
+        details.ownerChannelName ||
+        null,
+      channel_id:
+        details.channelId || (details.author && details.author.id) || null,
+      duration_seconds: toInt(details.lengthSeconds),
+      publish_date: details.publishDate || details.uploadDate || null,
+      view_count: toInt(details.viewCount),
+      description: details.description || null,
+      tags: details.keywords || [],
+      thumbnails: (details.thumbnails || []).map(({ url, width, height }) => ({
+        url,
+        width,
+        height,
+      })),
+    };
+  }
+
+  // `info` from getVideoInfo() can be passed in to avoid fetching it twice
+  async downloadAudio(youtubeUrl, analysisId, onProgress = null, info = null) {
     try {
       logger.info(`Starting audio download for: ${youtubeUrl}`);
 
-      // Validate YouTube URL
-      if (!ytdl.validateURL(youtubeUrl)) {
-        throw new Error("Invalid YouTube URL");
+      if (!info) {
+        info = await this.getVideoInfo(youtubeUrl);
       }
 
-      // Get video info
-      const info = await ytdl.getInfo(youtubeUrl);
-      const videoTitle = info.videoDetails.title;
-
       // Filter for audio-only format
       const audioFormats = ytdl.filterFormats(info.formats, "audioonly");
       if (audioFormats.length === 0) {
@@ -147,11 +400,22 @@ class YouTubeService {
           "0"
       );
 
+      let lastReportedPercent = -1;
       audioStream.on("progress", (chunkLength, downloaded, total) => {
         downloadedBytes = downloaded;
         const percent =
           total > 0 ? ((downloaded / total) * 100).toFixed(2) : "0";
         logger.info(`Audio download progress: ${percent}%`);
+
+        // Only report whole-percent changes; ytdl emits this per chunk
+        if (onProgress && Math.floor(percent) !== lastReportedPercent) {
+          lastReportedPercent = Math.floor(percent);
+          onProgress({
+            percent: parseFloat(percent),
+            downloaded_bytes: downloaded,
+            total_bytes: total,
+          });
+        }
       });
 
       // Handle download completion
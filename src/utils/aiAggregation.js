@@ -0,0 +1,184 @@
+// Aggregation of per-segment AI probabilities into the analysis-level
+// `ai_probabilities` summary
+//
+//   duration      mean weighted by segment duration (default)
+//   characters    mean weighted by text length
+//   mean          plain mean, every segment counts the same
+//   max           highest segment probability
+//   trimmed_mean  mean after dropping the highest and lowest
+//                 AI_AGGREGATION_TRIM fraction (default 10% each side)
+const METHODS = ["duration", "characters", "mean", "max", "trimmed_mean"];
+
+const DEFAULT_METHOD = "duration";
+
+function getDefaultMethod() {
+  const method = process.env.AI_AGGREGATION || DEFAULT_METHOD;
+  if (!METHODS.includes(method)) {
+    throw new Error(
+      `Unknown AI_AGGREGATION "${method}" (expected one of: ${METHODS.join(
+        ", "
+      )})`
+    );
+  }
+  return method;
+}
+
+// Segments that actually got a score (not empty or failed)
+function scoredSegments(segments) {
+  return segments.filter(
+    (segment) =>
+      segment.ai_detection &&
+      !segment.ai_detection.error &&
+      segment.ai_detection.prediction !== "empty"
+  );
+}
+
+function duration(segment) {
+  return Math.max(0, (segment.end || 0) - (segment.start || 0));
+}
+
+function weightedMean(segments, weight) {
+  const totalWeight = segments.reduce((sum, s) => sum + weight(s), 0);
+  if (totalWeight === 0) {
+    // Fall back to a plain mean when no segment has any weight
+    return weightedMean(segments, () => 1);
+  }
+  return (
+    segments.reduce(
+      (sum, s) => sum + s.ai_detection.ai_probability * weight(s),
+      0
+    ) / totalWeight
+  );
+}
+
+function aggregate(segments, method) {
+  if (segments.length === 0) {
+    return 0;
+  }
+
+  switch (method) {
+    case "duration":
+      return weightedMean(segments, duration);
+    case "characters":
+      return weightedMean(segments, (s) => (s.text || "").length);
+    case "mean":
+      return weightedMean(segments, () => 1);
+    case "max":
+      return Math.max(...segments.map((s) => s.ai_detection.ai_probability));
+    case "trimmed_mean": {
+      const trim = parseFloat(process.env.AI_AGGREGATION_TRIM) || 0.1;
+      const sorted = [...segments].sort(
+        (a, b) => a.ai_detection.ai_probability - b.ai_detection.ai_probability
+      );
+      const cut = Math.floor(sorted.length * trim);
+      const kept = sorted.slice(cut, sorted.length - cut);
+      return weightedMean(kept.length > 0 ? kept : sorted, () => 1);
+    }
+    default:
+      throw new Error(`Unknown aggregation method: ${method}`);
+  }
+}
+
+function bySpeaker(segments, method) {
+  const groups = {};
+  for (const segment of segments) {
+    const speaker = segment.speaker || "unknown";
+    (groups[speaker] = groups[speaker] || []).push(segment);
+  }
+
+  const breakdown = {};
+  for (const [speaker, speakerSegments] of Object.entries(groups)) {
+    breakdown[speaker] = {
+      ai_probability: aggregate(speakerSegments, method),
+      segments: speakerSegments.length,
+      duration: speakerSegments.reduce((sum, s) => sum + duration(s), 0),
+    };
+  }
+  return breakdown;
+}
+
+// AI probability per minute of media. A segment spanning several minutes
+// counts towards each in proportion to its overlap.
+function timeline(segments) {
+  const buckets = [];
+
+  for (const segment of segments) {
+    const start = segment.start || 0;
+    const end = Math.max(segment.end || 0, start);
+    const firstMinute = Math.floor(start / 60);
+    const lastMinute = Math.max(firstMinute, Math.ceil(end / 60) - 1);
+
+    for (let minute = firstMinute; minute <= lastMinute; minute++) {
+      // Zero-length segments still count once in their minute
+      const overlap =
+        end > start
+          ? Math.min(end, (minute + 1) * 60) - Math.max(start, minute * 60)
+          : 1;
+      if (overlap <= 0) {
+        continue;
+      }
+
+      const bucket = (buckets[minute] = buckets[minute] || {
+        weighted: 0,
+        weight: 0,
+        segments: 0,
+      });
+      bucket.weighted += segment.ai_detection.ai_probability * overlap;
+      bucket.weight += overlap;
+      bucket.segments++;
+    }
+  }
+
+  const result = [];
+  buckets.forEach((bucket, minute) => {
+    if (bucket) {
+      result.push({
+        minute,
+        start: minute * 60,
+        end: (minute + 1) * 60,
+        ai_probability: bucket.weighted / bucket.weight,
+        segments: bucket.segments,
+      });
+    }
+  });
+  return result;
+}
+
+// Build the ai_probabilities summary for a detection result. `segments` are
+// the chunks that were scored, which depend on the segmentation strategy,
+// so they're kept apart from the transcription's own segments.
+function summarizeDetection(detectionResult, method = getDefaultMethod()) {
+  const segments = detectionResult.segments || [];
+  const scored = scoredSegments(segments);
+
+  return {
+    detector: detectionResult.detector,
+    aggregation: method,
+    overall_ai_probability: aggregate(scored, method),
+    processed_segments: detectionResult.processed_segments || 0,
+    scored_segments: scored.length,
+    total_segments: detectionResult.total_segments || segments.length,
+    by_speaker: bySpeaker(scored, method),
+    timeline: timeline(scored),
+    segments,
+  };
+}
+
+// The scored chunks of an analysis. Analyses from before they were stored
+// separately have the scores on the transcription's segments instead.
+function detectionSegments(transcription, aiProbabilities) {
+  if (aiProbabilities && Array.isArray(aiProbabilities.segments)) {
+    return aiProbabilities.segments;
+  }
+  if (Array.isArray(transcription)) {
+    return transcription;
+  }
+  return (transcription && transcription.segments) || [];
+}
+
+module.exports = {
+  METHODS,
+  getDefaultMethod,
+  summarizeDetection,
+  detectionSegments,
+};
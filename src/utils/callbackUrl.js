@@ -0,0 +1,112 @@
+// Validation of webhook callback URLs. Callbacks must not reach this host
+// or the internal network (metadata endpoints, admin ports) unless their
+// host is listed in WEBHOOK_ALLOWED_HOSTS.
+const dns = require("dns").promises;
+const net = require("net");
+
+const blockedRanges = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, broadcast
+].forEach(([network, prefix]) =>
+  blockedRanges.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 128], // unspecified
+  ["::1", 128],
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+].forEach(([network, prefix]) =>
+  blockedRanges.addSubnet(network, prefix, "ipv6")
+);
+
+function allowedHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return blockedRanges.check(mapped[1], "ipv4");
+  }
+  return blockedRanges.check(
+    address,
+    net.isIP(address) === 6 ? "ipv6" : "ipv4"
+  );
+}
+
+// Rejections that retrying won't fix
+function invalidCallback(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+// Resolve the host of a callback URL, throwing if the URL isn't http(s) or
+// points at a loopback, private or link-local address. Returns the
+// addresses to connect to, so that a second DNS lookup can't redirect the
+// request.
+async function resolveCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw invalidCallback("Invalid callback URL, must be an http(s) URL");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw invalidCallback("Invalid callback URL, must be an http(s) URL");
+  }
+
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await dns.lookup(hostname, { all: true });
+
+  if (
+    !allowedHosts().includes(hostname) &&
+    addresses.some(({ address }) => isPrivateAddress(address))
+  ) {
+    throw invalidCallback(
+      `Callback host ${hostname} resolves to a private or local address`
+    );
+  }
+
+  return addresses;
+}
+
+// Error message for a callback URL that webhooks can't be sent to, or null.
+// Without WEBHOOK_SECRET receivers couldn't verify the requests, so no
+// callbacks are accepted at all.
+async function callbackUrlError(value) {
+  if (!process.env.WEBHOOK_SECRET) {
+    return "Webhook callbacks are disabled on this server (WEBHOOK_SECRET is not set)";
+  }
+  try {
+    await resolveCallbackUrl(value);
+    return null;
+  } catch (error) {
+    return error.retryable === false
+      ? error.message
+      : `Callback host could not be resolved: ${error.message}`;
+  }
+}
+
+module.exports = {
+  isPrivateAddress,
+  resolveCallbackUrl,
+  callbackUrlError,
+};
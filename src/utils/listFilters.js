@@ -0,0 +1,183 @@
+// Query-string filters, sorting and cursor pagination accepted by the
+// analysis listing endpoints (GET /api/analyze and GET /api/result). Video
+// fields filter on the stored YouTube metadata, so analyses without it only
+// match when no video filter is given.
+const STATUSES = [
+  "pending",
+  "processing",
+  "video_processed",
+  "audio_converted",
+  "transcribed",
+  "completed",
+  "failed",
+];
+
+// Sortable fields; the listing always breaks ties by analysis ID
+const SORT_FIELDS = [
+  "created_at",
+  "updated_at",
+  "ai_probability",
+  "processing_time",
+];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+const timestampPattern =
+  /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+function isValidDate(value, pattern) {
+  return (
+    typeof value === "string" &&
+    pattern.test(value) &&
+    !isNaN(Date.parse(value))
+  );
+}
+
+// Cursors are opaque to clients: the sort they belong to plus the sort
+// value and ID of the last row of the previous page
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, "base64url").toString());
+    if (cursor && typeof cursor.id === "string" && "value" in cursor) {
+      return cursor;
+    }
+  } catch (error) {
+    // Fall through to the invalid cursor result
+  }
+  return null;
+}
+
+// Returns { filters } or { error } describing the first invalid parameter
+function parseListFilters(query = {}) {
+  const filters = {};
+
+  if (query.status) {
+    if (!STATUSES.includes(query.status)) {
+      return {
+        error: `Invalid status (expected one of: ${STATUSES.join(", ")})`,
+      };
+    }
+    filters.status = query.status;
+  }
+
+  const text = {
+    url: "url",
+    video_id: "videoId",
+    channel_id: "channelId",
+    channel: "channel",
+    title: "title",
+    tag: "tag",
+  };
+  for (const [param, key] of Object.entries(text)) {
+    if (typeof query[param] === "string" && query[param].trim()) {
+      filters[key] = query[param].trim();
+    }
+  }
+
+  const dates = {
+    published_after: "publishedAfter",
+    published_before: "publishedBefore",
+  };
+  for (const [param, key] of Object.entries(dates)) {
+    if (query[param] !== undefined) {
+      if (!isValidDate(query[param], datePattern)) {
+        return { error: `Invalid ${param}, expected YYYY-MM-DD` };
+      }
+      filters[key] = query[param];
+    }
+  }
+
+  const timestamps = {
+    created_after: "createdAfter",
+    created_before: "createdBefore",
+  };
+  for (const [param, key] of Object.entries(timestamps)) {
+    if (query[param] !== undefined) {
+      if (!isValidDate(query[param], timestampPattern)) {
+        return { error: `Invalid ${param}, expected an ISO 8601 date` };
+      }
+      filters[key] = query[param];
+    }
+  }
+
+  const durations = {
+    min_duration: "minDuration",
+    max_duration: "maxDuration",
+  };
+  for (const [param, key] of Object.entries(durations)) {
+    if (query[param] !== undefined) {
+      const seconds = Number(query[param]);
+      if (query[param] === "" || isNaN(seconds) || seconds < 0) {
+        return { error: `Invalid ${param}, expected a number of seconds` };
+      }
+      filters[key] = seconds;
+    }
+  }
+
+  const probabilities = {
+    min_ai_probability: "minAiProbability",
+    max_ai_probability: "maxAiProbability",
+  };
+  for (const [param, key] of Object.entries(probabilities)) {
+    if (query[param] !== undefined) {
+      const probability = Number(query[param]);
+      if (
+        query[param] === "" ||
+        isNaN(probability) ||
+        probability < 0 ||
+        probability > 1
+      ) {
+        return { error: `Invalid ${param}, expected a number from 0 to 1` };
+      }
+      filters[key] = probability;
+    }
+  }
+
+  filters.sort = query.sort || "created_at";
+  if (!SORT_FIELDS.includes(filters.sort)) {
+    return {
+      error: `Invalid sort (expected one of: ${SORT_FIELDS.join(", ")})`,
+    };
+  }
+
+  filters.order = String(query.order || "desc").toLowerCase();
+  if (!["asc", "desc"].includes(filters.order)) {
+    return { error: "Invalid order, expected asc or desc" };
+  }
+
+  filters.limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return {
+        error: `Invalid limit, expected an integer from 1 to ${MAX_LIMIT}`,
+      };
+    }
+    filters.limit = limit;
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: "Invalid cursor" };
+    }
+    if (cursor.sort !== filters.sort || cursor.order !== filters.order) {
+      return { error: "Cursor was issued for a different sort order" };
+    }
+    filters.cursor = cursor;
+  }
+
+  return { filters };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  encodeCursor,
+  parseListFilters,
+};
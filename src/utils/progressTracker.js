@@ -0,0 +1,46 @@
+const { EventEmitter } = require("events");
+
+const TERMINAL_STATUSES = ["completed", "failed"];
+
+// In-process event bus for analysis progress. The pipeline reports stage
+// transitions and fine-grained progress here, and the SSE endpoint relays
+// them to clients.
+class ProgressTracker extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.latest = new Map();
+  }
+
+  report(analysisId, event) {
+    const payload = {
+      analysis_id: analysisId,
+      timestamp: new Date().toISOString(),
+      ...event,
+    };
+
+    // Keep the last event so late subscribers get the current progress
+    if (event.type === "status" && TERMINAL_STATUSES.includes(event.status)) {
+      this.latest.delete(analysisId);
+    } else {
+      this.latest.set(analysisId, payload);
+    }
+
+    this.emit(analysisId, payload);
+  }
+
+  subscribe(analysisId, listener) {
+    this.on(analysisId, listener);
+    return () => this.off(analysisId, listener);
+  }
+
+  getLatest(analysisId) {
+    return this.latest.get(analysisId) || null;
+  }
+
+  isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+}
+
+module.exports = new ProgressTracker();
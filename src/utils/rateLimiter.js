@@ -0,0 +1,71 @@
+// Token-bucket rate limiter. Each request takes a token; tokens refill at a
+// steady rate up to `capacity`, which allows short bursts. pauseUntil()
+// blocks every caller, e.g. while an API's Retry-After window runs.
+class TokenBucket {
+  constructor({ ratePerSecond, capacity = ratePerSecond }) {
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = Math.max(1, capacity);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    // Serializes take() so waiting callers are served in order
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + ((now - this.lastRefill) / 1000) * this.ratePerSecond
+    );
+    this.lastRefill = now;
+  }
+
+  take() {
+    const turn = this.queue.then(async () => {
+      for (;;) {
+        const pause = this.pausedUntil - Date.now();
+        if (pause > 0) {
+          await sleep(pause);
+          continue;
+        }
+
+        this.refill();
+        if (this.tokens >= 1) {
+          this.tokens -= 1;
+          return;
+        }
+        await sleep(((1 - this.tokens) / this.ratePerSecond) * 1000);
+      }
+    });
+    this.queue = turn;
+    return turn;
+  }
+
+  pauseUntil(timestamp) {
+    this.pausedUntil = Math.max(this.pausedUntil, timestamp);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = {
+  TokenBucket,
+  parseRetryAfter,
+  sleep,
+};
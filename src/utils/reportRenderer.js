@@ -0,0 +1,198 @@
+const { formatTimestamp } = require("./transcriptFormatter");
+const { detectionSegments } = require("./aiAggregation");
+
+// Self-contained HTML report for a completed analysis, served by
+// GET /api/result/:id/report and printed to PDF by YouTubeService. All
+// styles are inline and the screenshot is embedded as a data URI, so the
+// file can be shared on its own.
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function percent(probability) {
+  return typeof probability === "number"
+    ? `${Math.round(probability * 100)}%`
+    : "n/a";
+}
+
+// Green (human) through amber to red (AI)
+function probabilityColor(probability) {
+  if (typeof probability !== "number") {
+    return "#eeeeee";
+  }
+  const hue = Math.round((1 - Math.min(1, Math.max(0, probability))) * 120);
+  return `hsl(${hue}, 70%, 85%)`;
+}
+
+function formatDuration(seconds) {
+  return formatTimestamp(seconds, ".").slice(0, 8);
+}
+
+function renderMetadata(result) {
+  const metadata = result.metadata || {};
+  const transcriptionMetadata = metadata.transcription_metadata || {};
+  const audioInfo = metadata.original_audio_info || {};
+  const duration = transcriptionMetadata.duration || audioInfo.duration;
+  const video = result.video || {};
+
+  const rows = [
+    ["Source", result.youtube_url || result.original_filename],
+    ["Channel", video.channel],
+    ["Published", video.publish_date],
+    [
+      "Views",
+      typeof video.view_count === "number"
+        ? video.view_count.toLocaleString("en-US")
+        : null,
+    ],
+    ["Video ID", result.video_id],
+    ["Duration", duration ? formatDuration(parseFloat(duration)) : null],
+    ["Language", transcriptionMetadata.language],
+    ["Transcription", metadata.transcription_provider],
+    [
+      "Detector",
+      result.ai_probabilities &&
+        `${result.ai_probabilities.detector} (${result.ai_probabilities.aggregation})`,
+    ],
+    ["Segmentation", metadata.segmentation],
+    ["Analyzed", result.updated_at],
+  ].filter(([, value]) => value);
+
+  return `<table class="meta">${rows
+    .map(
+      ([label, value]) =>
+        `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+    )
+    .join("")}</table>`;
+}
+
+function renderSpeakers(aiProbabilities) {
+  const speakers = Object.entries(aiProbabilities.by_speaker || {});
+  if (speakers.length === 0) {
+    return "";
+  }
+
+  return `<h2>Speakers</h2>
+<table class="speakers">
+<tr><th>Speaker</th><th>AI probability</th><th>Segments</th><th>Speaking time</th></tr>
+${speakers
+  .map(
+    ([speaker, summary]) =>
+      `<tr style="background:${probabilityColor(
+        summary.ai_probability
+      )}"><td>${escapeHtml(speaker)}</td><td>${percent(
+        summary.ai_probability
+      )}</td><td>${summary.segments}</td><td>${formatDuration(
+        summary.duration
+      )}</td></tr>`
+  )
+  .join("\n")}
+</table>`;
+}
+
+// The transcript as it was scored, one block per scored chunk
+function renderTranscript(result) {
+  const segments = detectionSegments(
+    result.transcription,
+    result.ai_probabilities
+  ).filter((segment) => segment.text && segment.text.trim());
+  if (segments.length === 0) {
+    return "<p>No transcript available.</p>";
+  }
+
+  return segments
+    .map((segment) => {
+      const detection = segment.ai_detection || {};
+      const probability =
+        detection.error || detection.prediction === "empty"
+          ? null
+          : detection.ai_probability;
+      const speaker =
+        segment.speaker && segment.speaker !== "unknown"
+          ? `<span class="speaker">${escapeHtml(segment.speaker)}</span>`
+          : "";
+      return `<div class="segment" style="background:${probabilityColor(
+        probability
+      )}"><span class="time">${formatDuration(
+        segment.start
+      )}</span>${speaker}<span class="score">${percent(
+        probability
+      )}</span><p>${escapeHtml(segment.text.trim())}</p></div>`;
+    })
+    .join("\n");
+}
+
+// screenshotDataUri is optional; the report is rendered without it
+function renderReport(result, { screenshotDataUri = null } = {}) {
+  const aiProbabilities = result.ai_probabilities || {};
+  const overall = aiProbabilities.overall_ai_probability;
+  const title = (result.video && result.video.title) || "AI Analysis Report";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>AI Analysis Report - ${escapeHtml(result.id)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #222; max-width: 960px; margin: 2em auto; padding: 0 1em; }
+  h1 { font-size: 1.6em; margin-bottom: 0.2em; }
+  h2 { font-size: 1.2em; margin-top: 2em; border-bottom: 1px solid #ddd; padding-bottom: 0.3em; }
+  .id { color: #777; font-size: 0.9em; }
+  .summary { display: flex; gap: 2em; align-items: flex-start; margin-top: 1.5em; }
+  .screenshot { max-width: 420px; width: 100%; border: 1px solid #ddd; }
+  .score-box { padding: 1em 1.5em; border-radius: 8px; text-align: center; min-width: 160px; }
+  .score-box .value { font-size: 2.4em; font-weight: bold; }
+  table { border-collapse: collapse; }
+  .meta th { text-align: left; padding: 0.2em 1em 0.2em 0; color: #555; font-weight: normal; }
+  .speakers th, .speakers td { padding: 0.4em 1em; text-align: left; }
+  .segment { padding: 0.5em 0.8em; margin: 0.3em 0; border-radius: 4px; page-break-inside: avoid; }
+  .segment p { margin: 0.3em 0 0; }
+  .time { color: #555; font-family: monospace; margin-right: 0.8em; }
+  .speaker { font-weight: bold; margin-right: 0.8em; }
+  .score { float: right; font-weight: bold; }
+  .legend span { display: inline-block; padding: 0.1em 0.6em; margin-right: 0.4em; border-radius: 4px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="id">Analysis ${escapeHtml(result.id)}</div>
+<div class="summary">
+${
+  screenshotDataUri
+    ? `<img class="screenshot" src="${screenshotDataUri}" alt="Video screenshot">`
+    : ""
+}
+<div>
+<div class="score-box" style="background:${probabilityColor(overall)}">
+<div>Overall AI probability</div>
+<div class="value">${percent(overall)}</div>
+<div>${aiProbabilities.scored_segments || 0} of ${
+    aiProbabilities.total_segments || 0
+  } segments scored</div>
+</div>
+${renderMetadata(result)}
+</div>
+</div>
+${renderSpeakers(aiProbabilities)}
+<h2>Transcript</h2>
+<div class="legend">
+<span style="background:${probabilityColor(0)}">Human</span>
+<span style="background:${probabilityColor(0.5)}">Mixed</span>
+<span style="background:${probabilityColor(1)}">AI</span>
+<span style="background:${probabilityColor(null)}">Not scored</span>
+</div>
+${renderTranscript(result)}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderReport,
+};
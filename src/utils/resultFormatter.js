@@ -0,0 +1,90 @@
+const { detectionSegments } = require("./aiAggregation");
+
+// Response versions. Version 1 (the default) keeps the original shape:
+// `transcription` is the list of scored segments and `ai_probabilities` only
+// has the overall figures. Version 2 returns the full transcription (text,
+// segments, speakers, word timestamps, metadata) and detection summary
+// (detector, aggregation, per-speaker and timeline scores).
+const VERSIONS = [1, 2];
+const DEFAULT_VERSION = 1;
+
+// The scored segments, as version 1 returns them
+function legacyTranscription(transcription, aiProbabilities) {
+  if (!transcription) {
+    return null;
+  }
+  return detectionSegments(transcription, aiProbabilities);
+}
+
+function legacyProbabilities(aiProbabilities) {
+  if (!aiProbabilities) {
+    return null;
+  }
+  return {
+    overall_ai_probability: aiProbabilities.overall_ai_probability || 0,
+    processed_segments: aiProbabilities.processed_segments || 0,
+    total_segments: aiProbabilities.total_segments || 0,
+  };
+}
+
+// Shape an analysis result the way GET /api/result/:id returns it.
+// Also used for webhook payloads so both always match.
+function formatAnalysisResult(result, options = {}) {
+  const version = options.version || DEFAULT_VERSION;
+
+  // Check if analysis is still processing
+  if (result.status === "pending" || result.status === "processing") {
+    return {
+      success: true,
+      analysis_id: result.id,
+      status: result.status,
+      message: "Analysis is still in progress",
+      created_at: result.created_at,
+      updated_at: result.updated_at,
+    };
+  }
+
+  // Check if analysis failed
+  if (result.status === "failed") {
+    return {
+      success: true,
+      analysis_id: result.id,
+      status: result.status,
+      error_message: result.error_message,
+      processing_time: result.processing_time,
+      created_at: result.created_at,
+      updated_at: result.updated_at,
+    };
+  }
+
+  // Analysis completed successfully
+  return {
+    success: true,
+    analysis_id: result.id,
+    status: result.status,
+    youtube_url: result.youtube_url,
+    video_id: result.video_id,
+    video: result.video,
+    source_type: result.source_type,
+    original_filename: result.original_filename,
+    screenshot_path: result.screenshot_path,
+    audio_path: result.audio_path,
+    transcription:
+      version >= 2
+        ? result.transcription
+        : legacyTranscription(result.transcription, result.ai_probabilities),
+    ai_probabilities:
+      version >= 2
+        ? result.ai_probabilities
+        : legacyProbabilities(result.ai_probabilities),
+    metadata: result.metadata,
+    processing_time: result.processing_time,
+    created_at: result.created_at,
+    updated_at: result.updated_at,
+  };
+}
+
+module.exports = {
+  VERSIONS,
+  formatAnalysisResult,
+};
@@ -0,0 +1,53 @@
+// Classifies failures as transient (worth retrying) or permanent
+
+// Error codes of requests that never got a response
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNABORTED",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EPIPE",
+  "ESOCKETTIMEDOUT",
+  "ETIMEDOUT",
+]);
+
+// Network failures and timeouts (axios and puppeteer report timeouts
+// differently)
+function isNetworkError(error) {
+  return Boolean(
+    error &&
+      (NETWORK_ERROR_CODES.has(error.code) || error.name === "TimeoutError")
+  );
+}
+
+// Rate limits and server errors
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Whether an operation that threw `error` may succeed when tried again. An
+// explicit error.retryable wins; otherwise HTTP errors are retryable by
+// status and errors without one only if they are network failures.
+function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+  if (typeof error.retryable === "boolean") {
+    return error.retryable;
+  }
+
+  const status =
+    (error.response && error.response.status) || error.statusCode || null;
+  if (status) {
+    return isRetryableStatus(status);
+  }
+  return isNetworkError(error);
+}
+
+module.exports = {
+  isNetworkError,
+  isRetryableStatus,
+  isRetryableError,
+};
@@ -0,0 +1,167 @@
+// Renders a stored transcription as subtitles or plain text for
+// GET /api/result/:id/transcript. Each transcription segment becomes one
+// cue, labelled with its speaker and, when `annotate` is set, the AI
+// probability of the chunk it was scored in.
+const { detectionSegments } = require("./aiAggregation");
+
+const FORMATS = {
+  srt: "application/x-subrip; charset=utf-8",
+  vtt: "text/vtt; charset=utf-8",
+  txt: "text/plain; charset=utf-8",
+  json: "application/json; charset=utf-8",
+};
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, "0");
+}
+
+// 3725.5 -> "01:02:05,500" (SRT) or "01:02:05.500" (WebVTT)
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round((seconds || 0) * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(
+    totalMs % 1000,
+    3
+  )}`;
+}
+
+// The detection of the scored chunk a segment belongs to. Chunks match
+// segments one to one with the "segment" strategy; other strategies regroup
+// them, so use the chunk containing the segment's midpoint.
+function chunkDetection(segment, segmentIndex, segments, chunks) {
+  if (chunks.length === segments.length) {
+    return chunks[segmentIndex].ai_detection;
+  }
+  const midpoint = ((segment.start || 0) + (segment.end || 0)) / 2;
+  const chunk = chunks.find(
+    (candidate, index) =>
+      candidate.start <= midpoint &&
+      (midpoint < candidate.end ||
+        (index === chunks.length - 1 && midpoint <= candidate.end))
+  );
+  return chunk && chunk.ai_detection;
+}
+
+// Cues for every segment with text, in transcript order
+function toCues(transcription, aiProbabilities) {
+  const segments = Array.isArray(transcription)
+    ? transcription
+    : (transcription && transcription.segments) || [];
+  const chunks = detectionSegments(transcription, aiProbabilities);
+  return segments
+    .map((segment, segmentIndex) => ({
+      segment,
+      detection: chunkDetection(segment, segmentIndex, segments, chunks),
+    }))
+    .filter(({ segment }) => segment.text && segment.text.trim())
+    .map(({ segment, detection }, index) => {
+      const scored =
+        detection &&
+        !detection.error &&
+        detection.prediction !== "empty" &&
+        typeof detection.ai_probability === "number";
+      return {
+        index: index + 1,
+        start: segment.start || 0,
+        end: Math.max(segment.end || 0, segment.start || 0),
+        speaker:
+          segment.speaker && segment.speaker !== "unknown"
+            ? segment.speaker
+            : null,
+        text: segment.text.trim(),
+        ai_probability: scored ? detection.ai_probability : null,
+        prediction: scored ? detection.prediction : null,
+      };
+    });
+}
+
+function annotation(cue) {
+  if (cue.ai_probability === null) {
+    return null;
+  }
+  return `[AI ${Math.round(cue.ai_probability * 100)}% - ${cue.prediction}]`;
+}
+
+function renderSrt(cues, annotate) {
+  return cues
+    .map((cue) => {
+      const lines = [
+        String(cue.index),
+        `${formatTimestamp(cue.start, ",")} --> ${formatTimestamp(
+          cue.end,
+          ","
+        )}`,
+        cue.speaker ? `[${cue.speaker}] ${cue.text}` : cue.text,
+      ];
+      if (annotate && annotation(cue)) {
+        lines.push(annotation(cue));
+      }
+      return lines.join("\n") + "\n";
+    })
+    .join("\n");
+}
+
+function renderVtt(cues, annotate) {
+  const blocks = cues.map((cue) => {
+    const lines = [
+      String(cue.index),
+      `${formatTimestamp(cue.start, ".")} --> ${formatTimestamp(cue.end, ".")}`,
+      cue.speaker ? `<v ${cue.speaker}>${cue.text}` : cue.text,
+    ];
+    if (annotate && annotation(cue)) {
+      lines.push(annotation(cue));
+    }
+    return lines.join("\n") + "\n";
+  });
+  return ["WEBVTT\n", ...blocks].join("\n");
+}
+
+function renderTxt(cues, annotate) {
+  return cues
+    .map((cue) => {
+      const time = formatTimestamp(cue.start, ".").slice(0, 8);
+      const speaker = cue.speaker ? `${cue.speaker}: ` : "";
+      const note = annotate && annotation(cue) ? ` ${annotation(cue)}` : "";
+      return `[${time}] ${speaker}${cue.text}${note}\n`;
+    })
+    .join("");
+}
+
+function renderJson(analysisId, cues, annotate) {
+  return JSON.stringify(
+    {
+      analysis_id: analysisId,
+      cues: cues.map(({ ai_probability, prediction, ...cue }) =>
+        annotate ? { ...cue, ai_probability, prediction } : cue
+      ),
+    },
+    null,
+    2
+  );
+}
+
+// Render an analysis result's transcription in one of FORMATS
+function renderTranscript(result, format, { annotate = false } = {}) {
+  const cues = toCues(result.transcription, result.ai_probabilities);
+
+  switch (format) {
+    case "srt":
+      return renderSrt(cues, annotate);
+    case "vtt":
+      return renderVtt(cues, annotate);
+    case "txt":
+      return renderTxt(cues, annotate);
+    case "json":
+      return renderJson(result.id, cues, annotate);
+    default:
+      throw new Error(`Unknown transcript format: ${format}`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  formatTimestamp,
+  renderTranscript,
+};
@@ -0,0 +1,112 @@
+require("dotenv").config();
+
+const logger = require("./utils/logger");
+const { initializeDatabase } = require("./models/database");
+const AnalysisService = require("./services/analysisService");
+const JobQueue = require("./services/jobQueue");
+const WebhookService = require("./services/webhookService");
+const RetentionService = require("./services/retentionService");
+const { formatAnalysisResult } = require("./utils/resultFormatter");
+
+const analysisService = new AnalysisService();
+const webhookService = new WebhookService();
+const retentionService = new RetentionService();
+const jobQueue = new JobQueue();
+
+jobQueue.registerHandler(
+  "analysis",
+  (job) => analysisService.runAnalysis(job.analysis_id),
+  {
+    onExhausted: (job, error) =>
+      analysisService.markAbandoned(
+        job.analysis_id,
+        error
+          ? error.message
+          : `Analysis was interrupted ${job.attempts} times and has been abandoned`
+      ),
+  }
+);
+
+// Playlist/channel URLs are expanded into one analysis per video
+jobQueue.registerHandler(
+  "expand_collection",
+  (job, payload) => analysisService.expandCollection(payload.batchId, payload),
+  {
+    onExhausted: (job, error) =>
+      analysisService.markBatchFailed(
+        JSON.parse(job.payload).batchId,
+        (error ? error.message : job.last_error) || "Playlist expansion failed"
+      ),
+  }
+);
+
+// Webhook callbacks; failed deliveries are retried with exponential backoff
+jobQueue.registerHandler(
+  "webhook",
+  async (job, payload) => {
+    const result = await analysisService.getAnalysisResult(job.analysis_id);
+    if (!result.success) {
+      const error = new Error(`Cannot build webhook payload: ${result.error}`);
+      // A deleted analysis won't come back, so don't retry
+      error.retryable = result.error !== "Analysis not found";
+      throw error;
+    }
+
+    await webhookService.deliver(
+      job.analysis_id,
+      payload.callbackUrl,
+      payload.event,
+      formatAnalysisResult(result.result),
+      job.attempts
+    );
+  },
+  {
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 10000,
+  }
+);
+
+// Expire old audio, screenshots and transcripts. Each run queues the next
+// one, so only one worker runs it at a time.
+jobQueue.registerHandler(
+  "retention",
+  async () => {
+    await retentionService.run();
+    await retentionService.scheduleNext();
+  },
+  {
+    onExhausted: () => retentionService.scheduleNext(),
+  }
+);
+
+async function startWorker() {
+  await jobQueue.start();
+  await retentionService.ensureScheduled();
+}
+
+async function stopWorker() {
+  await jobQueue.stop();
+  await analysisService.cleanup();
+}
+
+// Allow running the worker as a standalone process (npm run worker)
+if (require.main === module) {
+  initializeDatabase()
+    .then(startWorker)
+    .catch((error) => {
+      logger.error("Failed to start worker:", error);
+      process.exit(1);
+    });
+
+  const shutdown = async () => {
+    await stopWorker();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+module.exports = {
+  jobQueue,
+  startWorker,
+  stopWorker,
+};